@@ -23,6 +23,8 @@ const FUTARCHY_REGISTRY_ENDPOINT = 'https://d3ugkaojqkfud0.cloudfront.net/subgra
 const AGGREGATOR_ADDRESS = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
 const ALGEBRA_ENDPOINT = 'https://d3ugkaojqkfud0.cloudfront.net/subgraphs/name/algebra-proposal-candles-v1';
 const ONE_HOUR = 3600;
+const PAGE_SIZE = 1000;            // subgraph `first` limit
+const DEFAULT_MAX_CANDLES = 20000; // hard cap per pool
 
 // ============================================================================
 // REGISTRY LOOKUPS
@@ -278,7 +280,7 @@ export async function getMarketData(proposalId) {
     }
 
     // Fetch pools from Algebra subgraph
-    const pools = await fetchPoolsForProposal(tradingContractId);
+    const pools = await fetchPoolsForProposal(tradingContractId, chainId);
 
     // Find YES and NO pools
     const yesPool = pools.find(p => p.outcomeSide === 'YES' && p.type === 'CONDITIONAL');
@@ -404,6 +406,62 @@ function forwardFillCandles(candles, maxTimestamp) {
     return filled;
 }
 
+/**
+ * Fetch hourly candles for one pool, paginating past the 1000-candle limit.
+ * Each page starts one second after the last candle of the previous page.
+ *
+ * Fetches up to maxCandles + 1 candles: `truncated` is only true when a candle
+ * past the cap actually exists, not when the range ends exactly at the cap.
+ * 
+ * @returns {Promise<{candles: Array, truncated: boolean}>}
+ */
+async function fetchPoolCandles(poolId, minTimestamp, maxTimestamp, maxCandles) {
+    const query = `
+    query GetCandles($poolId: String!, $minTimestamp: BigInt!, $maxTimestamp: BigInt!, $first: Int!) {
+        candles(
+            first: $first
+            orderBy: periodStartUnix
+            orderDirection: asc
+            where: { pool: $poolId, period: "3600", periodStartUnix_gte: $minTimestamp, periodStartUnix_lte: $maxTimestamp }
+        ) {
+            periodStartUnix
+            close
+        }
+    }`;
+
+    const candles = [];
+    let cursor = minTimestamp;
+
+    while (true) {
+        const first = Math.min(PAGE_SIZE, maxCandles + 1 - candles.length);
+        const response = await fetch(ALGEBRA_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                query,
+                variables: { poolId, minTimestamp: String(cursor), maxTimestamp: String(maxTimestamp), first }
+            })
+        });
+
+        const data = await response.json();
+
+        if (data.errors) {
+            throw new Error(data.errors[0].message);
+        }
+
+        const page = data.data?.candles || [];
+        candles.push(...page);
+
+        if (candles.length > maxCandles) {
+            return { candles: candles.slice(0, maxCandles), truncated: true };
+        }
+        if (page.length < first) {
+            return { candles, truncated: false };
+        }
+        cursor = parseInt(page[page.length - 1].periodStartUnix) + 1;
+    }
+}
+
 /**
  * Fetch candles for YES/NO pools
  * 
@@ -414,6 +472,7 @@ function forwardFillCandles(candles, maxTimestamp) {
  * @param {number} [options.maxTimestamp] - End of date range (unix)
  * @param {string} [options.poolTicker] - GeckoTerminal ticker for spot candles
  * @param {boolean} [options.forwardFill=true] - Fill gaps in data
+ * @param {number} [options.maxCandles=20000] - Hard cap per pool; meta.truncated is set when hit
  * @returns {Promise<Object>} Candles for YES, NO, and SPOT
  */
 export async function getCandles({
@@ -422,58 +481,22 @@ export async function getCandles({
     minTimestamp,
     maxTimestamp,
     poolTicker = null,
-    forwardFill = true
+    forwardFill = true,
+    maxCandles = DEFAULT_MAX_CANDLES
 }) {
     const now = Math.floor(Date.now() / 1000);
     minTimestamp = minTimestamp || 0;
     maxTimestamp = maxTimestamp || now;
 
-    // GraphQL query for YES/NO candles
-    const query = `
-    query GetCandles($yesPoolId: String!, $noPoolId: String!, $minTimestamp: BigInt!, $maxTimestamp: BigInt!) {
-        yesCandles: candles(
-            first: 1000
-            orderBy: periodStartUnix
-            orderDirection: asc
-            where: { pool: $yesPoolId, period: "3600", periodStartUnix_gte: $minTimestamp, periodStartUnix_lte: $maxTimestamp }
-        ) {
-            periodStartUnix
-            close
-        }
-        noCandles: candles(
-            first: 1000
-            orderBy: periodStartUnix
-            orderDirection: asc
-            where: { pool: $noPoolId, period: "3600", periodStartUnix_gte: $minTimestamp, periodStartUnix_lte: $maxTimestamp }
-        ) {
-            periodStartUnix
-            close
-        }
-    }`;
-
-    const variables = {
-        yesPoolId,
-        noPoolId,
-        minTimestamp: String(minTimestamp),
-        maxTimestamp: String(now) // Fetch up to now, filter later
-    };
-
-    // Fetch subgraph data
-    const response = await fetch(ALGEBRA_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, variables })
-    });
-
-    const data = await response.json();
-
-    if (data.errors) {
-        throw new Error(data.errors[0].message);
-    }
+    // Only the requested range counts towards maxCandles
+    const [yesResult, noResult] = await Promise.all([
+        fetchPoolCandles(yesPoolId, minTimestamp, maxTimestamp, maxCandles),
+        fetchPoolCandles(noPoolId, minTimestamp, maxTimestamp, maxCandles)
+    ]);
 
     // Process candles
-    let yesCandles = data.data?.yesCandles || [];
-    let noCandles = data.data?.noCandles || [];
+    let yesCandles = yesResult.candles;
+    let noCandles = noResult.candles;
 
     if (forwardFill) {
         yesCandles = forwardFillCandles(yesCandles, maxTimestamp);
@@ -511,7 +534,8 @@ export async function getCandles({
             yesCount: yesCandles.length,
             noCount: noCandles.length,
             spotCount: spotCandles.length,
-            range: { minTimestamp, maxTimestamp }
+            range: { minTimestamp, maxTimestamp },
+            truncated: yesResult.truncated || noResult.truncated
         }
     };
 }
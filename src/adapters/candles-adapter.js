@@ -17,23 +17,108 @@
  *   - Pool query: flat fields (token0, token1 as addresses, proposal as string)
  */
 
-import { ENDPOINTS, IS_CHECKPOINT } from '../config/endpoints.js';
+import { BASE_PERIOD_SEC } from '../config/resolutions.js';
+import { aggregateCandles } from '../utils/candles.js';
+import { upstreamFlight } from '../utils/cache.js';
+import { trackUpstream } from '../utils/metrics.js';
+import { withOnchainFallback } from '../services/onchain-pools.js';
+import { routeRequest, GraphQLError } from '../services/endpoint-router.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('candles-adapter');
 
 // ============================================================================
 // INTERNAL HELPERS
 // ============================================================================
 
+// Candle fields requested per mode (volumes are per-token swap volume in the period)
+const CLOSE_FIELDS = 'periodStartUnix close';
+const OHLC_FIELDS = 'periodStartUnix open high low close volumeToken0 volumeToken1';
+
+// Added for callers that draw a volume histogram (txCount = swaps in the period).
+// Not in the documented gateway schema, so an endpoint that rejects them is
+// remembered and queried without them from then on.
+const ACTIVITY_FIELDS = ['volumeToken0', 'volumeToken1', 'txCount'];
+const activityUnsupported = new Set();
+
+// Both indexers cap `first` at 1000 — longer ranges are fetched page by page
+const PAGE_SIZE = 1000;
+
+// Hard cap on candles per pool request (CANDLES_MAX_RESULTS env var)
+const MAX_CANDLES = parseInt(process.env.CANDLES_MAX_RESULTS || '20000');
+
+/**
+ * Checkpoint stores token volumes in raw wei (18 decimals) — normalize to human-readable.
+ */
+function fromWei(value) {
+    return value ? String(parseFloat(value) / 1e18) : '0';
+}
+
+function candleFields(ohlc, activity) {
+    const fields = (ohlc ? OHLC_FIELDS : CLOSE_FIELDS).split(' ');
+    return [...new Set(activity ? [...fields, ...ACTIVITY_FIELDS] : fields)].join(' ');
+}
+
+/**
+ * Volume and trade count fields of a raw candle, normalized — only those that were requested.
+ * @param {boolean} wei - Volumes are raw wei (Checkpoint)
+ */
+function candleActivity(candle, wei) {
+    const activity = {};
+    for (const field of ['volumeToken0', 'volumeToken1']) {
+        if (field in candle) activity[field] = wei ? fromWei(candle[field]) : (candle[field] || '0');
+    }
+    if ('txCount' in candle) activity.txCount = String(parseInt(candle.txCount) || 0);
+    return activity;
+}
+
 async function gqlFetch(url, query, variables = {}) {
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, variables }),
+    return trackUpstream('candles', async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+        });
+        const json = await response.json();
+        if (json.errors) {
+            throw new GraphQLError(json.errors[0].message);
+        }
+        return json.data;
     });
-    const json = await response.json();
-    if (json.errors) {
-        throw new Error(`GraphQL: ${json.errors[0].message}`);
+}
+
+/**
+ * Fetch candles page by page until the range is covered or maxCandles is reached.
+ * Pages are time-based: each page starts one second after the last candle of the
+ * previous one, so results never overlap.
+ *
+ * Fetches up to maxCandles + 1 candles: `truncated` is only true when a candle
+ * past the cap actually exists, not when the range ends exactly at the cap.
+ *
+ * @param {function} fetchPage - async (fromTimestamp, first) => raw candles (ascending, ≤ first)
+ * @param {function} cursorOf - candle => its timestamp in the indexer's time field
+ * @param {number} minTimestamp - Start of the range
+ * @param {number} maxCandles - Hard cap
+ * @returns {Promise<{candles: Array, truncated: boolean}>}
+ */
+export async function paginateCandles(fetchPage, cursorOf, minTimestamp, maxCandles) {
+    const candles = [];
+    let cursor = minTimestamp;
+
+    while (true) {
+        const first = Math.min(PAGE_SIZE, maxCandles + 1 - candles.length);
+        const page = await fetchPage(cursor, first);
+        candles.push(...page);
+
+        if (candles.length > maxCandles) {
+            log.warn('candle cap reached, range truncated', { maxCandles });
+            return { candles: candles.slice(0, maxCandles), truncated: true };
+        }
+        if (page.length < first) {
+            return { candles, truncated: false };
+        }
+        cursor = cursorOf(page[page.length - 1]) + 1;
     }
-    return json.data;
 }
 
 /**
@@ -59,7 +144,7 @@ function addChainPrefix(id, chainId = 100) {
 // GRAPH NODE IMPLEMENTATION
 // ============================================================================
 
-async function graphNode_fetchPools(proposalAddress) {
+async function graphNode_fetchPools(url, proposalAddress) {
     const query = `{
         pools(where: { proposal: "${proposalAddress}" }) {
             id
@@ -95,33 +180,43 @@ async function graphNode_fetchPools(proposalAddress) {
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
+    const data = await gqlFetch(url, query);
     return data?.pools || [];
 }
 
-async function graphNode_fetchCandles(poolId, minTimestamp, maxTimestamp) {
+async function graphNode_fetchCandlesPage(url, poolId, minTimestamp, maxTimestamp, period, fields, first = PAGE_SIZE) {
     const query = `{
         candles(
-            first: 1000
+            first: ${first}
             orderBy: periodStartUnix
             orderDirection: asc
             where: {
                 pool: "${poolId}",
-                period: "3600",
+                period: "${period}",
                 periodStartUnix_gte: "${minTimestamp}",
                 periodStartUnix_lte: "${maxTimestamp}"
             }
         ) {
-            periodStartUnix
-            close
+            ${fields}
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
+    const data = await gqlFetch(url, query);
     return data?.candles || [];
 }
 
-async function graphNode_getLatestPrice(poolId, maxTimestamp = null) {
+async function graphNode_fetchCandles(url, poolId, minTimestamp, maxTimestamp, period = BASE_PERIOD_SEC, ohlc = false, activity = false, maxCandles = MAX_CANDLES) {
+    const fields = candleFields(ohlc, activity);
+    const { candles, truncated } = await paginateCandles(
+        (from, first) => graphNode_fetchCandlesPage(url, poolId, from, maxTimestamp, period, fields, first),
+        (candle) => parseInt(candle.periodStartUnix),
+        minTimestamp,
+        maxCandles
+    );
+    return { candles: candles.map(c => ({ ...c, ...candleActivity(c, false) })), truncated };
+}
+
+async function graphNode_getLatestPrice(url, poolId, maxTimestamp = null) {
     const whereClause = maxTimestamp
         ? `pool: "${poolId}", period: "3600", periodStartUnix_lte: "${maxTimestamp}"`
         : `pool: "${poolId}", period: "3600"`;
@@ -138,7 +233,7 @@ async function graphNode_getLatestPrice(poolId, maxTimestamp = null) {
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
+    const data = await gqlFetch(url, query);
     const candle = data?.candles?.[0];
     return candle ? parseFloat(candle.close) : 0;
 }
@@ -147,7 +242,7 @@ async function graphNode_getLatestPrice(poolId, maxTimestamp = null) {
 // CHECKPOINT IMPLEMENTATION
 // ============================================================================
 
-async function checkpoint_fetchPools(proposalAddress, chainId = 100) {
+async function checkpoint_fetchPools(url, proposalAddress, chainId = 100) {
     const prefixedProposal = addChainPrefix(proposalAddress, chainId);
 
     const query = `{
@@ -166,7 +261,7 @@ async function checkpoint_fetchPools(proposalAddress, chainId = 100) {
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
+    const data = await gqlFetch(url, query);
     const rawPools = data?.pools || [];
 
     // Normalize to match Graph Node shape
@@ -175,12 +270,8 @@ async function checkpoint_fetchPools(proposalAddress, chainId = 100) {
         // Strip chain prefix from pool ID for consistent downstream usage
         id: stripChainPrefix(pool.id),
         // Checkpoint volumes are in raw wei (18 decimals) — normalize to human-readable
-        volumeToken0: pool.volumeToken0
-            ? String(parseFloat(pool.volumeToken0) / 1e18)
-            : '0',
-        volumeToken1: pool.volumeToken1
-            ? String(parseFloat(pool.volumeToken1) / 1e18)
-            : '0',
+        volumeToken0: fromWei(pool.volumeToken0),
+        volumeToken1: fromWei(pool.volumeToken1),
         // Checkpoint returns token0/token1 as addresses, not objects
         // Use isInverted to assign roles:
         //   Default:  token0 = COMPANY, token1 = CURRENCY
@@ -198,39 +289,63 @@ async function checkpoint_fetchPools(proposalAddress, chainId = 100) {
     }));
 }
 
-async function checkpoint_fetchCandles(poolId, minTimestamp, maxTimestamp, chainId = 100) {
-    const prefixedPool = addChainPrefix(poolId, chainId);
-
+async function checkpoint_fetchCandlesPage(url, prefixedPool, minTimestamp, maxTimestamp, period, fields, first = PAGE_SIZE) {
     // Checkpoint has both `time` (raw swap ts) and `periodStartUnix` (snapped to period)
-    // We use `periodStartUnix` for consistency with Graph Node output
+    // `time` is the pagination cursor; `periodStartUnix` is what we return downstream
     const query = `{
         candles(
-            first: 1000
+            first: ${first}
             orderBy: time
             orderDirection: asc
             where: {
                 pool: "${prefixedPool}",
-                period: 3600,
+                period: ${period},
                 time_gte: ${minTimestamp},
                 time_lte: ${maxTimestamp}
             }
         ) {
-            periodStartUnix
-            close
+            time
+            ${fields}
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
-    const rawCandles = data?.candles || [];
+    const data = await gqlFetch(url, query);
+    return data?.candles || [];
+}
+
+async function checkpoint_fetchCandles(url, poolId, minTimestamp, maxTimestamp, chainId = 100, period = BASE_PERIOD_SEC, ohlc = false, activity = false, maxCandles = MAX_CANDLES) {
+    const prefixedPool = addChainPrefix(poolId, chainId);
+    const fields = candleFields(ohlc, activity);
+
+    const { candles: rawCandles, truncated } = await paginateCandles(
+        (from, first) => checkpoint_fetchCandlesPage(url, prefixedPool, from, maxTimestamp, period, fields, first),
+        (candle) => parseInt(candle.time),
+        minTimestamp,
+        maxCandles
+    );
 
     // Normalize: use periodStartUnix directly (same field name as Graph Node)
-    return rawCandles.map(c => ({
+    if (!ohlc) {
+        const candles = rawCandles.map(c => ({
+            periodStartUnix: String(c.periodStartUnix),
+            close: c.close,
+            ...candleActivity(c, true),
+        }));
+        return { candles, truncated };
+    }
+
+    const candles = rawCandles.map(c => ({
         periodStartUnix: String(c.periodStartUnix),
+        open: c.open,
+        high: c.high,
+        low: c.low,
         close: c.close,
+        ...candleActivity(c, true),
     }));
+    return { candles, truncated };
 }
 
-async function checkpoint_getLatestPrice(poolId, maxTimestamp = null, chainId = 100) {
+async function checkpoint_getLatestPrice(url, poolId, maxTimestamp = null, chainId = 100) {
     const prefixedPool = addChainPrefix(poolId, chainId);
     const whereClause = maxTimestamp
         ? `pool: "${prefixedPool}", period: 3600, time_lte: ${maxTimestamp}`
@@ -248,7 +363,7 @@ async function checkpoint_getLatestPrice(poolId, maxTimestamp = null, chainId =
         }
     }`;
 
-    const data = await gqlFetch(ENDPOINTS.candles, query);
+    const data = await gqlFetch(url, query);
     const candle = data?.candles?.[0];
     return candle ? parseFloat(candle.close) : 0;
 }
@@ -261,30 +376,80 @@ async function checkpoint_getLatestPrice(poolId, maxTimestamp = null, chainId =
  * Fetch all pools for a proposal.
  * Returns pools in Graph Node format (plain address IDs) regardless of backend.
  *
+ * When the indexer fails or has no pools, falls back to live on-chain prices
+ * (services/onchain-pools.js) — those pools carry `source: 'onchain'`.
+ *
  * @param {string} proposalAddress - Trading contract address (plain, no prefix)
- * @param {number} [chainId=100] - Chain ID (only used in Checkpoint mode)
+ * @param {number} [chainId=100] - Chain ID (only used by Checkpoint endpoints)
  * @returns {Promise<Array>} Normalized pool objects
  */
 export async function fetchPoolsForProposal(proposalAddress, chainId = 100) {
-    return IS_CHECKPOINT
-        ? checkpoint_fetchPools(proposalAddress, chainId)
-        : graphNode_fetchPools(proposalAddress);
+    return upstreamFlight.run(`pools:${chainId}:${proposalAddress.toLowerCase()}`, () => withOnchainFallback(
+        () => routeRequest('candles', ({ url, mode }) => mode === 'checkpoint'
+            ? checkpoint_fetchPools(url, proposalAddress, chainId)
+            : graphNode_fetchPools(url, proposalAddress)),
+        proposalAddress, chainId));
+}
+
+/**
+ * Candles from one endpoint. With `activity`, an endpoint whose schema rejects
+ * the activity fields is queried without them (and remembered), so the chart
+ * degrades to candles without volume instead of failing.
+ */
+async function fetchCandlesFrom({ url, mode }, poolId, minTimestamp, maxTimestamp, chainId, period, ohlc, activity, maxCandles) {
+    const fetchWith = (withActivity) => mode === 'checkpoint'
+        ? checkpoint_fetchCandles(url, poolId, minTimestamp, maxTimestamp, chainId, period, ohlc, withActivity, maxCandles)
+        : graphNode_fetchCandles(url, poolId, minTimestamp, maxTimestamp, period, ohlc, withActivity, maxCandles);
+
+    if (!activity || activityUnsupported.has(url)) return fetchWith(false);
+    try {
+        return await fetchWith(true);
+    } catch (err) {
+        if (!(err instanceof GraphQLError) || !ACTIVITY_FIELDS.some(f => err.message.includes(f))) throw err;
+        log.warn('endpoint has no candle activity fields, fetching without', { url, mode, err });
+        activityUnsupported.add(url);
+        return fetchWith(false);
+    }
 }
 
 /**
  * Fetch candles for a pool within a time range.
- * Returns candles with { periodStartUnix, close } regardless of backend.
+ * Returns candles with { periodStartUnix, close } regardless of backend, or
+ * { periodStartUnix, open, high, low, close, volumeToken0, volumeToken1 } with `ohlc`.
+ * With `activity` they also carry the period's volumeToken0/volumeToken1
+ * (human-readable) and txCount (swaps), as strings — unless the endpoint's
+ * schema lacks them, in which case those fields are absent.
+ *
+ * Resolutions the indexer does not store natively (e.g. 4h, 1d) are fetched
+ * as hourly candles and aggregated here.
+ *
+ * Ranges longer than one indexer page (1000 candles) are paginated. When
+ * `maxCandles` is reached the result is cut short and `truncated` is true.
  *
  * @param {string} poolId - Pool address (plain, no prefix)
  * @param {number} minTimestamp - Start timestamp
  * @param {number} maxTimestamp - End timestamp
- * @param {number} [chainId=100] - Chain ID (only used in Checkpoint mode)
- * @returns {Promise<Array>} Normalized candle objects
+ * @param {number} [chainId=100] - Chain ID (only used by Checkpoint endpoints)
+ * @param {Object} [options]
+ * @param {Object} [options.resolution] - Resolution from config/resolutions.js (default: hourly)
+ * @param {boolean} [options.ohlc=false] - Return open/high/low/close and per-candle volume
+ * @param {boolean} [options.activity=false] - Also return per-candle volume and txCount
+ * @param {number} [options.maxCandles] - Hard cap on fetched candles (default: CANDLES_MAX_RESULTS)
+ * @returns {Promise<{candles: Array, truncated: boolean}>} Normalized candles
  */
-export async function fetchCandles(poolId, minTimestamp, maxTimestamp, chainId = 100) {
-    return IS_CHECKPOINT
-        ? checkpoint_fetchCandles(poolId, minTimestamp, maxTimestamp, chainId)
-        : graphNode_fetchCandles(poolId, minTimestamp, maxTimestamp);
+export async function fetchCandles(poolId, minTimestamp, maxTimestamp, chainId = 100, { resolution = null, ohlc = false, activity = false, maxCandles = MAX_CANDLES } = {}) {
+    const period = resolution?.fetchPeriod || BASE_PERIOD_SEC;
+    const key = `candles:${chainId}:${poolId}:${minTimestamp}:${maxTimestamp}:${resolution?.name || period}:${ohlc}:${activity}:${maxCandles}`;
+
+    return upstreamFlight.run(key, async () => {
+        const { candles, truncated } = await routeRequest('candles', (endpoint) =>
+            fetchCandlesFrom(endpoint, poolId, minTimestamp, maxTimestamp, chainId, period, ohlc, activity, maxCandles));
+
+        if (resolution && resolution.seconds > period) {
+            return { candles: aggregateCandles(candles, resolution.seconds), truncated };
+        }
+        return { candles, truncated };
+    });
 }
 
 /**
@@ -292,21 +457,21 @@ export async function fetchCandles(poolId, minTimestamp, maxTimestamp, chainId =
  *
  * @param {string} poolId - Pool address (plain, no prefix)
  * @param {number} [maxTimestamp] - Optional max timestamp
- * @param {number} [chainId=100] - Chain ID (only used in Checkpoint mode)
+ * @param {number} [chainId=100] - Chain ID (only used by Checkpoint endpoints)
  * @returns {Promise<number>} Latest close price
  */
 export async function getLatestPrice(poolId, maxTimestamp = null, chainId = 100) {
-    return IS_CHECKPOINT
-        ? checkpoint_getLatestPrice(poolId, maxTimestamp, chainId)
-        : graphNode_getLatestPrice(poolId, maxTimestamp);
+    return upstreamFlight.run(`latest:${chainId}:${poolId}:${maxTimestamp}`, () => routeRequest('candles', ({ url, mode }) => mode === 'checkpoint'
+        ? checkpoint_getLatestPrice(url, poolId, maxTimestamp, chainId)
+        : graphNode_getLatestPrice(url, poolId, maxTimestamp)));
 }
 
 /**
  * Proxy a raw GraphQL candles query.
  * Used by the graphql-proxy route to forward requests to the correct endpoint.
  *
- * In Graph Node mode: forwards as-is.
- * In Checkpoint mode: translates the query variables (adds chain prefix to pool IDs,
+ * Graph Node endpoints: forwarded as-is.
+ * Checkpoint endpoints: translates the query variables (adds chain prefix to pool IDs,
  * changes periodStartUnix to time) and normalizes the response back.
  *
  * @param {string} query - Raw GraphQL query
@@ -315,13 +480,13 @@ export async function getLatestPrice(poolId, maxTimestamp = null, chainId = 100)
  * @returns {Promise<object>} Raw GraphQL response data
  */
 export async function proxyCandlesQuery(query, variables = {}, chainId = 100) {
-    if (!IS_CHECKPOINT) {
-        // Graph Node: pass through directly
-        const data = await gqlFetch(ENDPOINTS.candles, query, variables);
-        return { data };
-    }
+    return routeRequest('candles', ({ url, mode }) => mode === 'checkpoint'
+        ? checkpoint_proxyQuery(url, query, variables, chainId)
+        : gqlFetch(url, query, variables).then(data => ({ data })));
+}
 
-    // Checkpoint mode: adapt variables (prefix pool IDs) and query fields
+async function checkpoint_proxyQuery(url, query, variables, chainId) {
+    // Adapt variables (prefix pool IDs) and query fields
     const adaptedVars = { ...variables };
 
     // Prefix pool IDs in variables (when UI uses $yesPoolId/$noPoolId)
@@ -346,9 +511,9 @@ export async function proxyCandlesQuery(query, variables = {}, chainId = 100) {
         (match, addr) => `pool: "${addChainPrefix(addr, chainId)}"`
     );
 
-    console.log(`   [PROXY] Adapted query pool refs for chain ${chainId}`);
+    log.debug('adapted proxy query', { chainId });
 
-    const rawData = await gqlFetch(ENDPOINTS.candles, adaptedQuery, adaptedVars);
+    const rawData = await gqlFetch(url, adaptedQuery, adaptedVars);
 
     // Normalize response: convert `time` back to `periodStartUnix` for downstream
     const normalizedData = {};
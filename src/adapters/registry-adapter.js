@@ -18,8 +18,13 @@
  */
 
 import { ethers } from 'ethers';
-import { ENDPOINTS, IS_CHECKPOINT } from '../config/endpoints.js';
-import { registryCache } from '../utils/cache.js';
+import { registryCache, upstreamFlight } from '../utils/cache.js';
+import { trackUpstream } from '../utils/metrics.js';
+import { ethCall } from '../services/rpc-client.js';
+import { routeRequest, GraphQLError } from '../services/endpoint-router.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('registry-adapter');
 
 const AGGREGATOR_ADDRESS = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
 
@@ -29,21 +34,21 @@ const AGGREGATOR_ADDRESS = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
 
 const SNAPSHOT_LINK_REGISTRY = '0xa6Bc2857906C808bc0041f3A2977F53c6b6b0823';
 const FACTORY_ADDRESS = '0xa6cB18FCDC17a2B44E5cAd2d80a6D5942d30a345';
-const GNOSIS_RPC = process.env.GNOSIS_RPC_URL || 'https://rpc.gnosischain.com';
+const REGISTRY_CHAIN_ID = 100;
 
-const registryAbi = [
+const registryIface = new ethers.Interface([
     'function getFutarchyId(bytes32 snapshotId) view returns (uint256 futarchyId, bool exists)',
-];
-const factoryAbi = [
+]);
+const factoryIface = new ethers.Interface([
     'function proposals(uint256 index) view returns (address)',
-];
+]);
 
-let _rpcProvider = null;
-function getRpcProvider() {
-    if (!_rpcProvider) {
-        _rpcProvider = new ethers.JsonRpcProvider(GNOSIS_RPC, 100, { staticNetwork: true });
-    }
-    return _rpcProvider;
+/**
+ * Call a view function on Gnosis through rpc-client (shared RPC failover).
+ */
+async function viewCall(iface, address, fn, args) {
+    const data = await ethCall(REGISTRY_CHAIN_ID, address, iface.encodeFunctionData(fn, args));
+    return iface.decodeFunctionResult(fn, data);
 }
 
 /**
@@ -52,20 +57,17 @@ function getRpcProvider() {
  */
 async function onchain_lookupBySnapshotId(snapshotId) {
     try {
-        const provider = getRpcProvider();
-        const registry = new ethers.Contract(SNAPSHOT_LINK_REGISTRY, registryAbi, provider);
         const padded = ethers.zeroPadValue(snapshotId, 32);
-        const [futarchyId, exists] = await registry.getFutarchyId(padded);
+        const [futarchyId, exists] = await viewCall(registryIface, SNAPSHOT_LINK_REGISTRY, 'getFutarchyId', [padded]);
         if (!exists) return null;
 
-        const factory = new ethers.Contract(FACTORY_ADDRESS, factoryAbi, provider);
-        const proposalAddr = await factory.proposals(futarchyId);
+        const [proposalAddr] = await viewCall(factoryIface, FACTORY_ADDRESS, 'proposals', [futarchyId]);
         if (proposalAddr === ethers.ZeroAddress) return null;
 
-        console.log(`   🔗 SnapshotLinkRegistry: ${snapshotId.slice(0, 10)}... → #${futarchyId} → ${proposalAddr}`);
+        log.debug('snapshot link registry hit', { snapshotId, futarchyId: futarchyId.toString(), proposalAddress: proposalAddr });
         return proposalAddr.toLowerCase();
     } catch (e) {
-        console.warn(`   ⚠️ SnapshotLinkRegistry lookup failed: ${e.message}`);
+        log.warn('snapshot link registry lookup failed', { snapshotId, err: e });
         return null;
     }
 }
@@ -75,26 +77,28 @@ async function onchain_lookupBySnapshotId(snapshotId) {
 // ============================================================================
 
 async function gqlFetch(url, query, variables = {}) {
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, variables }),
+    return trackUpstream('registry', async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables }),
+        });
+        const json = await response.json();
+        if (json.errors) {
+            throw new GraphQLError(json.errors[0].message);
+        }
+        return json.data;
     });
-    const json = await response.json();
-    if (json.errors) {
-        throw new Error(`GraphQL: ${json.errors[0].message}`);
-    }
-    return json.data;
 }
 
 // ============================================================================
 // GRAPH NODE IMPLEMENTATION
 // ============================================================================
 
-async function graphNode_lookupBySnapshotId(snapshotId) {
+async function graphNode_lookupBySnapshotId(url, snapshotId) {
     const normalized = snapshotId.toLowerCase();
 
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+    const data = await gqlFetch(url, `{
         metadataEntries(where: {
             key: "snapshot_id",
             value: "${normalized}"
@@ -131,10 +135,10 @@ async function graphNode_lookupBySnapshotId(snapshotId) {
     return normalizeProposalResult(proposal, config);
 }
 
-async function graphNode_lookupInOrgMetadata(snapshotId) {
+async function graphNode_lookupInOrgMetadata(url, snapshotId) {
     const normalized = snapshotId.toLowerCase();
 
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+    const data = await gqlFetch(url, `{
         metadataEntries(where: {
             key: "${normalized}",
             organization_: { aggregator: "${AGGREGATOR_ADDRESS}" }
@@ -159,10 +163,10 @@ async function graphNode_lookupInOrgMetadata(snapshotId) {
     };
 }
 
-async function graphNode_lookupOrgMetadata(orgId, key) {
+async function graphNode_lookupOrgMetadata(url, orgId, key) {
     if (!orgId) return null;
 
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+    const data = await gqlFetch(url, `{
         metadataEntries(where: {
             key: "${key}",
             organization: "${orgId}"
@@ -178,12 +182,12 @@ async function graphNode_lookupOrgMetadata(orgId, key) {
 // CHECKPOINT IMPLEMENTATION
 // ============================================================================
 
-async function checkpoint_lookupBySnapshotId(snapshotId) {
+async function checkpoint_lookupBySnapshotId(url, snapshotId) {
     const normalized = snapshotId.toLowerCase();
 
     // Single nested query — Checkpoint supports full nesting!
     // Replaces 4 sequential queries (~4100ms) with 1 query (~500ms)
-    const metaData = await gqlFetch(ENDPOINTS.registry, `{
+    const metaData = await gqlFetch(url, `{
         metadataentries(where: {
             key: "snapshot_id",
             value_contains_nocase: "${normalized}"
@@ -224,11 +228,11 @@ async function checkpoint_lookupBySnapshotId(snapshotId) {
     return normalizeProposalResult(proposal, config);
 }
 
-async function checkpoint_lookupInOrgMetadata(snapshotId) {
+async function checkpoint_lookupInOrgMetadata(url, snapshotId) {
     const normalized = snapshotId.toLowerCase();
 
     // Get organizations for our aggregator first
-    const orgData = await gqlFetch(ENDPOINTS.registry, `{
+    const orgData = await gqlFetch(url, `{
         organizations(where: { aggregator: "${AGGREGATOR_ADDRESS}" }) {
             id
             name
@@ -239,7 +243,7 @@ async function checkpoint_lookupInOrgMetadata(snapshotId) {
 
     // Check each org for a metadata entry with key === snapshotId
     for (const org of orgs) {
-        const metaData = await gqlFetch(ENDPOINTS.registry, `{
+        const metaData = await gqlFetch(url, `{
             metadataentries(where: {
                 key: "${normalized}",
                 organization: "${org.id}"
@@ -263,8 +267,8 @@ async function checkpoint_lookupInOrgMetadata(snapshotId) {
     return null;
 }
 
-async function checkpoint_getProposalMetadata(proposalId) {
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+async function checkpoint_getProposalMetadata(url, proposalId) {
+    const data = await gqlFetch(url, `{
         metadataentries(where: { proposal: "${proposalId}" }, first: 200) {
             key
             value
@@ -273,10 +277,10 @@ async function checkpoint_getProposalMetadata(proposalId) {
     return data?.metadataentries || [];
 }
 
-async function checkpoint_lookupOrgMetadata(orgId, key) {
+async function checkpoint_lookupOrgMetadata(url, orgId, key) {
     if (!orgId) return null;
 
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+    const data = await gqlFetch(url, `{
         metadataentries(where: {
             key: "${key}",
             organization: "${orgId}"
@@ -292,9 +296,9 @@ async function checkpoint_lookupOrgMetadata(orgId, key) {
 // FETCH PROPOSAL BY ADDRESS (used after on-chain registry resolves an address)
 // ============================================================================
 
-async function fetchProposalByAddress(proposalAddress) {
-    const entityName = IS_CHECKPOINT ? 'proposalentities' : 'proposalEntities';
-    const data = await gqlFetch(ENDPOINTS.registry, `{
+async function fetchProposalByAddress({ url, mode }, proposalAddress) {
+    const entityName = mode === 'checkpoint' ? 'proposalentities' : 'proposalEntities';
+    const data = await gqlFetch(url, `{
         ${entityName}(where: { proposalAddress: "${proposalAddress}" }) {
             id
             proposalAddress
@@ -324,6 +328,127 @@ async function fetchProposalByAddress(proposalAddress) {
     return normalizeProposalResult(proposal, config);
 }
 
+// ============================================================================
+// LIST PROPOSALS (aggregator or one organization)
+// ============================================================================
+
+// Indexer page size — lists are fetched page by page on an `id` cursor
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Every row of a list query, page by page: each page asks for ids after the
+ * last one seen, so results neither overlap nor stop at one page.
+ *
+ * @param {string} url
+ * @param {string} entity - Top-level field of the response
+ * @param {function(string): string} pageQuery - cursor => query selecting `id`, with
+ *   `first: LIST_PAGE_SIZE, orderBy: id, orderDirection: asc` and `id_gt: cursor`
+ * @returns {Promise<Array>}
+ */
+async function fetchAllById(url, entity, pageQuery) {
+    const rows = [];
+    let cursor = '';
+    while (true) {
+        const data = await gqlFetch(url, pageQuery(cursor));
+        const page = data?.[entity] || [];
+        rows.push(...page);
+        if (page.length < LIST_PAGE_SIZE) return rows;
+        cursor = page[page.length - 1].id;
+    }
+}
+
+/**
+ * snapshot_id metadata entries for the given proposals, chunked so each
+ * `proposal_in` filter stays one page wide.
+ */
+async function fetchSnapshotEntries(url, entity, proposalIds) {
+    const entries = [];
+    for (let i = 0; i < proposalIds.length; i += LIST_PAGE_SIZE) {
+        const chunk = JSON.stringify(proposalIds.slice(i, i + LIST_PAGE_SIZE));
+        entries.push(...await fetchAllById(url, entity, (cursor) => `{
+            ${entity}(first: ${LIST_PAGE_SIZE}, orderBy: id, orderDirection: asc, where: {
+                key: "snapshot_id",
+                proposal_in: ${chunk},
+                id_gt: "${cursor}"
+            }) {
+                id
+                value
+                proposal { id }
+            }
+        }`));
+    }
+    return entries;
+}
+
+async function graphNode_listProposals(url, organizationId) {
+    const where = organizationId
+        ? `organization: "${organizationId}"`
+        : `organization_: { aggregator: "${AGGREGATOR_ADDRESS}" }`;
+
+    const proposals = await fetchAllById(url, 'proposalEntities', (cursor) => `{
+        proposalEntities(first: ${LIST_PAGE_SIZE}, orderBy: id, orderDirection: asc, where: { ${where}, id_gt: "${cursor}" }) {
+            id
+            proposalAddress
+            title
+            metadata
+            organization {
+                id
+                name
+            }
+        }
+    }`);
+    if (proposals.length === 0) return [];
+
+    const snapshotEntries = await fetchSnapshotEntries(url, 'metadataEntries', proposals.map(p => p.id));
+    return withSnapshotIds(proposals, snapshotEntries);
+}
+
+async function checkpoint_listProposals(url, organizationId) {
+    // No nested FK filters — resolve the aggregator's organizations first
+    let orgIds = organizationId ? [organizationId] : null;
+    if (!orgIds) {
+        const orgs = await fetchAllById(url, 'organizations', (cursor) => `{
+            organizations(first: ${LIST_PAGE_SIZE}, orderBy: id, orderDirection: asc, where: { aggregator: "${AGGREGATOR_ADDRESS}", id_gt: "${cursor}" }) {
+                id
+            }
+        }`);
+        orgIds = orgs.map(o => o.id);
+        if (orgIds.length === 0) return [];
+    }
+
+    const proposals = await fetchAllById(url, 'proposalentities', (cursor) => `{
+        proposalentities(first: ${LIST_PAGE_SIZE}, orderBy: id, orderDirection: asc, where: { organization_in: ${JSON.stringify(orgIds)}, id_gt: "${cursor}" }) {
+            id
+            proposalAddress
+            title
+            metadata
+            organization {
+                id
+                name
+            }
+        }
+    }`);
+    if (proposals.length === 0) return [];
+
+    const snapshotEntries = await fetchSnapshotEntries(url, 'metadataentries', proposals.map(p => p.id));
+    return withSnapshotIds(proposals, snapshotEntries);
+}
+
+function withSnapshotIds(proposals, snapshotEntries) {
+    const snapshotIds = new Map(snapshotEntries.map(e => [e.proposal?.id?.toLowerCase(), e.value?.toLowerCase()]));
+    return proposals.map(proposal => {
+        let config = {};
+        if (proposal.metadata) {
+            try { config = JSON.parse(proposal.metadata); } catch (e) { /* ignore */ }
+        }
+        return {
+            ...normalizeProposalResult(proposal, config),
+            title: proposal.title || null,
+            snapshotId: snapshotIds.get(proposal.id.toLowerCase()) || null,
+        };
+    });
+}
+
 // ============================================================================
 // NORMALIZATION
 // ============================================================================
@@ -354,7 +479,7 @@ function normalizeProposalResult(proposal, config) {
 
 /**
  * Resolve a Snapshot proposal ID to Futarchy proposal data.
- * Works identically regardless of backend mode.
+ * Works identically whichever mode the serving endpoint speaks.
  *
  * @param {string} proposalId - Snapshot proposal ID or trading contract address
  * @returns {Promise<Object>} Normalized proposal data
@@ -365,14 +490,22 @@ export async function resolveProposalId(proposalId) {
     // Check cache first (5 min TTL)
     const cached = registryCache.get(normalized);
     if (cached) {
-        console.log(`   ⚡ Registry cache hit: ${normalized.slice(0, 10)}...`);
+        log.debug('cache hit', { proposalId: normalized });
         return cached;
     }
 
+    // Concurrent misses for the same proposal share one lookup
+    return registryCache.coalesce(normalized, () => resolveUncached(normalized, proposalId));
+}
+
+/**
+ * Cache-miss path of resolveProposalId — every outcome is cached, including the fallback.
+ */
+async function resolveUncached(normalized, proposalId) {
     // 1. Try on-chain SnapshotLinkRegistry (canonical, no stale entries)
     const onchainAddr = await onchain_lookupBySnapshotId(normalized);
     if (onchainAddr) {
-        const onchainResult = await fetchProposalByAddress(onchainAddr);
+        const onchainResult = await routeRequest('registry', ep => fetchProposalByAddress(ep, onchainAddr));
         if (onchainResult) {
             registryCache.set(normalized, onchainResult);
             return onchainResult;
@@ -380,16 +513,18 @@ export async function resolveProposalId(proposalId) {
     }
 
     // 2. Fall back to metadataentries snapshot_id lookup
-    const lookupFn = IS_CHECKPOINT ? checkpoint_lookupBySnapshotId : graphNode_lookupBySnapshotId;
-    const snapshotResult = await lookupFn(normalized);
+    const snapshotResult = await routeRequest('registry', ({ url, mode }) => mode === 'checkpoint'
+        ? checkpoint_lookupBySnapshotId(url, normalized)
+        : graphNode_lookupBySnapshotId(url, normalized));
     if (snapshotResult) {
         registryCache.set(normalized, snapshotResult);
         return snapshotResult;
     }
 
     // 3. Fall back to org metadata lookup
-    const orgLookupFn = IS_CHECKPOINT ? checkpoint_lookupInOrgMetadata : graphNode_lookupInOrgMetadata;
-    const orgResult = await orgLookupFn(normalized);
+    const orgResult = await routeRequest('registry', ({ url, mode }) => mode === 'checkpoint'
+        ? checkpoint_lookupInOrgMetadata(url, normalized)
+        : graphNode_lookupInOrgMetadata(url, normalized));
     if (orgResult) {
         registryCache.set(normalized, orgResult);
         return orgResult;
@@ -415,7 +550,29 @@ export async function resolveProposalId(proposalId) {
  * @returns {Promise<string|null>} Metadata value
  */
 export async function lookupOrgMetadata(orgId, key) {
-    return IS_CHECKPOINT
-        ? checkpoint_lookupOrgMetadata(orgId, key)
-        : graphNode_lookupOrgMetadata(orgId, key);
+    return upstreamFlight.run(`orgmeta:${orgId}:${key}`, () => routeRequest('registry', ({ url, mode }) => mode === 'checkpoint'
+        ? checkpoint_lookupOrgMetadata(url, orgId, key)
+        : graphNode_lookupOrgMetadata(url, orgId, key)));
+}
+
+/**
+ * List proposals under our aggregator, or under one organization.
+ * Cached in registryCache like single lookups.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.organizationId] - Limit to this organization
+ * @returns {Promise<Array>} Normalized proposal data plus `title` and `snapshotId`
+ */
+export async function listProposals({ organizationId = null } = {}) {
+    const key = `list:${organizationId?.toLowerCase() || AGGREGATOR_ADDRESS}`;
+    const cached = registryCache.get(key);
+    if (cached) return cached;
+
+    return registryCache.coalesce(key, async () => {
+        const proposals = await routeRequest('registry', ({ url, mode }) => mode === 'checkpoint'
+            ? checkpoint_listProposals(url, organizationId)
+            : graphNode_listProposals(url, organizationId));
+        registryCache.set(key, proposals);
+        return proposals;
+    });
 }
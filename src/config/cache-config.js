@@ -6,26 +6,52 @@
  * 
  * Override via environment variables:
  *   CACHE_RESPONSE_TTL=30    (seconds)
+ *   CACHE_RESPONSE_STALE=120           (seconds, stale-while-revalidate window)
+ *   CACHE_RESPONSE_STALE_IF_ERROR=3600 (seconds)
  *   CACHE_REGISTRY_TTL=300   (seconds)
  *   CACHE_CANDLES_TTL=30     (seconds)
  *   CACHE_SPOT_TTL=30        (seconds)
  *   WARMER_RETENTION_DAYS=7
  *   WARMER_MAX_ENTRIES=50
+ *   WARMER_SEED=true         (pre-register active proposals at startup)
+ *   WARMER_CONCURRENCY=4     (refreshes running at once)
+ *   WARMER_MAX_INTERVAL_SEC=600          (slowest refresh for quiet proposals)
+ *   WARMER_CLOSED_INTERVAL_SEC=3600      (closed proposals; 0 = stop warming them)
  *   ENABLE_WARMER=true
+ *   CACHE_DISK_DIR=/tmp/futarchy-cache   (unset = memory only)
+ *   CACHE_CLOSED_MARGIN_SEC=21600        (seconds)
+ *   CACHE_DISK_MAX_ENTRIES=10000         (files per cache; oldest evicted past this)
+ *   CACHE_DISK_SWEEP_SEC=600             (how often expired files are removed)
  */
 
 // ── Response cache (full endpoint response) ──
 export const RESPONSE_TTL_SEC = parseInt(process.env.CACHE_RESPONSE_TTL || '13');  // warmer fires at 13-3=10s
+// Past the TTL, serve the old response instantly while a background refresh runs...
+export const RESPONSE_STALE_SEC = parseInt(process.env.CACHE_RESPONSE_STALE || '120');
+// ...and keep serving it when upstream fails, for up to this long past the TTL
+export const RESPONSE_STALE_IF_ERROR_SEC = parseInt(process.env.CACHE_RESPONSE_STALE_IF_ERROR || '3600');
 
 // ── Data-layer caches ──
 export const REGISTRY_TTL_SEC = parseInt(process.env.CACHE_REGISTRY_TTL || '300'); // 5 min
 export const CANDLES_TTL_SEC = parseInt(process.env.CACHE_CANDLES_TTL || '30');
 export const SPOT_TTL_SEC = parseInt(process.env.CACHE_SPOT_TTL || '10');  // 10s — warmer keeps fresh
 
+// ── Disk tier (optional, registry/candles/spot) ──
+export const CACHE_DISK_DIR = process.env.CACHE_DISK_DIR || null;
+// Ranges ending more than this long ago are "closed" and kept on disk indefinitely
+export const CACHE_CLOSED_MARGIN_SEC = parseInt(process.env.CACHE_CLOSED_MARGIN_SEC || '21600'); // 6h
+// Closed entries never expire — the cap keeps arbitrary historical ranges from filling the disk
+export const CACHE_DISK_MAX_ENTRIES = parseInt(process.env.CACHE_DISK_MAX_ENTRIES || '10000');
+export const CACHE_DISK_SWEEP_SEC = parseInt(process.env.CACHE_DISK_SWEEP_SEC || '600'); // 10 min
+
 // ── Warmer ──
 export const ENABLE_WARMER = (process.env.ENABLE_WARMER || 'true').toLowerCase() !== 'false';
 export const WARMER_RETENTION_DAYS = parseInt(process.env.WARMER_RETENTION_DAYS || '7');
 export const WARMER_MAX_ENTRIES = parseInt(process.env.WARMER_MAX_ENTRIES || '50');
+export const WARMER_SEED = (process.env.WARMER_SEED || 'true').toLowerCase() !== 'false';
+export const WARMER_CONCURRENCY = Math.max(parseInt(process.env.WARMER_CONCURRENCY || '4'), 1);
+export const WARMER_MAX_INTERVAL_SEC = parseInt(process.env.WARMER_MAX_INTERVAL_SEC || '600');   // 10 min
+export const WARMER_CLOSED_INTERVAL_SEC = parseInt(process.env.WARMER_CLOSED_INTERVAL_SEC || '3600'); // 1h
 
-// Warmer refreshes 3s before cache expires (so cache is always warm)
+// Base interval: refreshes 3s before cache expires (so active charts are always warm)
 export const WARMER_INTERVAL_SEC = Math.max(RESPONSE_TTL_SEC - 3, 5);
@@ -0,0 +1,82 @@
+/**
+ * Chain Registry — single source of truth for supported chains
+ *
+ * Shared by rate-provider, spot-price (GeckoTerminal network names) and the
+ * on-chain registry lookups. Each chain lists several RPC URLs; rpc-client
+ * fails over between them and tracks their health.
+ *
+ * Override RPC URLs via environment variables (comma-separated, tried in order):
+ *   RPC_URLS_1=https://eth.llamarpc.com,https://ethereum-rpc.publicnode.com
+ *   RPC_URLS_100=https://rpc.gnosischain.com,https://rpc.gnosis.gateway.fm
+ *   RPC_URLS_8453=https://mainnet.base.org
+ *
+ * GNOSIS_RPC_URL (legacy) is still honoured as the first Gnosis RPC.
+ */
+
+function rpcUrls(chainId, defaults, legacy = null) {
+    const fromEnv = process.env[`RPC_URLS_${chainId}`];
+    const urls = fromEnv ? fromEnv.split(',').map(u => u.trim()).filter(Boolean) : defaults;
+    return legacy && !urls.includes(legacy) ? [legacy, ...urls] : urls;
+}
+
+// Multicall3 — same address on every chain it is deployed to (rpc-client batches eth_calls through it)
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const CHAINS = {
+    1: {
+        name: 'Ethereum',
+        gecko: 'eth',
+        aliases: ['eth', 'ethereum', 'mainnet'],
+        rpcs: rpcUrls(1, ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com', 'https://cloudflare-eth.com']),
+        defaultRateProvider: null,  // No default for Ethereum yet
+        multicall3: MULTICALL3,
+    },
+    10: {
+        name: 'Optimism',
+        gecko: 'optimism',
+        aliases: ['optimism', 'op'],
+        rpcs: rpcUrls(10, ['https://mainnet.optimism.io', 'https://optimism-rpc.publicnode.com']),
+        defaultRateProvider: null,
+        multicall3: MULTICALL3,
+    },
+    100: {
+        name: 'Gnosis',
+        gecko: 'xdai',
+        aliases: ['xdai', 'gnosis'],
+        rpcs: rpcUrls(100, ['https://rpc.gnosischain.com', 'https://rpc.gnosis.gateway.fm', 'https://gnosis-rpc.publicnode.com'], process.env.GNOSIS_RPC_URL),
+        defaultRateProvider: '0x89C80A4540A00b5270347E02e2E144c71da2EceD',  // sDAI
+        multicall3: MULTICALL3,
+        algebraFactory: '0xA0864cCA6E114013AB0e27cbd5B6f4c8947da766',  // Swapr (on-chain pool fallback)
+    },
+    8453: {
+        name: 'Base',
+        gecko: 'base',
+        aliases: ['base'],
+        rpcs: rpcUrls(8453, ['https://mainnet.base.org', 'https://base-rpc.publicnode.com']),
+        defaultRateProvider: null,
+        multicall3: MULTICALL3,
+    },
+    42161: {
+        name: 'Arbitrum',
+        gecko: 'arbitrum',
+        aliases: ['arbitrum', 'arb'],
+        rpcs: rpcUrls(42161, ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com']),
+        defaultRateProvider: null,
+        multicall3: MULTICALL3,
+    },
+};
+
+/**
+ * Look up a chain by ID (number or numeric string) or network alias ('xdai', 'base', ...).
+ * @returns {Object|null} { chainId, name, gecko, aliases, rpcs, defaultRateProvider, multicall3, algebraFactory? }
+ */
+export function getChain(idOrNetwork) {
+    if (idOrNetwork === null || idOrNetwork === undefined) return null;
+
+    const id = Number(idOrNetwork);
+    if (CHAINS[id]) return { chainId: id, ...CHAINS[id] };
+
+    const alias = String(idOrNetwork).toLowerCase();
+    const entry = Object.entries(CHAINS).find(([, chain]) => chain.aliases.includes(alias));
+    return entry ? { chainId: Number(entry[0]), ...entry[1] } : null;
+}
@@ -1,18 +1,40 @@
 /**
  * Futarchy Charts — Endpoint Configuration
  *
- * Toggle between Graph Node (legacy subgraph) and Checkpoint (api.futarchy.fi)
- * using the FUTARCHY_MODE environment variable.
+ * Each role (registry, candles) has an ordered list of indexer endpoints,
+ * each tagged with the schema it speaks:
  *
- * Usage:
- *   FUTARCHY_MODE=checkpoint npm start    # use Checkpoint API
- *   FUTARCHY_MODE=graph_node npm start    # use Graph Node (default)
+ *   { url, mode: 'checkpoint' | 'graph_node', weight }
+ *
+ * Requests are routed per call by services/endpoint-router.js: weighted pick
+ * among healthy endpoints with weight > 0, then failover down the list.
+ * Weight 0 = standby, only used when the others fail. Roles may mix modes
+ * (e.g. Checkpoint for registry, Graph Node for candles) — the adapters build
+ * each query for the mode of the endpoint it is sent to.
+ *
+ * Sources (first match wins):
+ *   ENDPOINTS_FILE=/path/endpoints.json   reloaded on change and on SIGHUP
+ *     { "registry": [{ "url": "...", "mode": "checkpoint" }],
+ *       "candles":  [{ "url": "...", "mode": "graph_node", "weight": 2 }, ...] }
+ *
+ *   Legacy env (single mode):
+ *     FUTARCHY_MODE=checkpoint npm start    # use Checkpoint API (default)
+ *     FUTARCHY_MODE=graph_node npm start    # use Graph Node
+ *     REGISTRY_URL / CANDLES_URL, plus REGISTRY_URL_SECONDARY / CANDLES_URL_SECONDARY as standbys
  */
 
+import fs from 'fs';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('endpoints');
+
+const MODES = ['graph_node', 'checkpoint'];
+export const ROLES = ['registry', 'candles'];
+
 const MODE = (process.env.FUTARCHY_MODE || 'checkpoint').toLowerCase();
 
-if (!['graph_node', 'checkpoint'].includes(MODE)) {
-    console.warn(`[endpoints] Unknown FUTARCHY_MODE="${MODE}", falling back to checkpoint`);
+if (!MODES.includes(MODE)) {
+    log.warn('unknown FUTARCHY_MODE, falling back to checkpoint', { mode: MODE });
 }
 
 const GRAPH_NODE = {
@@ -30,10 +52,77 @@ const CHECKPOINT = {
     candles: process.env.CANDLES_URL || 'http://localhost:3004/graphql',
 };
 
-export const ENDPOINTS = MODE === 'checkpoint' ? CHECKPOINT : GRAPH_NODE;
-export const IS_CHECKPOINT = MODE === 'checkpoint';
+const ENDPOINTS_FILE = process.env.ENDPOINTS_FILE || null;
+
+function tableFromEnv() {
+    const mode = MODE === 'graph_node' ? 'graph_node' : 'checkpoint';
+    const primary = mode === 'checkpoint' ? CHECKPOINT : GRAPH_NODE;
+    const secondary = {
+        registry: process.env.REGISTRY_URL_SECONDARY || null,
+        candles: process.env.CANDLES_URL_SECONDARY || null,
+    };
+    return Object.fromEntries(ROLES.map(role => [role, [
+        { url: primary[role], mode, weight: 1 },
+        ...(secondary[role] ? [{ url: secondary[role], mode, weight: 0 }] : []),
+    ]]));
+}
+
+/**
+ * Validate and normalize a routing table. Throws on anything unusable.
+ */
+function parseTable(raw) {
+    return Object.fromEntries(ROLES.map(role => {
+        const list = raw?.[role];
+        if (!Array.isArray(list) || list.length === 0) throw new Error(`"${role}" needs at least one endpoint`);
+        return [role, list.map((ep, i) => {
+            if (typeof ep?.url !== 'string' || !ep.url) throw new Error(`${role}[${i}]: missing url`);
+            if (!MODES.includes(ep.mode)) throw new Error(`${role}[${i}]: mode must be one of ${MODES.join(', ')}`);
+            const weight = ep.weight ?? 1;
+            if (typeof weight !== 'number' || weight < 0) throw new Error(`${role}[${i}]: weight must be a number >= 0`);
+            return { url: ep.url, mode: ep.mode, weight };
+        })];
+    }));
+}
+
+function loadTable() {
+    if (!ENDPOINTS_FILE) return tableFromEnv();
+    return parseTable(JSON.parse(fs.readFileSync(ENDPOINTS_FILE, 'utf8')));
+}
+
+let table = loadTable();
+
+/**
+ * @param {string} role - 'registry' | 'candles'
+ * @returns {Array<{url: string, mode: string, weight: number}>} In configured order
+ */
+export function getEndpoints(role) {
+    return table[role];
+}
+
+export function getRoutingTable() {
+    return table;
+}
+
+/**
+ * Re-read ENDPOINTS_FILE. An invalid file keeps the current table.
+ * @returns {Object} The active routing table
+ * @throws When the file can't be read or fails validation
+ */
+export function reloadEndpoints() {
+    if (!ENDPOINTS_FILE) return table;
+    table = loadTable();
+    log.info('routing table reloaded', { file: ENDPOINTS_FILE, table });
+    return table;
+}
+
+if (ENDPOINTS_FILE) {
+    const reload = () => {
+        try { reloadEndpoints(); } catch (err) { log.error('routing table reload failed, keeping previous', { file: ENDPOINTS_FILE, err }); }
+    };
+    fs.watchFile(ENDPOINTS_FILE, { interval: 5000 }, reload).unref();
+    process.on('SIGHUP', reload);
+}
+
 export { MODE };
 
-console.log(`[endpoints] Mode: ${MODE.toUpperCase()}`);
-console.log(`[endpoints] Registry: ${ENDPOINTS.registry}`);
-console.log(`[endpoints] Candles:  ${ENDPOINTS.candles}`);
+log.info('endpoints', { source: ENDPOINTS_FILE || `env (${MODE})`, table });
@@ -0,0 +1,89 @@
+/**
+ * Candle Resolution Configuration
+ *
+ * Maps the `resolution` query parameter to a candle period (seconds) and to the
+ * GeckoTerminal timeframe/aggregate used for spot candles.
+ *
+ * Periods the indexer does not store natively are built on the server by
+ * bucketing the largest native period that divides them (see utils/candles.js).
+ * Resolutions finer than every native period can't be built and are unsupported.
+ *
+ * Override via environment variables:
+ *   CANDLE_NATIVE_PERIODS=3600   (periods stored by the candles indexer, e.g. 60,300,900,3600)
+ */
+
+export const DEFAULT_RESOLUTION = '1h';
+
+// Period every indexer stores — coarser resolutions are aggregated from it
+export const BASE_PERIOD_SEC = 3600;
+
+// GeckoTerminal rejects limit > 1000
+const GECKO_MAX_LIMIT = 1000;
+const GECKO_MIN_LIMIT = 500;
+
+export const RESOLUTIONS = {
+    '1m': { seconds: 60, gecko: { timeframe: 'minute', aggregate: 1 } },
+    '5m': { seconds: 300, gecko: { timeframe: 'minute', aggregate: 5 } },
+    '15m': { seconds: 900, gecko: { timeframe: 'minute', aggregate: 15 } },
+    '1h': { seconds: 3600, gecko: { timeframe: 'hour', aggregate: 1 } },
+    '4h': { seconds: 14400, gecko: { timeframe: 'hour', aggregate: 4 } },
+    '1d': { seconds: 86400, gecko: { timeframe: 'day', aggregate: 1 } },
+};
+
+const NATIVE_PERIODS = new Set(
+    (process.env.CANDLE_NATIVE_PERIODS || String(BASE_PERIOD_SEC))
+        .split(',')
+        .map(p => parseInt(p.trim()))
+        .filter(p => p > 0)
+);
+if (NATIVE_PERIODS.size === 0) NATIVE_PERIODS.add(BASE_PERIOD_SEC);
+
+/**
+ * Look up a resolution by name.
+ *
+ * `fetchPeriod` is the period to request from the indexer: the resolution itself
+ * when stored natively, otherwise the largest native period it is a multiple of
+ * (and the caller aggregates). `supported` is false when there is none — the
+ * resolution is finer than anything the indexer stores.
+ *
+ * @param {string} [name='1h'] - One of the RESOLUTIONS keys
+ * @returns {Object|null} { name, seconds, gecko, native, supported, fetchPeriod } or null if unknown
+ */
+export function getResolution(name = DEFAULT_RESOLUTION) {
+    const resolution = RESOLUTIONS[name];
+    if (!resolution) return null;
+
+    const native = NATIVE_PERIODS.has(resolution.seconds);
+    const fetchPeriod = native
+        ? resolution.seconds
+        : Math.max(0, ...[...NATIVE_PERIODS].filter(p => resolution.seconds % p === 0));
+    return {
+        name,
+        ...resolution,
+        native,
+        supported: fetchPeriod > 0,
+        fetchPeriod: fetchPeriod || null,
+    };
+}
+
+/**
+ * Finest candle period the indexer stores, in seconds.
+ */
+export function finestNativePeriod() {
+    return Math.min(...NATIVE_PERIODS);
+}
+
+/**
+ * Number of spot candles to request from GeckoTerminal so the range is covered.
+ * `truncated` is true when the range needs more than one request can return —
+ * only the most recent `limit` candles are served.
+ *
+ * @returns {{limit: number, truncated: boolean}}
+ */
+export function spotLimitFor(resolution, minTimestamp, maxTimestamp) {
+    const needed = Math.ceil((maxTimestamp - minTimestamp) / resolution.seconds) + 1;
+    return {
+        limit: Math.min(GECKO_MAX_LIMIT, Math.max(GECKO_MIN_LIMIT, needed)),
+        truncated: needed > GECKO_MAX_LIMIT,
+    };
+}
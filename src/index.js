@@ -12,27 +12,86 @@ import express from 'express';
 import cors from 'cors';
 import { handleMarketEventsRequest } from './routes/market-events.js';
 import { handleGraphQLRequest } from './routes/graphql-proxy.js';
-import { handleUnifiedChartRequest, refreshChart } from './routes/unified-chart.js';
+import { handleUnifiedChartRequest, refreshChart, activeChartWarmEntries } from './routes/unified-chart.js';
+import { handleTwapRequest } from './routes/twap.js';
+import { handleProposalListRequest } from './routes/proposals.js';
+import { handleChartStreamRequest } from './routes/chart-stream.js';
+import { handleChartBatchRequest } from './routes/chart-batch.js';
+import { handleChartExportRequest } from './routes/chart-export.js';
+import {
+    requireAdminSecret,
+    handleCacheStatus,
+    handlePurge,
+    handleSetTtl,
+    handleRefresh,
+    handlePin,
+    handleUnpin,
+    handleReloadEndpoints,
+} from './routes/admin.js';
 import { fetchSpotCandles, USE_FUTARCHY_SPOT } from './services/spot-source.js';
 import { getRateCached } from './services/rate-provider.js';
+import { tickerChainId } from './services/spot-price.js';
+import { getRpcHealth } from './services/rpc-client.js';
+import { startIndexerMonitor, getIndexerHealth, isIndexerStalled } from './services/indexer-health.js';
 import { spotCache, logCacheStats } from './utils/cache.js';
-import { startWarmer, getWarmerStatus } from './utils/warmer.js';
-import { ENABLE_WARMER } from './config/cache-config.js';
+import { startWarmer, getWarmerStatus, seedWarmList } from './utils/warmer.js';
+import { ENABLE_WARMER, WARMER_SEED } from './config/cache-config.js';
+import { Counter, Histogram, renderMetrics, METRICS_CONTENT_TYPE } from './utils/metrics.js';
+import { createLogger, resolveRequestId, runWithRequestId } from './utils/logger.js';
+
+const log = createLogger('server');
 const app = express();
 const PORT = 3031;
 // Middleware — allow all origins for local dev
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Apollo-Require-Preflight', 'X-Futarchy-Secret'],
-    exposedHeaders: ['X-Cache', 'X-Cache-TTL', 'X-Response-Time'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Apollo-Require-Preflight', 'X-Futarchy-Secret', 'X-Request-Id'],
+    exposedHeaders: ['X-Cache', 'X-Cache-TTL', 'X-Cache-Age', 'X-Response-Time', 'X-Request-Id', 'Content-Disposition'],
 }));
 app.use(express.json());
 app.disable('etag'); // Prevent 304 — ensures browser always gets fresh response
 
+// Request ID — taken from X-Request-Id (or generated), echoed back, and attached
+// to every log line written while handling the request
+app.use((req, res, next) => {
+    const requestId = resolveRequestId(req.get('X-Request-Id'));
+    const t0 = Date.now();
+    res.set('X-Request-Id', requestId);
+    res.on('close', () => {
+        log.info('request', {
+            method: req.method,
+            path: req.path,
+            route: req.route?.path || null,
+            status: res.statusCode,
+            duration_ms: Date.now() - t0,
+        });
+    });
+    runWithRequestId(requestId, next);
+});
+
+// Request metrics — labelled by route pattern (not raw URL) to keep cardinality bounded.
+// SSE streams are observed when the client disconnects.
+const httpRequests = new Counter('futarchy_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = new Histogram('futarchy_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+app.use((req, res, next) => {
+    const done = httpDuration.startTimer();
+    res.on('close', () => {
+        const route = req.route?.path || 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        done({ method: req.method, route });
+    });
+    next();
+});
+
 // Health check
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({
+        status: isIndexerStalled() ? 'degraded' : 'ok',
+        timestamp: new Date().toISOString(),
+        indexers: getIndexerHealth(),
+        rpc: getRpcHealth(),
+    });
 });
 
 // Warmer status
@@ -40,12 +99,60 @@ app.get('/warmer', (req, res) => {
     res.json(getWarmerStatus());
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics());
+});
+
+// ============================================
+// 🔐 ADMIN — cache purge/TTL, force refresh, warm list (X-Futarchy-Secret)
+// ============================================
+app.use('/admin', requireAdminSecret);
+app.get('/admin/cache', handleCacheStatus);
+app.post('/admin/cache/purge', handlePurge);
+app.put('/admin/cache/:cache/ttl', handleSetTtl);
+app.post('/admin/proposals/:proposalId/refresh', handleRefresh);
+app.post('/admin/warmer/pin', handlePin);
+app.delete('/admin/warmer/:proposalId', handleUnpin);
+app.post('/admin/endpoints/reload', handleReloadEndpoints);
+
+// ============================================
+// 📋 PROPOSAL LIST (v2) — every proposal under the aggregator or one organization
+// Route: /api/v2/proposals?organization=...&status=active|closed&chain=...&limit=...&offset=...
+// ============================================
+app.get('/api/v2/proposals', handleProposalListRequest);
+
 // ============================================
 // ⚡ UNIFIED CHART ENDPOINT (v2) — single call for everything
 // Route: /api/v2/proposals/:proposalId/chart?minTimestamp=...&maxTimestamp=...
 // ============================================
 app.get('/api/v2/proposals/:proposalId/chart', handleUnifiedChartRequest);
 
+// ============================================
+// 📤 CHART EXPORT (v2) — the chart as one CSV/Parquet table
+// Route: /api/v2/proposals/:proposalId/export?format=csv|parquet (plus /chart range params)
+// ============================================
+app.get('/api/v2/proposals/:proposalId/export', handleChartExportRequest);
+
+// ============================================
+// 📦 BATCH CHARTS (v2) — many /chart queries in one request
+// Route: POST /api/v2/charts/batch  { charts: [{ proposalId, ...chart params }] }
+// ============================================
+app.post('/api/v2/charts/batch', handleChartBatchRequest);
+
+// ============================================
+// ⚖️ TWAP (v2) — time-weighted YES/NO prices over the proposal's TWAP window
+// Route: /api/v2/proposals/:proposalId/twap
+// ============================================
+app.get('/api/v2/proposals/:proposalId/twap', handleTwapRequest);
+
+// ============================================
+// 📡 CHART STREAM (v2) — Server-Sent Events, snapshot then candle deltas
+// Route: /api/v2/proposals/:proposalId/stream (same params as /chart)
+// ============================================
+app.get('/api/v2/proposals/:proposalId/stream', handleChartStreamRequest);
+
 // ============================================
 // FUTARCHY API (v1 — legacy, kept for backward compatibility)
 // Route: /api/v1/market-events/proposals/:proposalId/prices
@@ -65,6 +172,9 @@ app.get('/api/v1/spot-candles', async (req, res) => {
     const max = parseInt(maxTimestamp) || Math.floor(Date.now() / 1000);
 
     try {
+        // Unknown network → 400 before any upstream call
+        const chainId = tickerChainId(ticker);
+
         // When using futarchy-spot, skip cache — SQLite IS the cache
         // When using CoinGecko, use spot cache to avoid rate limits
         let spotData;
@@ -76,11 +186,11 @@ app.get('/api/v1/spot-candles', async (req, res) => {
             const isHistorical = max < (now - 3 * 86400);
             const cacheKey = isHistorical ? `${ticker}:hist:${Math.floor(max / 86400)}` : ticker;
 
-            spotData = spotCache.get(cacheKey);
-            if (!spotData) {
-                spotData = await fetchSpotCandles(ticker, 500, max + 3600, min);
-                if (spotData?.candles?.length > 0) spotCache.set(cacheKey, spotData);
-            }
+            spotData = spotCache.get(cacheKey) || await spotCache.coalesce(cacheKey, async () => {
+                const s = await fetchSpotCandles(ticker, 500, max + 3600, min);
+                if (s?.candles?.length > 0) spotCache.set(cacheKey, s);
+                return s;
+            });
         }
 
         // Compute rate divisor when ticker has :: rate provider
@@ -89,8 +199,6 @@ app.get('/api/v1/spot-candles', async (req, res) => {
         // Composite pools natively divide their prices in the backend proxy (spot-price.js).
         if (ticker.includes('::') && !ticker.startsWith('composite::')) {
             const rateProviderAddress = ticker.split('::')[1]?.split('-')[0];
-            const networkPart = ticker.split('-').pop() || 'xdai';
-            const chainId = networkPart === 'xdai' ? 100 : 1;
             if (rateProviderAddress) {
                 rateDivisor = await getRateCached(rateProviderAddress, chainId);
             }
@@ -103,12 +211,12 @@ app.get('/api/v1/spot-candles', async (req, res) => {
                 close: String(c.value / rateDivisor)
             }));
 
-        console.log(`📊 [Spot Candles] ticker=${ticker.slice(0, 20)}... → ${candles.length} candles (rate: ${rateDivisor.toFixed(4)})`);
+        log.info('spot candles', { ticker, candles: candles.length, rate: rateDivisor });
         logCacheStats();
         res.json({ spotCandles: candles });
     } catch (error) {
-        console.error('❌ Spot candles error:', error.message);
-        res.status(500).json({ error: error.message, spotCandles: [] });
+        log.error('spot candles failed', { ticker, err: error });
+        res.status(error.status || 500).json({ error: error.message, spotCandles: [] });
     }
 });
 
@@ -128,23 +236,38 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`   Port: ${PORT}`);
     console.log('');
     console.log('📍 Endpoints:');
+    console.log(`   GET  http://localhost:${PORT}/api/v2/proposals  (list)`);
     console.log(`   GET  http://localhost:${PORT}/api/v2/proposals/:id/chart`);
+    console.log(`   GET  http://localhost:${PORT}/api/v2/proposals/:id/export  (csv, parquet)`);
+    console.log(`   POST http://localhost:${PORT}/api/v2/charts/batch`);
+    console.log(`   GET  http://localhost:${PORT}/api/v2/proposals/:id/twap`);
+    console.log(`   GET  http://localhost:${PORT}/api/v2/proposals/:id/stream  (SSE)`);
     console.log(`   GET  http://localhost:${PORT}/api/v1/market-events/proposals/:id/prices`);
     console.log(`   GET  http://localhost:${PORT}/warmer  (status)`);
+    console.log(`   GET  http://localhost:${PORT}/metrics  (Prometheus)`);
+    console.log(`   GET  http://localhost:${PORT}/health  (indexer lag, RPC health)`);
+    console.log(`   *    http://localhost:${PORT}/admin/...  (X-Futarchy-Secret)`);
     console.log('');
     console.log('🔧 To use in frontend, change URLs to:');
     console.log(`   VITE_FUTARCHY_API_URL=http://localhost:${PORT}`);
     console.log('─'.repeat(50));
 
+    // Indexer freshness checks (stalled endpoints are routed around)
+    startIndexerMonitor();
+
     // Start background warmer
     // Start background warmer (disabled when using futarchy-spot — its worker handles refresh)
     if (USE_FUTARCHY_SPOT) {
-        console.log('🔥 [Warmer] Disabled (using futarchy-spot — SQLite is the cache)');
+        log.info('warmer disabled', { reason: 'futarchy-spot (SQLite is the cache)' });
     } else if (ENABLE_WARMER) {
-        startWarmer(async (params) => {
-            await refreshChart(params);
-        });
+        startWarmer(refreshChart);
+        // Pre-register every active proposal so the first visitor after a deploy isn't cold
+        if (WARMER_SEED) {
+            runWithRequestId('warmer-seed', activeChartWarmEntries)
+                .then(seedWarmList)
+                .catch(err => log.warn('warm list seeding failed', { err }));
+        }
     } else {
-        console.log('🔥 [Warmer] Disabled (ENABLE_WARMER=false)');
+        log.info('warmer disabled', { reason: 'ENABLE_WARMER=false' });
     }
 });
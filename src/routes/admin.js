@@ -0,0 +1,232 @@
+/**
+ * Admin API — runtime cache and warmer control
+ *
+ * Every route requires the X-Futarchy-Secret header to match ADMIN_SECRET.
+ * Without ADMIN_SECRET the admin API is disabled (503).
+ *
+ *   GET    /admin/cache                          TTL and size per cache
+ *   POST   /admin/cache/purge                    { cache?, proposalId?, ticker? }
+ *   PUT    /admin/cache/:cache/ttl               { ttlSec }
+ *   POST   /admin/proposals/:proposalId/refresh  purge, then rebuild its charts
+ *   POST   /admin/warmer/pin                     { proposalId, ...chart query }
+ *   DELETE /admin/warmer/:proposalId             remove its warm entries (?cacheKey= for one)
+ *   POST   /admin/endpoints/reload               re-read ENDPOINTS_FILE
+ */
+
+import crypto from 'crypto';
+import { CACHES, responseCache, registryCache, candlesCache, spotCache } from '../utils/cache.js';
+import { pinForWarming, removeFromWarming, findWarmEntries } from '../utils/warmer.js';
+import { parseChartQuery, warmParamsFor, refreshChart, getChartSnapshot } from './unified-chart.js';
+import { resolveProposalId as resolveProposalAdapter } from '../adapters/registry-adapter.js';
+import { fetchPoolsForProposal as fetchPoolsAdapter } from '../adapters/candles-adapter.js';
+import { reloadEndpoints } from '../config/endpoints.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('admin');
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+
+// ============================================================================
+// AUTH
+// ============================================================================
+
+/**
+ * Middleware: reject requests without the right X-Futarchy-Secret.
+ */
+export function requireAdminSecret(req, res, next) {
+    if (!ADMIN_SECRET) {
+        return res.status(503).json({ error: 'Admin API disabled (set ADMIN_SECRET)' });
+    }
+    const given = Buffer.from(req.get('X-Futarchy-Secret') || '');
+    const expected = Buffer.from(ADMIN_SECRET);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        log.warn('rejected admin request', { method: req.method, path: req.path });
+        return res.status(401).json({ error: 'Invalid X-Futarchy-Secret' });
+    }
+    next();
+}
+
+// ============================================================================
+// PURGE HELPERS
+// ============================================================================
+
+function scopeFor(cacheName) {
+    if (!cacheName || cacheName === 'all') return Object.keys(CACHES);
+    if (!CACHES[cacheName]) throw Object.assign(new Error(`Unknown cache "${cacheName}" (expected one of: all, ${Object.keys(CACHES).join(', ')})`), { status: 400 });
+    return [cacheName];
+}
+
+function isProposalResponse(proposalId) {
+    return (key, value) => {
+        const k = key.toLowerCase();
+        return k.startsWith(`${proposalId}:`)
+            || k.startsWith(`twap:${proposalId}:`)
+            || value?.market?.trading_address?.toLowerCase() === proposalId
+            || value?.market?.event_id?.toLowerCase() === proposalId;
+    };
+}
+
+/**
+ * Pool IDs whose candles belong to the proposal — from cached charts, else the indexer.
+ */
+async function poolIdsFor(proposalId) {
+    const ids = new Set();
+    const matches = isProposalResponse(proposalId);
+    for (const [key, { value }] of responseCache.store) {
+        if (!matches(key, value)) continue;
+        for (const side of ['conditional_yes', 'conditional_no']) {
+            if (value?.market?.[side]?.pool_id) ids.add(value.market[side].pool_id.toLowerCase());
+        }
+    }
+    if (ids.size > 0) return [...ids];
+
+    try {
+        const resolved = await resolveProposalAdapter(proposalId);
+        const pools = await fetchPoolsAdapter(resolved.proposalAddress || resolved.proposalId, resolved.chain || 100);
+        return pools.map(p => p.id.toLowerCase());
+    } catch (err) {
+        log.warn('pool lookup for purge failed', { proposalId, err });
+        return [];
+    }
+}
+
+/**
+ * Everything cached for one proposal: its chart/TWAP responses, registry
+ * entry and pool candles (memory and disk).
+ */
+async function purgeProposal(proposalId, scope) {
+    const id = proposalId.toLowerCase();
+    const purged = {};
+
+    // Pool IDs first — they are read from the cached responses about to be dropped
+    const poolIds = scope.includes('candles') ? await poolIdsFor(id) : [];
+
+    if (scope.includes('response')) purged.response = responseCache.deleteWhere(isProposalResponse(id));
+    if (scope.includes('registry')) {
+        purged.registry = registryCache.deleteWhere((key, value) => key === id || value?.proposalAddress === id);
+    }
+    if (scope.includes('candles')) {
+        purged.candles = candlesCache.deleteWhere(key => poolIds.some(poolId => key.toLowerCase().includes(`:${poolId}:`)));
+    }
+    return purged;
+}
+
+function purgeTicker(ticker, scope) {
+    const purged = {};
+    if (scope.includes('spot')) purged.spot = spotCache.deleteWhere(key => key === ticker || key.startsWith(`${ticker}:`));
+    if (scope.includes('response')) purged.response = responseCache.deleteWhere((key, value) => value?.market?.spot?.pool_ticker === ticker);
+    return purged;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+export function handleCacheStatus(req, res) {
+    res.json(Object.fromEntries(Object.entries(CACHES).map(([name, cache]) => [name, {
+        ttlSec: cache.ttlMs / 1000,
+        entries: cache.store.size,
+        diskEntries: cache.disk?.size ?? null,
+    }])));
+}
+
+export async function handlePurge(req, res) {
+    const { cache, proposalId, ticker } = req.body || {};
+    try {
+        const scope = scopeFor(cache);
+        let purged;
+        if (proposalId) {
+            purged = await purgeProposal(proposalId, scope);
+        } else if (ticker) {
+            purged = purgeTicker(ticker, scope);
+        } else if (cache) {
+            purged = Object.fromEntries(scope.map(name => [name, CACHES[name].purge()]));
+        } else {
+            return res.status(400).json({ error: 'Pass proposalId, ticker or cache ("all" for every cache)' });
+        }
+        log.info('purged', { cache: cache || null, proposalId: proposalId || null, ticker: ticker || null, purged });
+        res.json({ purged });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
+
+export function handleSetTtl(req, res) {
+    const cache = CACHES[req.params.cache];
+    const ttlSec = Number(req.body?.ttlSec);
+    if (!cache) return res.status(404).json({ error: `Unknown cache "${req.params.cache}"` });
+    if (!Number.isFinite(ttlSec) || ttlSec <= 0) return res.status(400).json({ error: 'ttlSec must be a positive number' });
+
+    const previousSec = cache.ttlMs / 1000;
+    cache.ttlMs = ttlSec * 1000;
+    log.info('ttl changed', { cache: cache.name, previousSec, ttlSec });
+    res.json({ cache: cache.name, previousSec, ttlSec });
+}
+
+/**
+ * Purge a proposal and rebuild its warm charts now (the live default chart
+ * when none are warm). Stale copies are dropped first, so a failed rebuild
+ * surfaces as an error instead of old data.
+ */
+export async function handleRefresh(req, res) {
+    const { proposalId } = req.params;
+    try {
+        const purged = await purgeProposal(proposalId, Object.keys(CACHES));
+        const id = proposalId.toLowerCase();
+        const warm = findWarmEntries((key, entry) => entry.params.proposalId.toLowerCase() === id);
+
+        const refreshed = [];
+        if (warm.length > 0) {
+            for (const { cacheKey, params } of warm) {
+                try {
+                    await refreshChart(params);
+                    refreshed.push({ cacheKey, ok: true });
+                } catch (err) {
+                    refreshed.push({ cacheKey, ok: false, error: err.message });
+                }
+            }
+        } else {
+            const { status, body } = await getChartSnapshot(proposalId, {}, { force: true });
+            refreshed.push({ cacheKey: parseChartQuery(proposalId, {}).cacheKey, ok: status === 200, ...(status !== 200 && { error: body?.error }) });
+        }
+
+        log.info('refreshed', { proposalId, purged, refreshed: refreshed.length, failed: refreshed.filter(r => !r.ok).length });
+        res.status(refreshed.every(r => r.ok) ? 200 : 502).json({ purged, refreshed });
+    } catch (error) {
+        log.error('refresh failed', { proposalId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
+
+/**
+ * Pin a chart query into the warm list. Body: proposalId plus the chart's
+ * query params (minTimestamp, maxTimestamp, resolution, fields, includeSpot, applyCurrencyRate, derived, pools).
+ */
+export function handlePin(req, res) {
+    const { proposalId, ...query } = req.body || {};
+    if (!proposalId) return res.status(400).json({ error: 'proposalId required' });
+
+    const params = parseChartQuery(proposalId, Object.fromEntries(Object.entries(query).map(([k, v]) => [k, String(v)])));
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    pinForWarming(params.cacheKey, warmParamsFor(params));
+    res.json({ pinned: params.cacheKey });
+}
+
+export function handleUnpin(req, res) {
+    const id = req.params.proposalId.toLowerCase();
+    const { cacheKey } = req.query;
+    const removed = removeFromWarming((key, entry) => cacheKey
+        ? key === cacheKey
+        : entry.params.proposalId.toLowerCase() === id);
+    res.json({ removed });
+}
+
+export function handleReloadEndpoints(req, res) {
+    try {
+        res.json({ endpoints: reloadEndpoints() });
+    } catch (error) {
+        log.error('routing table reload failed', { err: error });
+        res.status(400).json({ error: error.message });
+    }
+}
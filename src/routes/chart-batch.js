@@ -0,0 +1,77 @@
+/**
+ * Batch Chart Endpoint (v2)
+ *
+ * POST /api/v2/charts/batch
+ *   { "charts": [{ "proposalId": "0x...", "minTimestamp": 1772150400, "resolution": "1h", ... }, ...] }
+ *
+ * Each item takes the same params as /chart and runs through the same pipeline
+ * (getChartSnapshot), so warm items come straight from responseCache and cold
+ * ones are cached and registered for warming like a normal request. Items are
+ * built concurrently, which is what lets them share upstream work: registry
+ * lookups, rates and spot candles are coalesced per key across the batch.
+ *
+ * Always 200 when the body is valid; each result carries its own status and
+ * either `chart` or `error`.
+ */
+
+import { parseChartQuery, getChartSnapshot } from './unified-chart.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('chart-batch');
+
+const MAX_ITEMS = 50;
+// Charts built at once — enough to share lookups, few enough not to flood the indexer
+const BATCH_CONCURRENCY = 8;
+
+/**
+ * An item's chart params as the string query /chart would receive.
+ */
+function queryOf({ proposalId, ...params }) {
+    return Object.fromEntries(Object.entries(params).map(([k, v]) => [k, String(v)]));
+}
+
+async function buildItem(proposalId, query) {
+    const { status, body, headers } = await getChartSnapshot(proposalId, query);
+    return status === 200
+        ? { proposalId, status, cache: headers['X-Cache'] || null, chart: body }
+        : { proposalId, status, error: body?.error || `HTTP ${status}` };
+}
+
+export async function handleChartBatchRequest(req, res) {
+    const charts = req.body?.charts;
+    if (!Array.isArray(charts) || charts.length === 0) {
+        return res.status(400).json({ error: 'charts must be a non-empty array of { proposalId, ...chart params }' });
+    }
+    if (charts.length > MAX_ITEMS) {
+        return res.status(400).json({ error: `At most ${MAX_ITEMS} charts per batch` });
+    }
+    const invalid = charts.findIndex(item => typeof item?.proposalId !== 'string' || !item.proposalId);
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `charts[${invalid}]: proposalId required` });
+    }
+
+    log.info('building batch', { items: charts.length });
+    const t0 = Date.now();
+
+    // Duplicate queries in one batch share one build
+    const builds = new Map();
+    const buildOnce = (item) => {
+        const query = queryOf(item);
+        // Invalid params have no cache key — build anyway for the per-item 400
+        const key = parseChartQuery(item.proposalId, query).cacheKey || `invalid:${builds.size}`;
+        if (!builds.has(key)) {
+            builds.set(key, buildItem(item.proposalId, query).catch(err => ({ proposalId: item.proposalId, status: 500, error: err.message })));
+        }
+        return builds.get(key);
+    };
+
+    const results = [];
+    for (let i = 0; i < charts.length; i += BATCH_CONCURRENCY) {
+        results.push(...await Promise.all(charts.slice(i, i + BATCH_CONCURRENCY).map(buildOnce)));
+    }
+
+    const failed = results.filter(r => r.status !== 200).length;
+    log.info('batch built', { items: charts.length, unique: builds.size, failed, duration_ms: Date.now() - t0 });
+    res.set('X-Response-Time', `${Date.now() - t0}ms`);
+    res.json({ results });
+}
@@ -0,0 +1,148 @@
+/**
+ * Chart Export Endpoint (v2)
+ *
+ * GET /api/v2/proposals/:proposalId/export?format=csv|parquet&minTimestamp=...&maxTimestamp=...&resolution=1h
+ *
+ * The unified chart as one table, one row per period:
+ *   timestamp, yes_close, no_close, spot_close, currency_rate,
+ *   yes_volume, no_volume, yes_trades, no_trades
+ *
+ * Built from the same pipeline and cache entry as /chart. Closes are
+ * forward-filled at the chart resolution like the derived series; volume and
+ * trades are 0 for filled periods. Accepts the chart's
+ * minTimestamp, maxTimestamp, resolution, includeSpot and applyCurrencyRate.
+ */
+
+import { parseChartQuery, getChartSnapshot } from './unified-chart.js';
+import { resolveProposalId as resolveProposalAdapter, lookupOrgMetadata } from '../adapters/registry-adapter.js';
+import { getRateSeries } from '../services/rate-provider.js';
+import { closesByTime } from '../utils/candles.js';
+import { writeParquet } from '../utils/parquet.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('chart-export');
+
+const CHART_PARAMS = ['minTimestamp', 'maxTimestamp', 'resolution', 'includeSpot', 'applyCurrencyRate'];
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', serialize: toCsv },
+    parquet: { contentType: 'application/vnd.apache.parquet', serialize: toParquet },
+};
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+/**
+ * @returns {Map|null} Value by period start, or null when the series has no such field
+ *   (indexer without activity fields)
+ */
+function fieldByTime(candles, field) {
+    if (candles.length > 0 && candles.every(c => c[field] == null)) return null;
+    return new Map(candles.map(c => [parseInt(c.periodStartUnix), parseFloat(c[field] || 0)]));
+}
+
+function activityAt(closes, values, t) {
+    return closes.has(t) && values ? values.get(t) ?? 0 : null;
+}
+
+/**
+ * Align the chart's series on the YES/NO grid.
+ * @returns {Array<Object>} Rows keyed by column name (null = no value yet)
+ */
+export function buildRows(body, maxTimestamp, rateAt) {
+    const periodSec = body.market.timeline.resolution_sec;
+    const { yes, no, spot } = body.candles;
+
+    const yesAt = closesByTime(yes, maxTimestamp, periodSec);
+    const noAt = closesByTime(no, maxTimestamp, periodSec);
+    const spotAt = closesByTime(spot, maxTimestamp, periodSec);
+    const yesVolume = fieldByTime(yes, 'volume');
+    const noVolume = fieldByTime(no, 'volume');
+    const yesTrades = fieldByTime(yes, 'trades');
+    const noTrades = fieldByTime(no, 'trades');
+    const times = [...new Set([...yesAt.keys(), ...noAt.keys()])].sort((a, b) => a - b);
+
+    return times.map(t => ({
+        timestamp: t,
+        yes_close: yesAt.get(t) ?? null,
+        no_close: noAt.get(t) ?? null,
+        spot_close: spotAt.get(t) ?? null,
+        currency_rate: rateAt ? rateAt(t) : null,
+        yes_volume: activityAt(yesAt, yesVolume, t),
+        no_volume: activityAt(noAt, noVolume, t),
+        yes_trades: activityAt(yesAt, yesTrades, t),
+        no_trades: activityAt(noAt, noTrades, t),
+    }));
+}
+
+/**
+ * Rate in effect at each row — null when the proposal has no currency rate provider.
+ */
+async function rateLookup(proposalId, body, fromTs, toTs) {
+    const resolved = await resolveProposalAdapter(proposalId);
+    const provider = resolved.currencyStableRate
+        ?? await lookupOrgMetadata(resolved.organizationId, 'currency_stable_rate').catch(() => null);
+    if (!provider) return null;
+    const series = await getRateSeries(provider, body.market.timeline.chain_id, fromTs, toTs);
+    return series.rateAt;
+}
+
+// ============================================================================
+// SERIALIZERS
+// ============================================================================
+
+const COLUMNS = ['timestamp', 'yes_close', 'no_close', 'spot_close', 'currency_rate', 'yes_volume', 'no_volume', 'yes_trades', 'no_trades'];
+
+export function toCsv(rows) {
+    const lines = [COLUMNS.join(',')];
+    for (const row of rows) lines.push(COLUMNS.map(c => row[c] ?? '').join(','));
+    return lines.join('\n') + '\n';
+}
+
+function toParquet(rows) {
+    return writeParquet(COLUMNS.map(name => name === 'timestamp'
+        ? { name, type: 'timestamp', values: rows.map(r => r.timestamp * 1000) }
+        : { name, type: 'double', values: rows.map(r => r[name]) }));
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+export async function handleChartExportRequest(req, res) {
+    const { proposalId } = req.params;
+    const format = req.query.format || 'csv';
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    // Only the params that shape the table, so exports share the default chart's cache entry
+    const query = {};
+    for (const key of CHART_PARAMS) if (req.query[key] !== undefined) query[key] = req.query[key];
+    const params = parseChartQuery(proposalId, query);
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const t0 = Date.now();
+    try {
+        const { status, body, headers } = await getChartSnapshot(proposalId, query);
+        if (status !== 200) return res.status(status).json(body);
+
+        // Same range the chart sampled rates over: from the registry start, else the first candle
+        const firstCandle = Math.min(...[body.candles.yes[0], body.candles.no[0]].filter(Boolean).map(c => parseInt(c.periodStartUnix)));
+        const fromTs = Math.max(params.minTimestamp, body.market.timeline.start_candle_unix || (Number.isFinite(firstCandle) ? firstCandle : params.maxTimestamp));
+        const rateAt = await rateLookup(proposalId, body, fromTs, params.maxTimestamp);
+        const rows = buildRows(body, params.maxTimestamp, rateAt);
+        const filename = `${proposalId.replace(/[^\w.-]/g, '_')}-${params.resolution.name}.${format}`;
+
+        log.info('chart exported', { proposalId, format, rows: rows.length, duration_ms: Date.now() - t0 });
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('X-Cache', headers['X-Cache'] || 'MISS');
+        res.set('X-Response-Time', `${Date.now() - t0}ms`);
+        res.send(FORMATS[format].serialize(rows));
+    } catch (error) {
+        log.error('export failed', { proposalId, format, duration_ms: Date.now() - t0, err: error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
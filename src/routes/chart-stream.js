@@ -0,0 +1,150 @@
+/**
+ * Chart Stream Endpoint (v2) — Server-Sent Events
+ *
+ * GET /api/v2/proposals/:proposalId/stream?minTimestamp=...&resolution=1h&...
+ *
+ * Accepts the same query params as /chart. Omit maxTimestamp for a live chart.
+ *
+ * Events:
+ *   snapshot — full chart response (same shape as /chart), sent once on connect
+ *   delta    — { market?, candles: { yes, no, spot }, derived? } with only what changed:
+ *              market when prices/volume moved, and per series every candle at
+ *              or after the previous last candle (the open candle gets updated
+ *              in place, new candles are appended)
+ *   error    — { error } when the initial snapshot cannot be built
+ *
+ * Updates arrive whenever the chart pipeline rebuilds this cache entry — in
+ * practice on every warmer refresh, since connecting registers it for warming.
+ * With the warmer disabled, streams only see rebuilds triggered by /chart requests.
+ */
+
+import { parseChartQuery, getChartSnapshot } from './unified-chart.js';
+import { subscribeChart } from '../utils/chart-events.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('chart-stream');
+
+const HEARTBEAT_MS = 15000;
+
+// ============================================================================
+// DIFFING
+// ============================================================================
+
+/**
+ * Fields of `market` that count as a change (timeline defaults move with now).
+ */
+function marketFingerprint(market) {
+    return JSON.stringify([
+        market?.conditional_yes?.price_usd,
+        market?.conditional_no?.price_usd,
+        market?.spot?.price_usd,
+        market?.prediction_yes?.price_usd,
+        market?.prediction_no?.price_usd,
+        market?.expected_value_yes?.price_usd,
+        market?.expected_value_no?.price_usd,
+        market?.volume,
+    ]);
+}
+
+/**
+ * Candles of `next` that are new or changed relative to `prev`.
+ * Both series are sorted ascending by periodStartUnix.
+ */
+export function diffSeries(prev = [], next = []) {
+    const lastPrev = prev[prev.length - 1];
+    if (!lastPrev) return next;
+
+    const lastPrevTime = parseInt(lastPrev.periodStartUnix);
+    return next.filter(c => {
+        const time = parseInt(c.periodStartUnix);
+        if (time > lastPrevTime) return true;
+        return time === lastPrevTime && JSON.stringify(c) !== JSON.stringify(lastPrev);
+    });
+}
+
+/**
+ * Build a delta event between two chart responses, or null when nothing changed.
+ */
+export function diffChart(prev, next) {
+    const delta = { candles: {} };
+    let changed = false;
+
+    if (marketFingerprint(prev.market) !== marketFingerprint(next.market)) {
+        delta.market = next.market;
+        changed = true;
+    }
+
+    for (const [series, candles] of Object.entries(next.candles || {})) {
+        const updates = diffSeries(prev.candles?.[series], candles);
+        delta.candles[series] = updates;
+        if (updates.length > 0) changed = true;
+    }
+
+    // derived=true: same treatment per derived series (null = not available)
+    if (next.derived) {
+        delta.derived = {};
+        for (const [series, points] of Object.entries(next.derived)) {
+            delta.derived[series] = points && diffSeries(prev.derived?.[series] || [], points);
+            if (points && delta.derived[series].length > 0) changed = true;
+        }
+    }
+
+    return changed ? delta : null;
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+export async function handleChartStreamRequest(req, res) {
+    const { proposalId } = req.params;
+    const params = parseChartQuery(proposalId, req.query);
+
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const t0 = Date.now();
+    let last = null;
+    const onChart = (response) => {
+        if (!last) {
+            send('snapshot', response);
+        } else {
+            const delta = diffChart(last, response);
+            if (!delta) return;
+            send('delta', delta);
+        }
+        last = response;
+    };
+
+    const unsubscribe = subscribeChart(params.cacheKey, onChart);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        log.info('stream closed', { proposalId, cacheKey: params.cacheKey, duration_ms: Date.now() - t0 });
+    });
+
+    log.info('stream opened', { proposalId, cacheKey: params.cacheKey });
+
+    // Initial snapshot — a cache MISS publishes through onChart; a HIT returns it directly
+    const { status, body } = await getChartSnapshot(proposalId, req.query);
+    if (status !== 200) {
+        send('error', body);
+        clearInterval(heartbeat);
+        unsubscribe();
+        return res.end();
+    }
+    if (!last) onChart(body);
+}
@@ -8,23 +8,49 @@
 
 import { fetchPoolsForProposal as fetchPoolsAdapter } from '../adapters/candles-adapter.js';
 import { resolveProposalId as resolveProposalAdapter, lookupOrgMetadata as lookupOrgMetadataAdapter } from '../adapters/registry-adapter.js';
-import { IS_CHECKPOINT, ENDPOINTS } from '../config/endpoints.js';
+import { routeRequest, preferredEndpoint } from '../services/endpoint-router.js';
 import { fetchPoolsForProposal } from '../services/algebra-client.js';
 import { getRateCached } from '../services/rate-provider.js';
 import { getSpotPrice } from '../services/spot-price.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('market-events');
 
 // ============================================================================
 // CONFIGURATION - Easy to modify
 // ============================================================================
 
-// Futarchy Registry V2 Subgraph (used by inline Graph Node functions below)
-const FUTARCHY_REGISTRY_ENDPOINT = ENDPOINTS.registry;
+// Futarchy Registry V2 Subgraph (used by inline Graph Node functions below): the
+// registry endpoints from config/endpoints.js, routed per request so failover applies
 
 // Trustur Aggregator - filters which organizations to search
 const AGGREGATOR_ADDRESS = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
 
 // ============================================================================
 
+/**
+ * POST a query to the registry, failing over across its endpoints on transport
+ * errors. Returns the raw JSON body — callers read `data` themselves.
+ */
+async function registryQuery(query) {
+    return routeRequest('registry', async ({ url }) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
+        return response.json();
+    });
+}
+
+/**
+ * Checkpoint registries/indexers go through the adapters; Graph Node keeps the
+ * v1 lookups below. Decided by the endpoint the role would route to first.
+ */
+function isCheckpoint(role) {
+    return preferredEndpoint(role)?.mode === 'checkpoint';
+}
+
 /**
  * Query Futarchy Registry to find proposal by snapshot_id in proposal metadata
  * 
@@ -61,13 +87,7 @@ async function lookupProposalBySnapshotId(snapshotProposalId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             // Filter by aggregator in code since nested GraphQL filter isn't supported
@@ -78,17 +98,16 @@ async function lookupProposalBySnapshotId(snapshotProposalId) {
 
             if (matching) {
                 const proposal = matching.proposal;
-                console.log(`   🔍 Found by snapshot_id in "${proposal?.organization?.name || 'unknown'}"`);
-                console.log(`   📋 Proposal: ${proposal?.title || 'N/A'}`);
+                log.debug('found by snapshot_id', { organization: proposal?.organization?.name || null, title: proposal?.title || null });
 
                 // Parse proposal metadata to extract config
                 let proposalConfig = {};
                 if (proposal?.metadata) {
                     try {
                         proposalConfig = JSON.parse(proposal.metadata);
-                        console.log(`   📦 Metadata: chain=${proposalConfig.chain}, ticker=${proposalConfig.coingecko_ticker ? 'yes' : 'no'}`);
+                        log.debug('proposal metadata', { chain: proposalConfig.chain, hasTicker: !!proposalConfig.coingecko_ticker });
                     } catch (e) {
-                        console.log(`   ⚠️ Failed to parse proposal metadata`);
+                        log.warn('failed to parse proposal metadata', { snapshotId: normalizedId });
                     }
                 }
 
@@ -115,7 +134,7 @@ async function lookupProposalBySnapshotId(snapshotProposalId) {
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ snapshot_id lookup failed: ${error.message}`);
+        log.warn('snapshot_id lookup failed', { err: error });
         return null;
     }
 }
@@ -141,17 +160,11 @@ async function lookupProposalInOrgMetadata(snapshotProposalId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const entry = data.data.metadataEntries[0];
-            console.log(`   🔍 Found by org metadata in "${entry.organization?.name || 'unknown'}"`);
+            log.debug('found by org metadata', { organization: entry.organization?.name || null });
             return {
                 proposalId: entry.value,  // The value is the proposal address
                 proposalAddress: entry.value,
@@ -162,7 +175,7 @@ async function lookupProposalInOrgMetadata(snapshotProposalId) {
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ Org metadata lookup failed: ${error.message}`);
+        log.warn('org metadata lookup failed', { err: error });
         return null;
     }
 }
@@ -194,24 +207,18 @@ async function lookupTickerInRegistry(organizationId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const ticker = data.data.metadataEntries[0].value;
-            console.log(`   📊 Found coingecko_ticker: ${ticker}`);
+            log.debug('found coingecko_ticker', { ticker });
             return ticker;
         }
 
-        console.log(`   ℹ️ No coingecko_ticker found for org, using default`);
+        log.debug('no coingecko_ticker for org, using default');
         return null;
     } catch (error) {
-        console.log(`   ⚠️ Ticker lookup failed: ${error.message}`);
+        log.warn('ticker lookup failed', { err: error });
         return null;
     }
 }
@@ -234,25 +241,19 @@ async function lookupChartStartRangeInRegistry(organizationId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const chartStart = parseInt(data.data.metadataEntries[0].value);
             if (!isNaN(chartStart)) {
-                console.log(`   📅 Found chart_start_range: ${chartStart} (${new Date(chartStart * 1000).toISOString()})`);
+                log.debug('found chart_start_range', { chartStart });
                 return chartStart;
             }
         }
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ chart_start_range lookup failed: ${error.message}`);
+        log.warn('chart_start_range lookup failed', { err: error });
         return null;
     }
 }
@@ -275,25 +276,19 @@ async function lookupPricePrecisionInRegistry(organizationId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const precision = parseInt(data.data.metadataEntries[0].value);
             if (!isNaN(precision) && precision >= 0 && precision <= 10) {
-                console.log(`   🎯 Found price_precision: ${precision}`);
+                log.debug('found price_precision', { precision });
                 return precision;
             }
         }
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ price_precision lookup failed: ${error.message}`);
+        log.warn('price_precision lookup failed', { err: error });
         return null;
     }
 }
@@ -317,25 +312,19 @@ async function lookupCurrencyRateProviderInRegistry(organizationId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const rateProviderAddress = data.data.metadataEntries[0].value;
             if (rateProviderAddress && rateProviderAddress.startsWith('0x')) {
-                console.log(`   💱 Found currency_stable_rate: ${rateProviderAddress.slice(0, 10)}...`);
+                log.debug('found currency_stable_rate', { rateProviderAddress });
                 return rateProviderAddress;
             }
         }
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ currency_stable_rate lookup failed: ${error.message}`);
+        log.warn('currency_stable_rate lookup failed', { err: error });
         return null;
     }
 }
@@ -358,25 +347,19 @@ async function lookupCurrencyStableSymbolInRegistry(organizationId) {
     }`;
 
     try {
-        const response = await fetch(FUTARCHY_REGISTRY_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
-        });
-
-        const data = await response.json();
+        const data = await registryQuery(query);
 
         if (data.data?.metadataEntries?.length > 0) {
             const symbol = data.data.metadataEntries[0].value;
             if (symbol) {
-                console.log(`   💵 Found currency_stable_symbol: ${symbol}`);
+                log.debug('found currency_stable_symbol', { symbol });
                 return symbol;
             }
         }
 
         return null;
     } catch (error) {
-        console.log(`   ⚠️ currency_stable_symbol lookup failed: ${error.message}`);
+        log.warn('currency_stable_symbol lookup failed', { err: error });
         return null;
     }
 }
@@ -431,7 +414,7 @@ async function resolveProposalId(proposalId) {
     }
 
     // 3. Use ID directly (assume it's already a Futarchy proposal ID)
-    console.log(`   ℹ️ No registry mapping found, using proposal ID directly`);
+    log.debug('no registry mapping, using proposal ID directly', { proposalId });
     return {
         proposalId: normalized,
         proposalAddress: normalized,  // Assume it's the trading contract directly
@@ -455,16 +438,16 @@ function getMockedTimeline() {
 export async function handleMarketEventsRequest(req, res) {
     const { proposalId } = req.params;
 
-    console.log(`📊 [Market Events] Request: ${proposalId.slice(0, 10)}...`);
+    log.info('market events request', { proposalId });
 
     try {
         // Dynamically resolve proposal ID using registry
-        const resolved = IS_CHECKPOINT
+        const resolved = isCheckpoint('registry')
             ? await resolveProposalAdapter(proposalId)
             : await resolveProposalId(proposalId);
         // Use proposalAddress (trading contract) for pool lookup
         const tradingContractId = resolved.proposalAddress || resolved.proposalId;
-        console.log(`   🔗 Resolved to trading contract: ${tradingContractId?.slice(0, 10)}...`);
+        log.debug('resolved trading contract', { tradingAddress: tradingContractId });
 
         // ⭐ NEW: Use config from proposal metadata first, fallback to org
         const ticker = resolved.coingeckoTicker || null;
@@ -472,10 +455,10 @@ export async function handleMarketEventsRequest(req, res) {
         const closeTimestamp = resolved.closeTimestamp || null;
 
         if (ticker) {
-            console.log(`   📊 Ticker from proposal: ${ticker.slice(0, 30)}...`);
+            log.debug('ticker from proposal', { ticker });
         }
         if (chartStartRange) {
-            console.log(`   📅 Chart start: ${new Date(chartStartRange * 1000).toISOString().split('T')[0]}`);
+            log.debug('chart start', { chartStartRange });
         }
 
         // ⭐ Use proposal-level first, fallback to org lookup
@@ -503,22 +486,21 @@ export async function handleMarketEventsRequest(req, res) {
                 //   no :: ticker: price is in sDAI → multiply by currencyRate to get xDAI
                 spotPrice = tickerHasRateProvider ? rawSpotPrice : rawSpotPrice * currencyRate;
             }
-            console.log(`   💹 Spot price: $${spotPrice?.toFixed(4) || 'N/A'} (rate ${tickerHasRateProvider ? 'built-in' : 'applied'})`);
+            log.debug('spot price', { spotPrice, rateBuiltIn: tickerHasRateProvider });
         } else {
-            console.log(`   ⏭️ Skipping spot price (no coingecko_ticker in proposal metadata)`);
+            log.debug('no coingecko_ticker in proposal metadata, skipping spot price');
         }
 
         // Fetch pools from Algebra subgraph using trading contract address
-        const pools = IS_CHECKPOINT
+        const pools = isCheckpoint('candles')
             ? await fetchPoolsAdapter(tradingContractId, chainId)
-            : await fetchPoolsForProposal(tradingContractId);
-        console.log(`   📦 Found ${pools.length} pools`);
+            : await fetchPoolsForProposal(tradingContractId, chainId);
+        log.debug('pools', { count: pools.length });
 
         // Find YES and NO conditional pools
         const yesPool = pools.find(p => p.outcomeSide === 'YES' && p.type === 'CONDITIONAL');
         const noPool = pools.find(p => p.outcomeSide === 'NO' && p.type === 'CONDITIONAL');
 
-        console.log(`   [DEBUG] Getting tokens...`);
         // Get company token from proposal (Graph Node has nested objects, Checkpoint doesn't)
         const proposal = pools[0]?.proposal;
         let companyToken = proposal?.companyToken;
@@ -542,7 +524,6 @@ export async function handleMarketEventsRequest(req, res) {
         const timelineStart = chartStartRange || (now - 2 * 24 * 60 * 60);  // Default: 2 days ago
         const timelineEnd = closeTimestamp || (now + 3 * 24 * 60 * 60);     // Default: 3 days from now
 
-        console.log(`   [DEBUG] Building response...`);
         // Build response with REAL pool IDs (essential for candles query)
         const response = {
             status: 'ok',
@@ -615,19 +596,15 @@ export async function handleMarketEventsRequest(req, res) {
         };
 
         if (yesPool && noPool) {
-            console.log(`   ✅ YES: $${yesPrice.toFixed(4)} (${yesPool.id.slice(0, 10)}...), NO: $${noPrice.toFixed(4)} (${noPool.id.slice(0, 10)}...)`);
-            console.log(`   [DEBUG] Sending res.json...`);
+            log.info('prices', { yes: yesPrice, no: noPrice, yesPool: yesPool.id, noPool: noPool.id });
             res.json(response);
-            console.log(`   [DEBUG] Finished!`);
         } else {
-            console.log(`   ⚠️ Missing pools - YES: ${!!yesPool}, NO: ${!!noPool}`);
-            console.log(`   [DEBUG] Sending res.json (missing pools)...`);
+            log.warn('missing pools', { yes: !!yesPool, no: !!noPool });
             res.json(response);
-            console.log(`   [DEBUG] Finished!`);
         }
 
     } catch (error) {
-        console.error('   ❌ Error:', error.message);
-        res.status(500).json({ error: error.message });
+        log.error('market events failed', { proposalId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 }
@@ -0,0 +1,180 @@
+/**
+ * Proposal Listing Endpoint (v2)
+ *
+ * GET /api/v2/proposals?organization=0x...&status=active|closed&chain=100&limit=20&offset=0
+ *
+ * Every proposal under AGGREGATOR_ADDRESS (or one organization), newest close
+ * first, with title, Snapshot ID, trading address, timeline and current YES/NO
+ * prices. The registry list is cached in registryCache; each page (with its
+ * prices) in responseCache.
+ */
+
+import { listProposals, lookupOrgMetadata } from '../adapters/registry-adapter.js';
+import { fetchPoolsForProposal as fetchPoolsAdapter } from '../adapters/candles-adapter.js';
+import { getRateCached } from '../services/rate-provider.js';
+import { responseCache } from '../utils/cache.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('proposals');
+
+const STATUSES = ['active', 'closed'];
+const QUERY_PARAMS = ['organization', 'status', 'chain', 'limit', 'offset'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Proposals priced at once — a full page must not flood the indexer
+const PRICE_CONCURRENCY = 8;
+
+// ============================================================================
+// QUERY PARSING
+// ============================================================================
+
+/**
+ * @returns {Object} { organizationId, status, chain, limit, offset, cacheKey } or { error }
+ */
+export function parseListQuery(query) {
+    // Repeated params (?status=a&status=b) arrive as arrays
+    const repeated = QUERY_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (repeated) return { error: `${repeated} must be a single value` };
+
+    const organizationId = query.organization ? query.organization.toLowerCase() : null;
+    if (organizationId && !/^0x[0-9a-f]{40}$/.test(organizationId)) {
+        return { error: 'organization must be a 0x-prefixed address' };
+    }
+
+    const status = query.status || null;
+    if (status && !STATUSES.includes(status)) {
+        return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+
+    const chain = query.chain !== undefined ? parseInt(query.chain) : null;
+    if (chain !== null && !(chain > 0)) return { error: 'chain must be a chain ID' };
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+
+    const offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+    if (!(offset >= 0)) return { error: 'offset must be >= 0' };
+
+    const cacheKey = `proposals:${organizationId || 'aggregator'}:${status || 'all'}:${chain || 'all'}:${limit}:${offset}`;
+    return { organizationId, status, chain, limit, offset, cacheKey };
+}
+
+// ============================================================================
+// PRICES
+// ============================================================================
+
+/**
+ * Current YES/NO prices for one proposal, in the same units as the chart's
+ * price_usd (pool price × currency rate). A failure only loses this proposal's prices.
+ */
+async function currentPrices(proposal, chainId) {
+    try {
+        const currencyRateProvider = proposal.currencyStableRate
+            ?? await lookupOrgMetadata(proposal.organizationId, 'currency_stable_rate').catch(() => null);
+        const [pools, currencyRate] = await Promise.all([
+            fetchPoolsAdapter(proposal.proposalAddress, chainId),
+            getRateCached(currencyRateProvider, chainId),
+        ]);
+
+        const yesPool = pools.find(p => p.outcomeSide === 'YES' && p.type === 'CONDITIONAL');
+        const noPool = pools.find(p => p.outcomeSide === 'NO' && p.type === 'CONDITIONAL');
+        const rate = currencyRate || 1;
+
+        return {
+            conditional_yes: yesPool ? { price_usd: parseFloat(yesPool.price) * rate, pool_id: yesPool.id } : null,
+            conditional_no: noPool ? { price_usd: parseFloat(noPool.price) * rate, pool_id: noPool.id } : null,
+            currency_rate: currencyRateProvider ? currencyRate : null,
+            price_source: pools.some(p => p.source === 'onchain') ? 'onchain' : 'indexer',
+        };
+    } catch (err) {
+        log.warn('prices unavailable', { proposalId: proposal.proposalId, err });
+        return null;
+    }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+export function statusOf(proposal, now) {
+    if (!proposal.closeTimestamp) return 'unknown';
+    return proposal.closeTimestamp > now ? 'active' : 'closed';
+}
+
+export async function handleProposalListRequest(req, res) {
+    const t0 = Date.now();
+    let organizationId = null;
+
+    try {
+        const params = parseListQuery(req.query);
+        if (params.error) return res.status(400).json({ error: params.error });
+
+        const { status, chain, limit, offset, cacheKey } = params;
+        organizationId = params.organizationId;
+
+        const cachedResponse = responseCache.get(cacheKey);
+        if (cachedResponse) {
+            res.set('X-Cache', 'HIT');
+            res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
+            res.set('X-Response-Time', '0ms');
+            return res.json(cachedResponse);
+        }
+
+        log.info('listing proposals', { organizationId, status, chain, limit, offset });
+
+        const now = Math.floor(Date.now() / 1000);
+        const matching = (await listProposals({ organizationId }))
+            .filter(p => !status || statusOf(p, now) === status)
+            .filter(p => !chain || (p.chain || 100) === chain)
+            // Newest close first; proposals without a close timestamp last
+            .sort((a, b) => (b.closeTimestamp || 0) - (a.closeTimestamp || 0));
+
+        const page = matching.slice(offset, offset + limit);
+        const describe = async p => {
+            const chainId = p.chain || 100;
+            return {
+                proposal_id: p.originalProposalId,
+                snapshot_id: p.snapshotId,
+                trading_address: p.proposalAddress,
+                title: p.title,
+                organization: { id: p.organizationId || null, name: p.organizationName || null },
+                chain_id: chainId,
+                status: statusOf(p, now),
+                timeline: {
+                    start_candle_unix: p.startCandleUnix,
+                    close_timestamp: p.closeTimestamp,
+                    twap_start_timestamp: p.twapStartTimestamp,
+                    twap_end_timestamp: p.twapStartTimestamp && p.twapDurationHours
+                        ? p.twapStartTimestamp + p.twapDurationHours * 3600 : null,
+                },
+                prices: await currentPrices(p, chainId),
+            };
+        };
+
+        const proposals = [];
+        for (let i = 0; i < page.length; i += PRICE_CONCURRENCY) {
+            proposals.push(...await Promise.all(page.slice(i, i + PRICE_CONCURRENCY).map(describe)));
+        }
+
+        const response = {
+            proposals,
+            pagination: {
+                total: matching.length,
+                limit,
+                offset,
+                next_offset: offset + limit < matching.length ? offset + limit : null,
+            },
+        };
+
+        const elapsed = Date.now() - t0;
+        log.info('proposals listed', { organizationId, total: matching.length, returned: proposals.length, duration_ms: elapsed });
+        responseCache.set(cacheKey, response);
+        res.set('X-Cache', 'MISS');
+        res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
+        res.set('X-Response-Time', `${elapsed}ms`);
+        res.json(response);
+    } catch (error) {
+        log.error('proposal listing failed', { organizationId, duration_ms: Date.now() - t0, err: error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
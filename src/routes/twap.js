@@ -0,0 +1,196 @@
+/**
+ * TWAP Endpoint (v2)
+ *
+ * GET /api/v2/proposals/:proposalId/twap?applyCurrencyRate=false
+ *
+ * Computes the time-weighted average YES/NO prices over the proposal's TWAP
+ * window (twapStartTimestamp + twapDurationHours from proposal metadata).
+ * This is the number that decides the futarchy outcome.
+ *
+ * A candle's close is the price at the END of its period, so it takes effect
+ * at periodStartUnix + period and is weighted until the next close, or until
+ * now / the window end for the last one. The price in effect at the window
+ * start is the last close before it; a pool without one is averaged from its
+ * first close instead of counting the time before as price 0.
+ *
+ * With applyCurrencyRate each segment is converted at the historical rate at
+ * its start, like the chart's candles.
+ */
+
+import { fetchPoolsForProposal as fetchPoolsAdapter, fetchCandles, getLatestPrice } from '../adapters/candles-adapter.js';
+import { resolveProposalId as resolveProposalAdapter, lookupOrgMetadata } from '../adapters/registry-adapter.js';
+import { getRateCached, getRateSeries } from '../services/rate-provider.js';
+import { BASE_PERIOD_SEC } from '../config/resolutions.js';
+import { responseCache } from '../utils/cache.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('twap');
+
+// ============================================================================
+// TWAP MATH
+// ============================================================================
+
+/**
+ * Time-weighted average of a step price series.
+ *
+ * @param {Array} candles - { periodStartUnix, close } sorted ascending
+ * @param {number|null} startPrice - Price in effect at windowStart (null/0 if the pool had no trades yet)
+ * @param {number} windowStart - TWAP window start (unix seconds)
+ * @param {number} windowEnd - End of the elapsed part of the window (unix seconds)
+ * @param {Object} [options]
+ * @param {number} [options.periodSec=3600] - Candle period; a close takes effect at periodStartUnix + periodSec
+ * @param {function(number): number} [options.rateAt] - Multiplier for a segment starting at a timestamp
+ * @returns {number|null} TWAP, or null when no priced time has elapsed
+ */
+export function computeTwap(candles, startPrice, windowStart, windowEnd, { periodSec = BASE_PERIOD_SEC, rateAt = () => 1 } = {}) {
+    if (windowEnd <= windowStart) return null;
+
+    let weighted = 0;
+    let price = startPrice || null;
+    let from = price !== null ? windowStart : null;
+    let since = windowStart;
+
+    for (const candle of candles) {
+        const time = Math.min(Math.max(parseInt(candle.periodStartUnix) + periodSec, windowStart), windowEnd);
+        if (price !== null) weighted += price * rateAt(since) * (time - since);
+        else from = time; // nothing priced yet — the average starts at the first close
+        price = parseFloat(candle.close);
+        since = time;
+    }
+    if (price === null || windowEnd <= from) return null;
+    weighted += price * rateAt(since) * (windowEnd - since);
+
+    return weighted / (windowEnd - from);
+}
+
+/**
+ * Candles whose close lands inside [windowStart, windowEnd], and the last close before it.
+ */
+async function loadTwapInputs(pool, windowStart, windowEnd, chainId) {
+    if (windowEnd <= windowStart) return { startPrice: null, candles: [] };
+
+    const [startPrice, { candles }] = await Promise.all([
+        getLatestPrice(pool.id, windowStart - BASE_PERIOD_SEC, chainId),
+        fetchCandles(pool.id, windowStart - BASE_PERIOD_SEC, windowEnd, chainId),
+    ]);
+    return { startPrice, candles };
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+export async function handleTwapRequest(req, res) {
+    const { proposalId } = req.params;
+    const applyCurrencyRate = req.query.applyCurrencyRate === 'true'; // default false
+
+    const cacheKey = `twap:${proposalId}:${applyCurrencyRate}`;
+    const cachedResponse = responseCache.get(cacheKey);
+    if (cachedResponse) {
+        res.set('X-Cache', 'HIT');
+        res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
+        res.set('X-Response-Time', '0ms');
+        return res.json(cachedResponse);
+    }
+
+    log.info('computing twap', { proposalId, applyCurrencyRate });
+    const t0 = Date.now();
+
+    try {
+        const resolved = await resolveProposalAdapter(proposalId);
+        const tradingContractId = resolved.proposalAddress || resolved.proposalId;
+        const chainId = resolved.chain || 100;
+        const { twapStartTimestamp, twapDurationHours } = resolved;
+
+        if (!twapStartTimestamp || !twapDurationHours) {
+            return res.status(404).json({ error: 'Proposal has no TWAP window configured (twapStartTimestamp / twapDurationHours)' });
+        }
+
+        const pools = await fetchPoolsAdapter(tradingContractId, chainId);
+
+        const yesPool = pools.find(p => p.outcomeSide === 'YES' && p.type === 'CONDITIONAL');
+        const noPool = pools.find(p => p.outcomeSide === 'NO' && p.type === 'CONDITIONAL');
+
+        if (!yesPool || !noPool) {
+            return res.status(404).json({ error: `Conditional pools not found (YES=${!!yesPool} NO=${!!noPool})` });
+        }
+
+        // ── Window ──
+        const now = Math.floor(Date.now() / 1000);
+        const windowStart = twapStartTimestamp;
+        const windowEnd = twapStartTimestamp + twapDurationHours * 3600;
+        const elapsedEnd = Math.min(now, windowEnd);
+        const elapsedPct = Math.min(100, Math.max(0, ((now - windowStart) / (windowEnd - windowStart)) * 100));
+        const status = now < windowStart ? 'pending' : now < windowEnd ? 'active' : 'finished';
+
+        // ── TWAPs ──
+        const currencyRateProvider = resolved.currencyStableRate ?? await lookupOrgMetadata(resolved.organizationId, 'currency_stable_rate');
+        const [yes, no, rateSeries, currencyRate] = await Promise.all([
+            loadTwapInputs(yesPool, windowStart, elapsedEnd, chainId),
+            loadTwapInputs(noPool, windowStart, elapsedEnd, chainId),
+            applyCurrencyRate && elapsedEnd > windowStart
+                ? getRateSeries(currencyRateProvider, chainId, windowStart, elapsedEnd)
+                : null,
+            // Rate is only metadata unless applied — don't fail the TWAP over it
+            getRateCached(currencyRateProvider, chainId).catch(err => {
+                if (applyCurrencyRate) throw err;
+                log.warn('currency rate unavailable', { provider: currencyRateProvider, chainId, err });
+                return null;
+            }),
+        ]);
+
+        const twapOptions = rateSeries ? { rateAt: rateSeries.rateAt } : {};
+        const yesTwap = computeTwap(yes.candles, yes.startPrice, windowStart, elapsedEnd, twapOptions);
+        const noTwap = computeTwap(no.candles, no.startPrice, windowStart, elapsedEnd, twapOptions);
+
+        let projectedWinner = null;
+        let spread = null;
+        let spreadPct = null;
+        if (yesTwap !== null && noTwap !== null) {
+            spread = yesTwap - noTwap;
+            spreadPct = noTwap !== 0 ? (spread / noTwap) * 100 : null;
+            projectedWinner = spread > 0 ? 'YES' : spread < 0 ? 'NO' : null;
+        }
+
+        const response = {
+            event_id: resolved.originalProposalId,
+            trading_address: tradingContractId,
+            window: {
+                start: windowStart,
+                end: windowEnd,
+                duration_hours: twapDurationHours,
+                description: resolved.twapDescription || null,
+                status,
+                elapsed_pct: elapsedPct,
+            },
+            twap: {
+                yes: yesTwap,
+                no: noTwap,
+                spread,
+                spread_pct: spreadPct,
+                projected_winner: projectedWinner,
+            },
+            pools: {
+                yes: { pool_id: yesPool.id, candles: yes.candles.length },
+                no: { pool_id: noPool.id, candles: no.candles.length },
+            },
+            currency_rate: currencyRateProvider ? currencyRate : null,
+            currency_rate_applied: !!(rateSeries && currencyRateProvider),
+            // false when some segments fell back to a nearby/latest rate (no archive RPC)
+            currency_rate_historical: rateSeries && currencyRateProvider ? rateSeries.historical : null,
+            computed_at: now,
+        };
+
+        const elapsed = Date.now() - t0;
+        log.info('twap computed', { proposalId, yes: yesTwap, no: noTwap, projectedWinner, elapsedPct, duration_ms: elapsed });
+        responseCache.set(cacheKey, response);
+        res.set('X-Cache', 'MISS');
+        res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
+        res.set('X-Response-Time', `${elapsed}ms`);
+        res.json(response);
+
+    } catch (error) {
+        log.error('twap failed', { proposalId, duration_ms: Date.now() - t0, err: error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
@@ -1,55 +1,188 @@
 /**
  * Unified Chart Endpoint (v2)
  * 
- * GET /api/v2/proposals/:proposalId/chart?minTimestamp=...&maxTimestamp=...
+ * GET /api/v2/proposals/:proposalId/chart?minTimestamp=...&maxTimestamp=...&resolution=1h&fields=ohlc
+ * 
+ * resolution: 1m | 5m | 15m | 1h (default) | 4h | 1d
+ * fields:     close (default) | ohlc — ohlc adds open/high/low
+ * derived:    false (default) | true — adds spread, impact and implied probability series
+ * pools:      conditional (default) | all — adds prediction and expected-value pool prices, volume and candles
  * 
  * Combines all data the UI needs in a single request:
  *   - Market metadata (prices, pool IDs, volume, timeline, tokens)
- *   - YES/NO candles (from Checkpoint or Graph Node)
+ *   - YES/NO candles (from Checkpoint or Graph Node), with per-candle volume and trade count
  *   - Spot candles (from GeckoTerminal, rate-divided)
  * 
  * Reuses existing adapters from market-events.js — no logic duplication.
  */
 
 import { fetchPoolsForProposal as fetchPoolsAdapter, fetchCandles } from '../adapters/candles-adapter.js';
-import { resolveProposalId as resolveProposalAdapter } from '../adapters/registry-adapter.js';
-import { IS_CHECKPOINT, ENDPOINTS } from '../config/endpoints.js';
-import { fetchPoolsForProposal } from '../services/algebra-client.js';
-import { getRateCached } from '../services/rate-provider.js';
+import { resolveProposalId as resolveProposalAdapter, lookupOrgMetadata, listProposals } from '../adapters/registry-adapter.js';
+import { getRateSeries, getRateCached } from '../services/rate-provider.js';
+import { getIndexerLag } from '../services/indexer-health.js';
 import { getSpotPrice, fetchSpotCandles, USE_FUTARCHY_SPOT } from '../services/spot-source.js';
 import { responseCache, candlesCache, spotCache, logCacheStats } from '../utils/cache.js';
-import { registerForWarming } from '../utils/warmer.js';
-import { RESPONSE_TTL_SEC } from '../config/cache-config.js';
+import { registerForWarming, recordWarmHit } from '../utils/warmer.js';
+import { publishChart } from '../utils/chart-events.js';
+import { RESPONSE_STALE_SEC, RESPONSE_STALE_IF_ERROR_SEC } from '../config/cache-config.js';
+import { DEFAULT_RESOLUTION, RESOLUTIONS, getResolution, finestNativePeriod, spotLimitFor } from '../config/resolutions.js';
+import { aggregateCandles, closesByTime, toSpotCandle } from '../utils/candles.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('unified-chart');
 
 // ============================================================================
-// REGISTRY HELPERS (only for non-Checkpoint fallback)
+// REGISTRY HELPERS
 // ============================================================================
 
-const FUTARCHY_REGISTRY_ENDPOINT = ENDPOINTS.registry;
-const AGGREGATOR_ADDRESS = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
-
-async function gqlFetch(url, query) {
-    const res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query }),
-    });
-    return res.json();
-}
-
 /**
  * Lookup org-level metadata (price_precision, currency_stable_rate, etc.)
  * Only needed when not available from proposal-level metadata.
  */
 async function lookupOrgMetadataField(orgId, key) {
-    if (!orgId) return null;
-    try {
-        const query = `{
-            metadataEntries(where: { key: "${key}", organization: "${orgId}" }) { value }
-        }`;
-        const data = await gqlFetch(FUTARCHY_REGISTRY_ENDPOINT, query);
-        return data?.data?.metadataEntries?.[0]?.value || null;
-    } catch { return null; }
+    return lookupOrgMetadata(orgId, key).catch(() => null);
+}
+
+// ============================================================================
+// QUERY PARSING
+// ============================================================================
+
+/**
+ * Parse chart query params and build the response cache key.
+ * Shared by the chart and stream endpoints so both address the same cache entry.
+ *
+ * Without maxTimestamp the chart is "live": it always ends at now and is cached
+ * under a stable `live` key, so the warmer keeps refreshing the same entry.
+ *
+ * @returns {Object} Parsed params with cacheKey, or { error } for invalid input
+ */
+export function parseChartQuery(proposalId, query) {
+    const isLive = !parseInt(query.maxTimestamp);
+    const resolution = getResolution(query.resolution || DEFAULT_RESOLUTION);
+
+    if (!resolution) {
+        return { error: `Invalid resolution "${query.resolution}" (expected one of: ${Object.keys(RESOLUTIONS).join(', ')})` };
+    }
+    if (!resolution.supported) {
+        return { error: `Resolution "${resolution.name}" is finer than the indexer's finest candle period (${finestNativePeriod()}s)` };
+    }
+
+    const params = {
+        proposalId,
+        minTimestamp: parseInt(query.minTimestamp) || 0,
+        maxTimestamp: isLive ? Math.floor(Date.now() / 1000) : parseInt(query.maxTimestamp),
+        isLive,
+        includeSpot: query.includeSpot !== 'false', // default true
+        applyCurrencyRate: query.applyCurrencyRate === 'true', // default false
+        resolution,
+        includeOhlc: query.fields === 'ohlc', // default close-only
+        derived: query.derived === 'true', // default false
+        allPools: query.pools === 'all', // default conditional only
+    };
+
+    const maxKey = isLive ? 'live' : params.maxTimestamp;
+    params.cacheKey = `${proposalId}:${params.minTimestamp}:${maxKey}:${params.includeSpot}:${params.applyCurrencyRate}:${resolution.name}:${params.includeOhlc}`
+        + (params.derived ? ':derived' : '')
+        + (params.allPools ? ':allpools' : '');
+    return params;
+}
+
+/**
+ * Warmer params for a parsed chart query — refreshChart() rebuilds exactly this cache entry.
+ */
+export function warmParamsFor(params) {
+    return {
+        proposalId: params.proposalId,
+        minTimestamp: params.minTimestamp,
+        maxTimestamp: params.isLive ? null : params.maxTimestamp,
+        includeSpot: params.includeSpot,
+        applyCurrencyRate: params.applyCurrencyRate,
+        resolution: params.resolution.name,
+        fields: params.includeOhlc ? 'ohlc' : 'close',
+        derived: params.derived,
+        pools: params.allPools ? 'all' : 'conditional',
+    };
+}
+
+/**
+ * Warm entries for the standard live chart of every proposal that hasn't closed.
+ * Keyed by Snapshot ID when the registry has one (what the UI requests),
+ * otherwise by trading address.
+ */
+export async function activeChartWarmEntries() {
+    const now = Math.floor(Date.now() / 1000);
+    const proposals = await listProposals();
+    return proposals
+        .filter(p => p.closeTimestamp && p.closeTimestamp > now)
+        .map(p => {
+            const params = parseChartQuery(p.snapshotId || p.proposalAddress, {});
+            return { cacheKey: params.cacheKey, params: warmParamsFor(params) };
+        });
+}
+
+// ============================================================================
+// OTHER POOL TYPES (pools=all)
+// ============================================================================
+
+// Besides the YES/NO conditional pools, each proposal has:
+//   PREDICTION      — outcome currency token vs currency, price ≈ probability of the outcome
+//   EXPECTED_VALUE  — outcome company token vs currency
+const EXTRA_POOL_SERIES = [
+    { key: 'prediction_yes', type: 'PREDICTION', side: 'YES' },
+    { key: 'prediction_no', type: 'PREDICTION', side: 'NO' },
+    { key: 'expected_value_yes', type: 'EXPECTED_VALUE', side: 'YES' },
+    { key: 'expected_value_no', type: 'EXPECTED_VALUE', side: 'NO' },
+];
+
+/**
+ * Market-implied probability of YES from the prediction pool prices (either may be null):
+ * YES / (YES + NO) when both trade, else YES, else 1 − NO.
+ */
+export function impliedProbability(yes, no) {
+    if (yes !== null && no !== null) return yes + no > 0 ? yes / (yes + no) : null;
+    return yes ?? (no !== null ? 1 - no : null);
+}
+
+/**
+ * Earliest periodStartUnix across candle series, or null when all are empty.
+ */
+function firstCandleTime(series) {
+    const starts = series.filter(candles => candles?.length > 0).map(candles => parseInt(candles[0].periodStartUnix));
+    return starts.length > 0 ? Math.min(...starts) : null;
+}
+
+// ============================================================================
+// DERIVED SERIES (derived=true)
+// ============================================================================
+
+/**
+ * Futarchy signals on one grid — every period from the first YES or NO candle:
+ *   spread      — YES − NO, in the units of candles.yes/no (`scaleAt` applies the currency rate)
+ *   impact      — (YES − NO) / spot × 100; null without spot candles
+ *   probability — YES prediction price, normalized by YES + NO when both prediction
+ *                 pools trade; null without a prediction pool
+ * Inputs are currency-denominated candles. A step where an input has no price yet is null.
+ */
+export function deriveSeries({ yes, no, spot, predictionYes, predictionNo }, { maxTimestamp, periodSec, scaleAt }) {
+    const yesAt = closesByTime(yes, maxTimestamp, periodSec);
+    const noAt = closesByTime(no, maxTimestamp, periodSec);
+    const spotAt = closesByTime(spot, maxTimestamp, periodSec);
+    const predYesAt = closesByTime(predictionYes, maxTimestamp, periodSec);
+    const predNoAt = closesByTime(predictionNo, maxTimestamp, periodSec);
+    const times = [...new Set([...yesAt.keys(), ...noAt.keys()])].sort((a, b) => a - b);
+
+    const point = (time, value) => ({ periodStartUnix: String(time), value: Number.isFinite(value) ? value : null });
+    const diffAt = time => yesAt.has(time) && noAt.has(time) ? yesAt.get(time) - noAt.get(time) : null;
+
+    const probabilityAt = time => impliedProbability(predYesAt.get(time) ?? null, predNoAt.get(time) ?? null);
+
+    return {
+        spread: times.map(t => point(t, diffAt(t) === null ? null : diffAt(t) * scaleAt(t))),
+        impact: spotAt.size > 0
+            ? times.map(t => point(t, diffAt(t) === null || !spotAt.get(t) ? null : diffAt(t) / spotAt.get(t) * 100))
+            : null,
+        probability: predYesAt.size > 0 || predNoAt.size > 0 ? times.map(t => point(t, probabilityAt(t))) : null,
+    };
 }
 
 // ============================================================================
@@ -58,24 +191,37 @@ async function lookupOrgMetadataField(orgId, key) {
 
 export async function handleUnifiedChartRequest(req, res) {
     const { proposalId } = req.params;
-    const minTimestamp = parseInt(req.query.minTimestamp) || 0;
-    const maxTimestamp = parseInt(req.query.maxTimestamp) || Math.floor(Date.now() / 1000);
-    const includeSpot = req.query.includeSpot !== 'false'; // default true
-    const applyCurrencyRate = req.query.applyCurrencyRate === 'true'; // default false
-
-    // ── Response-level cache ──
-    const cacheKey = `${proposalId}:${minTimestamp}:${maxTimestamp}:${includeSpot}:${applyCurrencyRate}`;
-    const cachedResponse = responseCache.get(cacheKey);
+    const params = parseChartQuery(proposalId, req.query);
+
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    const { minTimestamp, maxTimestamp, isLive, includeSpot, applyCurrencyRate, resolution, includeOhlc, derived, allPools, cacheKey } = params;
+
+    // ── Response-level cache (skipped by background refreshes) ──
+    const cachedResponse = !req.forceRefresh && responseCache.get(cacheKey);
     if (cachedResponse) {
-        console.log(`⚡ [Unified Chart] CACHE HIT ${proposalId.slice(0, 10)}... (0ms)`);
+        log.info('cache hit', { proposalId, cacheKey });
         logCacheStats();
+        recordWarmHit(cacheKey);
         res.set('X-Cache', 'HIT');
-        res.set('X-Cache-TTL', String(RESPONSE_TTL_SEC));
+        res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
         res.set('X-Response-Time', '0ms');
         return res.json(cachedResponse);
     }
 
-    console.log(`⚡ [Unified Chart] ${proposalId.slice(0, 10)}... (${minTimestamp}→${maxTimestamp}) spot=${includeSpot} applyCurrencyRate=${applyCurrencyRate}`);
+    // ── Stale-while-revalidate: serve the expired response now, rebuild in the background ──
+    const stale = !req.forceRefresh && responseCache.getStale(cacheKey, RESPONSE_STALE_SEC * 1000);
+    if (stale) {
+        log.info('serving stale, revalidating', { proposalId, cacheKey, age_ms: stale.ageMs });
+        revalidateChart(proposalId, req.query, cacheKey);
+        recordWarmHit(cacheKey);
+        setStaleHeaders(res, stale, '110 - "Response is Stale"');
+        return res.json(stale.value);
+    }
+
+    log.info('building chart', { proposalId, minTimestamp, maxTimestamp, includeSpot, applyCurrencyRate, resolution: resolution.name, ohlc: includeOhlc });
     const t0 = Date.now();
 
     try {
@@ -94,21 +240,27 @@ export async function handleUnifiedChartRequest(req, res) {
             : minTimestamp;
 
         if (chartStartRange && effectiveMinTimestamp !== minTimestamp) {
-            console.log(`   📅 Clamped minTimestamp ${minTimestamp} → ${effectiveMinTimestamp} (startCandleUnix=${chartStartRange})`);
+            log.debug('clamped minTimestamp', { minTimestamp, effectiveMinTimestamp, startCandleUnix: chartStartRange });
         }
 
-        console.log(`   🔗 Resolved: ${tradingContractId?.slice(0, 10)}... chain=${chainId} ticker=${ticker?.slice(0, 20) || 'none'} (${Date.now() - t1}ms)`);
+        log.debug('resolved proposal', { tradingAddress: tradingContractId, chainId, ticker, duration_ms: Date.now() - t1 });
 
         // ── Step 2: Fetch pools ──
         const t2 = Date.now();
-        const pools = IS_CHECKPOINT
-            ? await fetchPoolsAdapter(tradingContractId, chainId)
-            : await fetchPoolsForProposal(tradingContractId);
+        const pools = await fetchPoolsAdapter(tradingContractId, chainId);
 
         const yesPool = pools.find(p => p.outcomeSide === 'YES' && p.type === 'CONDITIONAL');
         const noPool = pools.find(p => p.outcomeSide === 'NO' && p.type === 'CONDITIONAL');
+        // Other pool types: all of them with pools=all, prediction pools alone for derived=true
+        const extraPools = EXTRA_POOL_SERIES
+            .filter(series => allPools || (derived && series.type === 'PREDICTION'))
+            .map(series => ({ ...series, pool: pools.find(p => p.outcomeSide === series.side && p.type === series.type) }))
+            .filter(series => series.pool);
 
-        console.log(`   📦 Pools: YES=${!!yesPool} NO=${!!noPool} (${Date.now() - t2}ms)`);
+        // Pools from the on-chain fallback = indexer down or behind: live prices, best-effort candles
+        const degraded = pools.some(p => p.source === 'onchain');
+
+        log.debug('pools', { yes: yesPool?.id || null, no: noPool?.id || null, extra: extraPools.map(s => s.key), degraded, duration_ms: Date.now() - t2 });
 
         // ── Step 3: Org-level metadata (fallback when not on proposal) ──
         const t3 = Date.now();
@@ -116,7 +268,7 @@ export async function handleUnifiedChartRequest(req, res) {
         const currencyRateProvider = resolved.currencyStableRate ?? await lookupOrgMetadataField(resolved.organizationId, 'currency_stable_rate');
         const currencyStableSymbol = resolved.currencyStableSymbol ?? await lookupOrgMetadataField(resolved.organizationId, 'currency_stable_symbol');
 
-        console.log(`   📋 Org metadata fallbacks (${Date.now() - t3}ms)`);
+        log.debug('org metadata fallbacks', { duration_ms: Date.now() - t3 });
 
         // ── Step 4: Fetch data in PARALLEL (spot only if includeSpot) ──
         const t4 = Date.now();
@@ -125,52 +277,103 @@ export async function handleUnifiedChartRequest(req, res) {
         const tNo = Date.now();
         const tSpot = Date.now();
 
-        const [currencyRate, yesCandles, noCandles, spotData] = await Promise.all([
-            getRateCached(currencyRateProvider, chainId).then(r => { console.log(`      💱 Rate: ${r?.toFixed(4) || 'N/A'} (${Date.now() - tRate}ms)`); return r; }),
-            yesPool ? (candlesCache.get(`yes:${yesPool.id}:${effectiveMinTimestamp}:${maxTimestamp}`) || fetchCandles(yesPool.id, effectiveMinTimestamp, maxTimestamp, chainId).then(c => { candlesCache.set(`yes:${yesPool.id}:${effectiveMinTimestamp}:${maxTimestamp}`, c); console.log(`      📈 YES candles: ${c.length} (${Date.now() - tYes}ms)`); return c; })) : Promise.resolve([]),
-            noPool ? (candlesCache.get(`no:${noPool.id}:${effectiveMinTimestamp}:${maxTimestamp}`) || fetchCandles(noPool.id, effectiveMinTimestamp, maxTimestamp, chainId).then(c => { candlesCache.set(`no:${noPool.id}:${effectiveMinTimestamp}:${maxTimestamp}`, c); console.log(`      📉 NO candles: ${c.length} (${Date.now() - tNo}ms)`); return c; })) : Promise.resolve([]),
+        const { limit: spotLimit, truncated: spotRangeTruncated } = spotLimitFor(resolution, effectiveMinTimestamp, maxTimestamp);
+        const candleOptions = { resolution, ohlc: includeOhlc, activity: true };
+        // v2: candles carry volume and txCount — keeps older disk entries from being served
+        const candleKeySuffix = `${effectiveMinTimestamp}:${isLive ? 'live' : maxTimestamp}:${resolution.name}${includeOhlc ? ':ohlc' : ''}:v2`;
+
+        const noCandlesResult = { candles: [], truncated: false };
+
+        // Cached per side; concurrent misses for the same key share one fetch
+        const loadCandles = (side, pool, t0) => {
+            const key = `${side}:${pool.id}:${candleKeySuffix}`;
+            return candlesCache.get(key) || candlesCache.coalesce(key, async () => {
+                const c = await fetchCandles(pool.id, effectiveMinTimestamp, maxTimestamp, chainId, candleOptions);
+                candlesCache.set(key, c);
+                log.debug('candles', { side, poolId: pool.id, candles: c.candles.length, truncated: c.truncated, duration_ms: Date.now() - t0 });
+                return c;
+            });
+        };
+
+        const loadSideCandles = (side, pool, t0) => !degraded
+            ? loadCandles(side, pool, t0)
+            : Promise.resolve().then(() => loadCandles(side, pool, t0)).catch(err => {
+                log.warn('candles unavailable while degraded', { side, poolId: pool.id, err });
+                return noCandlesResult;
+            });
+
+        const yesLoad = yesPool ? loadSideCandles('yes', yesPool, tYes) : Promise.resolve(noCandlesResult);
+        const noLoad = noPool ? loadSideCandles('no', noPool, tNo) : Promise.resolve(noCandlesResult);
+        const extraLoad = Promise.all(extraPools.map(({ key, pool }) => loadSideCandles(key, pool, Date.now())));
+
+        // Without a registry start the range can begin at 0 — sample rates from the first candle instead
+        const rateFrom = chartStartRange
+            ? Promise.resolve(effectiveMinTimestamp)
+            : Promise.all([yesLoad, noLoad, extraLoad]).then(([yes, no, extras]) =>
+                Math.max(effectiveMinTimestamp, firstCandleTime([yes, no, ...extras].map(r => r.candles)) ?? maxTimestamp));
+
+        // Only divide spot by the rate if the ticker contains a rate provider and is NOT a composite pool.
+        // Composite pools natively divide their prices in the backend proxy (spot-price.js).
+        const divideByRate = !!ticker && ticker.includes('::') && !ticker.startsWith('composite::');
+
+        // Historical rates cost archive RPC calls — sampled only when candles are converted with them
+        const rateLoad = getRateCached(currencyRateProvider, chainId).then(latest => {
+            const perCandle = (applyCurrencyRate && latest !== 1) || (includeSpot && divideByRate);
+            return perCandle
+                ? rateFrom.then(from => getRateSeries(currencyRateProvider, chainId, from, maxTimestamp))
+                : { rateAt: () => latest, latest, historical: true, samples: 0 };
+        });
+
+        const [rateSeries, yesResult, noResult, spotData, extraResults] = await Promise.all([
+            rateLoad.then(r => { log.debug('currency rate', { provider: currencyRateProvider, rate: r.latest, samples: r.samples, historical: r.historical, duration_ms: Date.now() - tRate }); return r; }),
+            yesLoad,
+            noLoad,
             (includeSpot && ticker) ? (async () => {
-                if (USE_FUTARCHY_SPOT) return fetchSpotCandles(ticker, 500, maxTimestamp + 3600, effectiveMinTimestamp).then(s => { console.log(`      💹 Spot: ${s?.candles?.length || 0} raw [futarchy-spot] (${Date.now() - tSpot}ms)`); return s; });
+                if (USE_FUTARCHY_SPOT) return fetchSpotCandles(ticker, spotLimit, maxTimestamp + 3600, effectiveMinTimestamp, resolution).then(s => { log.debug('spot candles', { source: 'futarchy-spot', ticker, candles: s?.candles?.length || 0, duration_ms: Date.now() - tSpot }); return s; });
                 
                 // Identify if the request represents a historical chart (> 3 days old)
                 const now = Math.floor(Date.now() / 1000);
                 const isHistorical = maxTimestamp < (now - 3 * 86400);
                 // Use a different cache key to prevent live dates from poisoning historical queries
-                const cacheKey = isHistorical ? `${ticker}:hist:${Math.floor(maxTimestamp / 86400)}` : ticker;
+                const baseKey = isHistorical ? `${ticker}:hist:${Math.floor(maxTimestamp / 86400)}` : ticker;
+                const cacheKey = resolution.name === DEFAULT_RESOLUTION ? baseKey : `${baseKey}:${resolution.name}`;
 
                 const cached = spotCache.get(cacheKey);
                 if (cached) return cached;
 
-                const s = await fetchSpotCandles(ticker, 500, maxTimestamp + 3600, effectiveMinTimestamp);
-                if (s?.candles?.length > 0) spotCache.set(cacheKey, s);
-                console.log(`      💹 Spot: ${s?.candles?.length || 0} raw (${Date.now() - tSpot}ms) key=${cacheKey}`);
-                return s;
+                return spotCache.coalesce(cacheKey, async () => {
+                    const s = await fetchSpotCandles(ticker, spotLimit, maxTimestamp + 3600, effectiveMinTimestamp, resolution);
+                    if (s?.candles?.length > 0) spotCache.set(cacheKey, s);
+                    log.debug('spot candles', { source: 'gecko', ticker, cacheKey, candles: s?.candles?.length || 0, duration_ms: Date.now() - tSpot });
+                    return s;
+                });
             })() : Promise.resolve(null),
+            extraLoad,
         ]);
 
-        console.log(`   ⏱️ Parallel fetch total: ${Date.now() - t4}ms`);
+        log.debug('parallel fetch', { duration_ms: Date.now() - t4 });
+
+        // Latest rate for current prices/volume; candles use the rate at their own time
+        const currencyRate = rateSeries.latest;
+
+        const yesCandles = yesResult.candles;
+        const noCandles = noResult.candles;
+        const extraCandles = Object.fromEntries(extraPools.map(({ key }, i) => [key, extraResults[i].candles]));
+        const truncated = yesResult.truncated || noResult.truncated || extraResults.some(r => r.truncated);
 
         // ── Step 5: Process spot candles (exclude composite from rate logic) ──
         let spotCandles = [];
         let spotPrice = null;
         if (spotData && ticker) {
-            let rateDivisor = 1;
-            // Only divide if the ticker contains a rate provider and is NOT a composite pool.
-            // Composite pools natively divide their prices in the backend proxy (spot-price.js).
-            if (ticker.includes('::') && !ticker.startsWith('composite::')) {
-                rateDivisor = currencyRate || 1;
-            }
-
             spotCandles = (spotData.candles || [])
                 .filter(c => c.time >= effectiveMinTimestamp && c.time <= maxTimestamp)
-                .map(c => ({
-                    periodStartUnix: String(c.time),
-                    close: String(c.value / rateDivisor)
-                }));
+                .map(c => toSpotCandle(c, divideByRate ? rateSeries.rateAt(c.time) : 1, includeOhlc));
+            // futarchy-spot only serves hourly candles — bucket to the requested resolution
+            spotCandles = aggregateCandles(spotCandles, resolution.seconds);
 
             const rawSpotPrice = spotData.price;
             if (rawSpotPrice !== null) {
-                spotPrice = rawSpotPrice / rateDivisor;
+                spotPrice = rawSpotPrice / (divideByRate ? currencyRate : 1);
             }
         }
 
@@ -190,6 +393,12 @@ export async function handleUnifiedChartRequest(req, res) {
         // ── Step 7: Prices ──
         const yesPrice = yesPool ? parseFloat(yesPool.price) * (currencyRate || 1) : 0;
         const noPrice = noPool ? parseFloat(noPool.price) * (currencyRate || 1) : 0;
+        // Keyed like EXTRA_POOL_SERIES; null when the proposal has no such pool
+        const extraPoolOf = key => extraPools.find(s => s.key === key)?.pool || null;
+        const extraMarket = allPools ? Object.fromEntries(EXTRA_POOL_SERIES.map(({ key }) => {
+            const pool = extraPoolOf(key);
+            return [key, pool ? { price_usd: parseFloat(pool.price) * (currencyRate || 1), pool_id: pool.id } : null];
+        })) : null;
 
         // ── Step 8: Volume (always in currency terms, e.g. sDAI) ──
         function extractVolume(pool) {
@@ -203,6 +412,18 @@ export async function handleUnifiedChartRequest(req, res) {
             return { status: 'ok', pool_id: pool.id, volume: String(rawCurrency), volume_usd: volumeUsd };
         }
 
+        // ── Per-candle volume (currency side, like extractVolume) and trade count ──
+        // null when the indexer that served the candles has no such field
+        function withCandleActivity(candles, pool) {
+            if (!pool) return candles;
+            const currencyField = pool.token0?.role?.includes('CURRENCY') ? 'volumeToken0' : 'volumeToken1';
+            return candles.map(({ volumeToken0, volumeToken1, txCount, ...c }) => ({
+                ...c,
+                volume: (currencyField === 'volumeToken0' ? volumeToken0 : volumeToken1) ?? null,
+                trades: txCount !== undefined ? parseInt(txCount) || 0 : null,
+            }));
+        }
+
         // ── Build unified response ──
         const now = Math.floor(Date.now() / 1000);
 
@@ -212,13 +433,16 @@ export async function handleUnifiedChartRequest(req, res) {
 
         function applyRateToCandles(candles) {
             if (!shouldApplyRate) return candles;
-            return candles.map(c => ({
-                ...c,
-                open: c.open ? String(parseFloat(c.open) * rate) : c.open,
-                high: c.high ? String(parseFloat(c.high) * rate) : c.high,
-                low: c.low ? String(parseFloat(c.low) * rate) : c.low,
-                close: c.close ? String(parseFloat(c.close) * rate) : c.close,
-            }));
+            return candles.map(c => {
+                const r = rateSeries.rateAt(parseInt(c.periodStartUnix));
+                return {
+                    ...c,
+                    open: c.open ? String(parseFloat(c.open) * r) : c.open,
+                    high: c.high ? String(parseFloat(c.high) * r) : c.high,
+                    low: c.low ? String(parseFloat(c.low) * r) : c.low,
+                    close: c.close ? String(parseFloat(c.close) * r) : c.close,
+                };
+            });
         }
 
         const response = {
@@ -228,6 +452,18 @@ export async function handleUnifiedChartRequest(req, res) {
                 conditional_yes: { price_usd: yesPrice, pool_id: yesPool?.id || '' },
                 conditional_no: { price_usd: noPrice, pool_id: noPool?.id || '' },
                 spot: { price_usd: spotPrice, pool_ticker: ticker || null },
+                ...(allPools && {
+                    ...extraMarket,
+                    // From prediction pool prices in currency terms (no rate)
+                    implied_probability: impliedProbability(
+                        extraPoolOf('prediction_yes') ? parseFloat(extraPoolOf('prediction_yes').price) : null,
+                        extraPoolOf('prediction_no') ? parseFloat(extraPoolOf('prediction_no').price) : null),
+                }),
+                // true = indexer unavailable; prices read on-chain, volume/candles may be missing
+                degraded,
+                price_source: degraded ? 'onchain' : 'indexer',
+                // Candles indexer lag behind chain head, from the last freshness check
+                indexer: getIndexerLag('candles'),
                 company_tokens: {
                     base: { tokenSymbol: companyToken?.symbol || 'TOKEN' },
                     currency: { tokenSymbol: currencyToken?.symbol || 'CURRENCY', stableSymbol: currencyStableSymbol || null }
@@ -239,56 +475,147 @@ export async function handleUnifiedChartRequest(req, res) {
                     chart_start_range: chartStartRange || null,
                     start_candle_unix: chartStartRange ? parseInt(chartStartRange) : null,
                     close_timestamp: closeTimestamp || null,
+                    twap_start_timestamp: resolved.twapStartTimestamp || null,
+                    twap_end_timestamp: resolved.twapStartTimestamp && resolved.twapDurationHours
+                        ? resolved.twapStartTimestamp + resolved.twapDurationHours * 3600 : null,
                     price_precision: pricePrecision ? parseInt(pricePrecision) : null,
                     currency_rate: currencyRateProvider ? currencyRate : null,
-                    currency_rate_applied: shouldApplyRate
+                    currency_rate_applied: shouldApplyRate,
+                    // false when some candles fell back to a nearby/latest rate (no archive RPC)
+                    currency_rate_historical: currencyRateProvider ? rateSeries.historical : null,
+                    resolution: resolution.name,
+                    resolution_sec: resolution.seconds,
+                    candle_fields: includeOhlc ? 'ohlc' : 'close',
+                    // true when a pool had more candles than CANDLES_MAX_RESULTS
+                    truncated,
+                    // true when spot candles only cover the end of the range (one GeckoTerminal page)
+                    spot_truncated: spotCandles.length > 0 && spotRangeTruncated
                 },
                 volume: {
                     conditional_yes: extractVolume(yesPool),
-                    conditional_no: extractVolume(noPool)
+                    conditional_no: extractVolume(noPool),
+                    ...(allPools && Object.fromEntries(EXTRA_POOL_SERIES.map(({ key }) => [key, extractVolume(extraPoolOf(key)) || null])))
                 }
             },
             candles: {
-                yes: applyRateToCandles(yesCandles),
-                no: applyRateToCandles(noCandles),
-                spot: spotCandles
-            }
+                yes: applyRateToCandles(withCandleActivity(yesCandles, yesPool)),
+                no: applyRateToCandles(withCandleActivity(noCandles, noPool)),
+                spot: spotCandles,
+                ...(allPools && Object.fromEntries(EXTRA_POOL_SERIES.map(({ key }) => [key,
+                    extraCandles[key] ? applyRateToCandles(withCandleActivity(extraCandles[key], extraPoolOf(key))) : []])))
+            },
+            ...(derived && {
+                derived: deriveSeries({
+                    yes: yesCandles,
+                    no: noCandles,
+                    spot: spotCandles,
+                    predictionYes: extraCandles.prediction_yes || [],
+                    predictionNo: extraCandles.prediction_no || [],
+                }, {
+                    maxTimestamp,
+                    periodSec: resolution.seconds,
+                    scaleAt: time => shouldApplyRate ? rateSeries.rateAt(time) : 1,
+                })
+            })
         };
 
         const elapsed = Date.now() - t0;
-        console.log(`   ✅ Done: YES=${yesCandles.length} NO=${noCandles.length} SPOT=${spotCandles.length} (${elapsed}ms)`);
+        log.info('chart built', { proposalId, cacheKey, yes: yesCandles.length, no: noCandles.length, spot: spotCandles.length, degraded, duration_ms: elapsed });
         logCacheStats();
         responseCache.set(cacheKey, response);
-        // With CoinGecko Pro API key (250 req/min), warmer can include spot data
-        registerForWarming(cacheKey, { proposalId, minTimestamp, maxTimestamp, includeSpot: true });
+        publishChart(cacheKey, response);
+        // With CoinGecko Pro API key (250 req/min), warmer can include spot data.
+        // Params mirror the cache key so the warmer refreshes this exact entry.
+        // Warmer refreshes don't count as demand.
+        if (!req.background) registerForWarming(cacheKey, warmParamsFor(params), chartActivity(response));
         res.set('X-Cache', 'MISS');
-        res.set('X-Cache-TTL', String(RESPONSE_TTL_SEC));
+        res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
         res.set('X-Response-Time', `${elapsed}ms`);
         res.json(response);
 
     } catch (error) {
-        console.error(`   ❌ Error: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        log.error('chart failed', { proposalId, cacheKey, duration_ms: Date.now() - t0, err: error });
+
+        // ── Stale-if-error: the last good response beats a 500 (background refreshes report the failure) ──
+        const fallback = !req.forceRefresh && responseCache.getStale(cacheKey, RESPONSE_STALE_IF_ERROR_SEC * 1000);
+        if (fallback) {
+            log.warn('serving stale after upstream error', { proposalId, cacheKey, age_ms: fallback.ageMs });
+            setStaleHeaders(res, fallback, '111 - "Revalidation Failed"');
+            return res.json(fallback.value);
+        }
+        res.status(error.status || 500).json({ error: error.message });
     }
 }
 
+function setStaleHeaders(res, stale, warning) {
+    res.set('X-Cache', 'STALE');
+    res.set('X-Cache-TTL', String(responseCache.ttlMs / 1000));
+    res.set('X-Cache-Age', String(Math.round(stale.ageMs / 1000)));
+    res.set('Warning', warning);
+    res.set('X-Response-Time', '0ms');
+}
+
+/**
+ * Rebuild a chart in the background after serving it stale.
+ * Concurrent stale hits on the same key share one rebuild.
+ */
+function revalidateChart(proposalId, query, cacheKey) {
+    // The stale hit already counted as demand (recordWarmHit)
+    responseCache.coalesce(cacheKey, () => getChartSnapshot(proposalId, query, { force: true, background: true }))
+        .catch(err => log.error('revalidation failed', { proposalId, cacheKey, err }));
+}
+
+/**
+ * What the warmer schedules a chart by: its timeline and latest candle (unix seconds).
+ */
+export function chartActivity(body) {
+    const timeline = body?.market?.timeline || {};
+    const candles = [...(body?.candles?.yes || []), ...(body?.candles?.no || [])];
+    return {
+        startsAt: timeline.start_candle_unix ?? null,
+        closesAt: timeline.close_timestamp ? parseInt(timeline.close_timestamp) : null,
+        twapStart: timeline.twap_start_timestamp ?? null,
+        twapEnd: timeline.twap_end_timestamp ?? null,
+        lastCandleAt: candles.length > 0 ? Math.max(...candles.map(c => parseInt(c.periodStartUnix))) : null,
+    };
+}
+
 /**
  * Internal refresh function for the cache warmer.
  * Calls the handler with mock req/res to rebuild all caches.
+ * A null maxTimestamp refreshes the live (open-ended) chart.
+ * Returns the rebuilt chart's activity; throws when the rebuild fails, so the warmer can report it.
  */
-export async function refreshChart({ proposalId, minTimestamp, maxTimestamp, includeSpot }) {
-    const mockReq = {
-        params: { proposalId },
-        query: {
-            minTimestamp: String(minTimestamp),
-            maxTimestamp: String(maxTimestamp),
-            includeSpot: includeSpot ? 'true' : 'false',
-        },
-    };
+export async function refreshChart({ proposalId, minTimestamp, maxTimestamp, includeSpot, applyCurrencyRate = false, resolution = DEFAULT_RESOLUTION, fields = 'close', derived = false, pools = 'conditional' }) {
+    const { status, body } = await getChartSnapshot(proposalId, {
+        minTimestamp: String(minTimestamp),
+        maxTimestamp: maxTimestamp ? String(maxTimestamp) : undefined,
+        includeSpot: includeSpot ? 'true' : 'false',
+        applyCurrencyRate: applyCurrencyRate ? 'true' : 'false',
+        resolution,
+        fields,
+        derived: derived ? 'true' : 'false',
+        pools,
+    }, { force: true, background: true });
+    if (status !== 200) throw new Error(body?.error || `HTTP ${status}`);
+    return chartActivity(body);
+}
+
+/**
+ * Run the chart pipeline for a query and return what it would have sent.
+ * Served from responseCache when warm (or stale), unless `force` rebuilds it.
+ * `background` builds don't register the chart for warming.
+ *
+ * @returns {Promise<{status: number, body: Object, headers: Object}>}
+ */
+export async function getChartSnapshot(proposalId, query, { force = false, background = false } = {}) {
+    const result = { status: 200, body: null, headers: {} };
+    const mockReq = { params: { proposalId }, query, forceRefresh: force, background };
     const mockRes = {
-        json: () => { },
-        set: () => { },
-        status: () => ({ json: () => { } }),
+        json: (body) => { result.body = body; },
+        set: (name, value) => { result.headers[name] = value; },
+        status: (code) => { result.status = code; return mockRes; },
     };
     await handleUnifiedChartRequest(mockReq, mockRes);
+    return result;
 }
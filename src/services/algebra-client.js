@@ -2,19 +2,29 @@
  * Algebra Subgraph Client
  * Fetches pool data from Algebra candles subgraph
  * 
- * NOTE: This module uses Graph Node queries directly.
- * For mode-aware (Graph Node / Checkpoint) usage, prefer the
- * candles-adapter: ../adapters/candles-adapter.js
+ * NOTE: This module uses Graph Node queries directly, so it is only routed to
+ * graph_node candles endpoints. For mode-aware (Graph Node / Checkpoint) usage,
+ * prefer the candles-adapter: ../adapters/candles-adapter.js
  */
 
-import { ENDPOINTS } from '../config/endpoints.js';
-
-const ALGEBRA_ENDPOINT = ENDPOINTS.candles;
+import { routeRequest, GraphQLError } from './endpoint-router.js';
+import { upstreamFlight } from '../utils/cache.js';
+import { trackUpstream } from '../utils/metrics.js';
+import { withOnchainFallback } from './onchain-pools.js';
 
 /**
- * Fetch all pools for a proposal
+ * Fetch all pools for a proposal (concurrent calls for the same proposal share one query).
+ * Falls back to on-chain prices on the proposal's chain when the subgraph fails or has no pools.
+ *
+ * @param {string} proposalId - Trading contract address
+ * @param {number} [chainId=100] - Chain the proposal lives on
  */
-export async function fetchPoolsForProposal(proposalId) {
+export async function fetchPoolsForProposal(proposalId, chainId = 100) {
+    return upstreamFlight.run(`algebra-pools:${chainId}:${proposalId.toLowerCase()}`,
+        () => withOnchainFallback(() => queryPools(proposalId), proposalId, chainId));
+}
+
+async function queryPools(proposalId) {
     const query = `
     query GetProposalPools($proposalId: String!) {
       pools(where: { proposal: $proposalId }) {
@@ -52,17 +62,20 @@ export async function fetchPoolsForProposal(proposalId) {
     }
   `;
 
-    const response = await fetch(ALGEBRA_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, variables: { proposalId } })
-    });
+    const data = await routeRequest('candles', ({ url }) => trackUpstream('candles', async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables: { proposalId } })
+        });
 
-    const { data, errors } = await response.json();
+        const { data, errors } = await response.json();
 
-    if (errors) {
-        throw new Error(errors[0].message);
-    }
+        if (errors) {
+            throw new GraphQLError(errors[0].message);
+        }
+        return data;
+    }), { mode: 'graph_node' });
 
     return data.pools || [];
 }
@@ -87,17 +100,20 @@ export async function getLatestPrice(poolId, maxTimestamp = null) {
     }
   }`;
 
-    const response = await fetch(ALGEBRA_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
-    });
+    const data = await routeRequest('candles', ({ url }) => trackUpstream('candles', async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
 
-    const { data, errors } = await response.json();
+        const { data, errors } = await response.json();
 
-    if (errors) {
-        throw new Error(errors[0].message);
-    }
+        if (errors) {
+            throw new GraphQLError(errors[0].message);
+        }
+        return data;
+    }), { mode: 'graph_node' });
 
     const candle = data.candles?.[0];
     return candle ? parseFloat(candle.close) : 0;
@@ -0,0 +1,165 @@
+/**
+ * Endpoint Router — per-request routing across indexer endpoints
+ *
+ * routeRequest(role, fn) calls fn(endpoint) against the role's endpoints from
+ * config/endpoints.js until one succeeds:
+ *   1. weighted random pick among healthy endpoints with weight > 0
+ *   2. the remaining healthy weighted endpoints, in configured order
+ *   3. healthy standbys (weight 0), in order
+ *   4. endpoints that are backing off or stalled, soonest-to-recover first
+ *
+ * Transport failures back an endpoint off (5s → 5 min). GraphQL errors move on
+ * to the next endpoint without backing off — the query, not the server, may be
+ * at fault. indexer-health marks endpoints that trail the chain head as stalled.
+ */
+
+import { getEndpoints } from '../config/endpoints.js';
+import { Counter } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('endpoint-router');
+
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * An endpoint answered, but with GraphQL errors.
+ */
+export class GraphQLError extends Error {
+    constructor(message) {
+        super(`GraphQL: ${message}`);
+        this.name = 'GraphQLError';
+    }
+}
+
+const failovers = new Counter('futarchy_indexer_failovers_total', 'Indexer requests retried on another endpoint', ['role']);
+
+// ============================================================================
+// HEALTH
+// ============================================================================
+
+const health = new Map(); // url → { failures, downUntil, stalled, lastError }
+
+function healthOf(url) {
+    let h = health.get(url);
+    if (!h) {
+        h = { failures: 0, downUntil: 0, stalled: false, lastError: null };
+        health.set(url, h);
+    }
+    return h;
+}
+
+function isUsable(url) {
+    const h = healthOf(url);
+    return !h.stalled && h.downUntil <= Date.now();
+}
+
+/**
+ * Set by indexer-health after each freshness check.
+ */
+export function setEndpointStalled(url, stalled) {
+    healthOf(url).stalled = stalled;
+}
+
+function markDown(url, err) {
+    const h = healthOf(url);
+    h.failures++;
+    h.downUntil = Date.now() + Math.min(BACKOFF_BASE_MS * 2 ** (h.failures - 1), BACKOFF_MAX_MS);
+    h.lastError = err.message;
+}
+
+function markUp(url) {
+    const h = healthOf(url);
+    h.failures = 0;
+    h.downUntil = 0;
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+function weightedPick(endpoints) {
+    const total = endpoints.reduce((sum, ep) => sum + ep.weight, 0);
+    let r = Math.random() * total;
+    return endpoints.find(ep => (r -= ep.weight) < 0) || endpoints[0];
+}
+
+/**
+ * Order in which to try the role's endpoints for one request.
+ * @param {string} role
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Only endpoints speaking this schema
+ * @param {boolean} [options.random=true] - false = deterministic (highest weight first)
+ */
+export function orderEndpoints(role, { mode = null, random = true } = {}) {
+    const endpoints = getEndpoints(role).filter(ep => !mode || ep.mode === mode);
+    const usable = endpoints.filter(ep => isUsable(ep.url));
+    const weighted = usable.filter(ep => ep.weight > 0);
+    const standby = usable.filter(ep => ep.weight === 0);
+    const unusable = endpoints.filter(ep => !isUsable(ep.url))
+        .sort((a, b) => healthOf(a.url).downUntil - healthOf(b.url).downUntil);
+
+    let first = null;
+    if (weighted.length > 0) {
+        first = random ? weightedPick(weighted) : weighted.reduce((best, ep) => ep.weight > best.weight ? ep : best);
+    }
+    return [
+        ...(first ? [first] : []),
+        ...weighted.filter(ep => ep !== first),
+        ...standby,
+        ...unusable,
+    ];
+}
+
+/**
+ * The endpoint a request would most likely hit — for lag reporting.
+ */
+export function preferredEndpoint(role) {
+    return orderEndpoints(role, { random: false })[0];
+}
+
+/**
+ * Run `fn` against the role's endpoints until one succeeds.
+ *
+ * @param {string} role - 'registry' | 'candles'
+ * @param {function({url, mode, weight}): Promise<*>} fn
+ * @param {Object} [options] - { mode } to restrict to one schema
+ * @returns {Promise<*>} fn's result
+ * @throws The last endpoint's error when all fail
+ */
+export async function routeRequest(role, fn, options = {}) {
+    const endpoints = orderEndpoints(role, options);
+    if (endpoints.length === 0) {
+        throw new Error(`No ${role} endpoint configured${options.mode ? ` for mode ${options.mode}` : ''}`);
+    }
+
+    let lastError = null;
+    for (const [i, endpoint] of endpoints.entries()) {
+        if (i > 0) failovers.inc({ role });
+        try {
+            const result = await fn(endpoint);
+            markUp(endpoint.url);
+            return result;
+        } catch (err) {
+            if (!(err instanceof GraphQLError)) markDown(endpoint.url, err);
+            lastError = err;
+            if (i < endpoints.length - 1) {
+                log.warn('indexer request failed, trying next endpoint', { role, url: endpoint.url, mode: endpoint.mode, err });
+            }
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Per-endpoint routing state for /health.
+ */
+export function getRouterHealth() {
+    const now = Date.now();
+    return Object.fromEntries([...health].map(([url, h]) => [url, {
+        up: h.downUntil <= now,
+        stalled: h.stalled,
+        failures: h.failures,
+        lastError: h.lastError,
+    }]));
+}
@@ -0,0 +1,193 @@
+/**
+ * Indexer Health — freshness and stall detection for registry/candles indexers
+ *
+ * Every INDEXER_CHECK_INTERVAL_SEC, each endpoint in the routing table
+ * (config/endpoints.js) reports its last indexed block, queried per its mode:
+ *   Graph Node:  { _meta { block { number } } }
+ *   Checkpoint:  { _metadatas { id value } } → *last_indexed_block
+ * which is compared with the chain head from RPC. Lag is measured in blocks
+ * and in seconds (block timestamps), so one threshold works on any chain.
+ *
+ * Endpoints lagging more than INDEXER_MAX_LAG_SEC (or unreachable) are marked
+ * stalled in the endpoint router, which then sends requests elsewhere. They
+ * take traffic again as soon as they catch up.
+ *
+ * Config:
+ *   INDEXER_MAX_LAG_SEC=600          (stalled above this)
+ *   INDEXER_CHECK_INTERVAL_SEC=60
+ *   INDEXER_CHAIN_ID=100             (chain the indexers follow)
+ */
+
+import { ROLES, getEndpoints } from '../config/endpoints.js';
+import { getChain } from '../config/chains.js';
+import { rpcCall } from './rpc-client.js';
+import { setEndpointStalled, preferredEndpoint, getRouterHealth } from './endpoint-router.js';
+import { trackUpstream, CollectedMetric } from '../utils/metrics.js';
+import { createLogger, runWithRequestId } from '../utils/logger.js';
+
+const log = createLogger('indexer-health');
+
+const INDEXER_MAX_LAG_SEC = parseInt(process.env.INDEXER_MAX_LAG_SEC || '600', 10);
+const INDEXER_CHECK_INTERVAL_SEC = parseInt(process.env.INDEXER_CHECK_INTERVAL_SEC || '60', 10);
+const INDEXER_CHAIN_ID = parseInt(process.env.INDEXER_CHAIN_ID || '100', 10);
+const META_TIMEOUT_MS = 5000;
+
+// role → { [url]: { indexedBlock, headBlock, lagBlocks, lagSeconds, ok, error, checkedAt } }
+const status = { registry: {}, candles: {} };
+
+// ============================================================================
+// PROBES
+// ============================================================================
+
+/**
+ * Pick the chain's entry from Checkpoint metadata. Multi-indexer deployments
+ * prefix ids per indexer (e.g. `gnosis.last_indexed_block`).
+ */
+export function checkpointIndexedBlock(metadatas) {
+    const entries = metadatas.filter(m => m.id.endsWith('last_indexed_block'));
+    if (entries.length === 0) throw new Error('No last_indexed_block in _metadatas');
+    if (entries.length === 1) return Number(entries[0].value);
+
+    const chain = getChain(INDEXER_CHAIN_ID);
+    const names = [String(INDEXER_CHAIN_ID), chain?.name.toLowerCase(), ...(chain?.aliases || [])].filter(Boolean);
+    const match = entries.find(m => names.some(n => m.id.toLowerCase().startsWith(n)));
+    // No recognisable prefix — the slowest indexer is the honest answer
+    return match ? Number(match.value) : Math.min(...entries.map(m => Number(m.value)));
+}
+
+async function fetchIndexedBlock(role, { url, mode }) {
+    const isCheckpoint = mode === 'checkpoint';
+    const query = isCheckpoint
+        ? '{ _metadatas(first: 100) { id value } }'
+        : '{ _meta { block { number } } }';
+
+    const data = await trackUpstream(role, async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query }),
+            signal: AbortSignal.timeout(META_TIMEOUT_MS),
+        });
+        const json = await response.json();
+        if (json.errors) throw new Error(`GraphQL: ${json.errors[0].message}`);
+        return json.data;
+    });
+
+    return isCheckpoint ? checkpointIndexedBlock(data._metadatas || []) : Number(data._meta.block.number);
+}
+
+async function blockTimestamp(tag) {
+    const block = await rpcCall(INDEXER_CHAIN_ID, 'eth_getBlockByNumber', [tag, false]);
+    return { number: Number(block.number), timestamp: Number(block.timestamp) };
+}
+
+async function probe(role, endpoint, head) {
+    const checkedAt = new Date().toISOString();
+    try {
+        const indexedBlock = await fetchIndexedBlock(role, endpoint);
+        const lagBlocks = Math.max(0, head.number - indexedBlock);
+        const lagSeconds = lagBlocks === 0
+            ? 0
+            : head.timestamp - (await blockTimestamp('0x' + indexedBlock.toString(16))).timestamp;
+        return { indexedBlock, headBlock: head.number, lagBlocks, lagSeconds, ok: lagSeconds <= INDEXER_MAX_LAG_SEC, error: null, checkedAt };
+    } catch (err) {
+        return { indexedBlock: null, headBlock: head.number, lagBlocks: null, lagSeconds: null, ok: false, error: err.message, checkedAt };
+    }
+}
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+/**
+ * Probe every endpoint once and tell the router which ones are stalled.
+ */
+export async function checkIndexers() {
+    let head;
+    try {
+        head = await blockTimestamp('latest');
+    } catch (err) {
+        // Without a chain head there is no lag to measure — don't reroute on guesswork
+        log.warn('chain head unavailable, skipping indexer check', { chainId: INDEXER_CHAIN_ID, err });
+        return;
+    }
+
+    for (const role of ROLES) {
+        const endpoints = getEndpoints(role);
+        const results = await Promise.all(endpoints.map(ep => probe(role, ep, head)));
+        const previous = status[role];
+        status[role] = Object.fromEntries(endpoints.map((ep, i) => [ep.url, { mode: ep.mode, ...results[i] }]));
+
+        for (const [url, s] of Object.entries(status[role])) {
+            setEndpointStalled(url, !s.ok);
+            if (previous[url] && previous[url].ok !== s.ok) {
+                if (s.ok) log.info('indexer endpoint caught up', { role, url, lagSeconds: s.lagSeconds });
+                else log.warn('indexer endpoint stalled', { role, url, lagSeconds: s.lagSeconds, error: s.error });
+            }
+        }
+        if (!Object.values(status[role]).some(s => s.ok)) {
+            log.warn('all indexer endpoints stalled', { role });
+        }
+    }
+}
+
+let timer = null;
+
+export function startIndexerMonitor() {
+    if (timer) return;
+    const run = () => runWithRequestId('indexer-health', checkIndexers)
+        .catch(err => log.error('indexer check failed', { err }));
+    run();
+    timer = setInterval(run, INDEXER_CHECK_INTERVAL_SEC * 1000);
+    timer.unref();
+    log.info('indexer monitor started', { intervalSec: INDEXER_CHECK_INTERVAL_SEC, maxLagSec: INDEXER_MAX_LAG_SEC, chainId: INDEXER_CHAIN_ID });
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Full status for /health.
+ * @returns {Object} { maxLagSec, registry: { preferred, endpoints }, candles: { preferred, endpoints } }
+ */
+export function getIndexerHealth() {
+    const routing = getRouterHealth();
+    return {
+        maxLagSec: INDEXER_MAX_LAG_SEC,
+        ...Object.fromEntries(ROLES.map(role => [role, {
+            preferred: preferredEndpoint(role)?.url ?? null,
+            endpoints: Object.fromEntries(getEndpoints(role).map(({ url, mode, weight }) => [url, {
+                mode,
+                weight,
+                ...status[role][url],
+                routing: routing[url] ?? null,
+            }])),
+        }])),
+    };
+}
+
+/**
+ * Lag of the endpoint `role` requests are currently routed to, for response metadata.
+ * @returns {{lag_blocks: number|null, lag_seconds: number|null, stalled: boolean|null, checked_at: string|null}}
+ */
+export function getIndexerLag(role) {
+    const s = status[role][preferredEndpoint(role)?.url];
+    if (!s) return { lag_blocks: null, lag_seconds: null, stalled: null, checked_at: null };
+    return { lag_blocks: s.lagBlocks, lag_seconds: s.lagSeconds, stalled: !s.ok, checked_at: s.checkedAt };
+}
+
+/**
+ * True when any role's preferred endpoint failed its last check — i.e. the
+ * role has no fresh endpoint left to route to.
+ */
+export function isIndexerStalled() {
+    return ROLES.some(role => status[role][preferredEndpoint(role)?.url]?.ok === false);
+}
+
+new CollectedMetric('futarchy_indexer_lag_seconds', 'Seconds the indexer trails the chain head', 'gauge', ['role', 'url'],
+    () => ROLES.flatMap(role => Object.entries(status[role])
+        .filter(([, s]) => s.lagSeconds !== null)
+        .map(([url, s]) => ({ labels: { role, url }, value: s.lagSeconds }))));
+new CollectedMetric('futarchy_indexer_up', 'Indexer endpoint fresh and reachable (1) or not (0)', 'gauge', ['role', 'url'],
+    () => ROLES.flatMap(role => Object.entries(status[role]).map(([url, s]) => ({ labels: { role, url }, value: s.ok ? 1 : 0 }))));
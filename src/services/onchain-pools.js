@@ -0,0 +1,153 @@
+/**
+ * On-chain Pool Source — conditional pool prices straight from the chain
+ *
+ * Fallback for when the candles indexer (Checkpoint / Graph Node) is down or
+ * has not indexed a proposal. Discovers the YES/NO conditional pools from the
+ * proposal contract and reads each pool's current price from the Algebra
+ * `globalState()` sqrtPrice:
+ *
+ *   1. proposal.wrappedOutcome(0..3)  → YES_COMPANY, NO_COMPANY, YES_CURRENCY, NO_CURRENCY
+ *   2. algebraFactory.poolByPair(YES_COMPANY, YES_CURRENCY) (and NO)
+ *   3. pool.globalState().price       → sqrtPriceX96 of token1 per token0
+ *
+ * All reads go through ethCall(), so each step is one batched RPC request.
+ * Pools come back in the adapter's Graph Node shape with `source: 'onchain'`;
+ * there is no volume or candle history on-chain.
+ */
+
+import { ethers } from 'ethers';
+import { getChain } from '../config/chains.js';
+import { ethCall } from './rpc-client.js';
+import { upstreamFlight } from '../utils/cache.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('onchain-pools');
+
+const proposalIface = new ethers.Interface([
+    'function wrappedOutcome(uint256 index) view returns (address wrapped1155, bytes data)',
+    'function marketName() view returns (string)',
+]);
+const factoryIface = new ethers.Interface([
+    'function poolByPair(address tokenA, address tokenB) view returns (address pool)',
+]);
+// Algebra v1 and Integral both start globalState with (uint160 price, int24 tick, ...)
+const poolIface = new ethers.Interface([
+    'function globalState() view returns (uint160 price, int24 tick)',
+]);
+
+// Outcome token indices on the proposal contract
+const OUTCOMES = { YES_COMPANY: 0, NO_COMPANY: 1, YES_CURRENCY: 2, NO_CURRENCY: 3 };
+
+async function view(chainId, iface, address, fn, args = []) {
+    const data = await ethCall(chainId, address, iface.encodeFunctionData(fn, args));
+    return iface.decodeFunctionResult(fn, data);
+}
+
+// Pool addresses never change once created — discovered once per process. A
+// proposal whose pools don't exist yet is looked up again on the next call.
+const discovered = new Map();
+
+async function discoverPools(proposalAddress, chainId, factory) {
+    const key = `${chainId}:${proposalAddress.toLowerCase()}`;
+    if (discovered.has(key)) return discovered.get(key);
+
+    const [outcomes, marketName] = await Promise.all([
+        Promise.all(Object.values(OUTCOMES).map(i =>
+            view(chainId, proposalIface, proposalAddress, 'wrappedOutcome', [i]).then(([token]) => token.toLowerCase()))),
+        view(chainId, proposalIface, proposalAddress, 'marketName').then(([name]) => name).catch(() => null),
+    ]);
+    const [yesCompany, noCompany, yesCurrency, noCurrency] = outcomes;
+
+    const sides = [
+        { side: 'YES', company: yesCompany, currency: yesCurrency },
+        { side: 'NO', company: noCompany, currency: noCurrency },
+    ];
+    const poolAddresses = await Promise.all(sides.map(({ company, currency }) =>
+        view(chainId, factoryIface, factory, 'poolByPair', [company, currency]).then(([pool]) => pool.toLowerCase())));
+
+    const result = {
+        marketName,
+        pools: sides
+            .map((s, i) => ({ ...s, id: poolAddresses[i] }))
+            .filter(p => p.id !== ethers.ZeroAddress),
+    };
+    if (result.pools.length === sides.length) discovered.set(key, result);
+    return result;
+}
+
+/**
+ * Company-token price in currency from an Algebra sqrtPriceX96.
+ * Pools order tokens by address, so the company token may be token1 (inverted).
+ * Outcome tokens share their collateral's decimals, so no decimal adjustment.
+ */
+export function priceFromSqrt(sqrtPriceX96, isInverted) {
+    const ratio = Number(sqrtPriceX96) / 2 ** 96;
+    const token1PerToken0 = ratio * ratio;
+    if (token1PerToken0 === 0) return 0;
+    return isInverted ? 1 / token1PerToken0 : token1PerToken0;
+}
+
+/**
+ * Fetch the proposal's conditional pools with live on-chain prices.
+ *
+ * @param {string} proposalAddress - Trading contract address
+ * @param {number} [chainId=100]
+ * @returns {Promise<Array>} Pools in Graph Node shape, `source: 'onchain'`, zero volume
+ * @throws When the chain has no Algebra factory configured or the reads fail
+ */
+export async function fetchPoolsOnchain(proposalAddress, chainId = 100) {
+    const factory = getChain(chainId)?.algebraFactory;
+    if (!factory) throw new Error(`No Algebra factory configured for chain ${chainId}`);
+
+    return upstreamFlight.run(`onchain-pools:${chainId}:${proposalAddress.toLowerCase()}`, async () => {
+        const { marketName, pools } = await discoverPools(proposalAddress, chainId, factory);
+        const states = await Promise.all(pools.map(p => view(chainId, poolIface, p.id, 'globalState')));
+
+        return pools.map((p, i) => {
+            const isInverted = p.company > p.currency; // company sorts second → token1
+            const companyToken = { id: p.company, symbol: null, role: 'COMPANY' };
+            const currencyToken = { id: p.currency, symbol: null, role: 'CURRENCY' };
+            return {
+                id: p.id,
+                name: null,
+                type: 'CONDITIONAL',
+                outcomeSide: p.side,
+                price: String(priceFromSqrt(states[i].price, isInverted)),
+                isInverted,
+                volumeToken0: '0',
+                volumeToken1: '0',
+                token0: isInverted ? currencyToken : companyToken,
+                token1: isInverted ? companyToken : currencyToken,
+                proposal: { id: proposalAddress.toLowerCase(), marketName, companyToken: null, currencyToken: null },
+                source: 'onchain',
+            };
+        });
+    });
+}
+
+/**
+ * Load pools from the indexer, falling back to on-chain when it fails or has
+ * none for the proposal. The indexer error is rethrown if on-chain fails too.
+ *
+ * @param {function(): Promise<Array>} loadIndexed
+ * @returns {Promise<Array>}
+ */
+export async function withOnchainFallback(loadIndexed, proposalAddress, chainId = 100) {
+    let indexerError = null;
+    try {
+        const pools = await loadIndexed();
+        if (pools.length > 0) return pools;
+    } catch (err) {
+        indexerError = err;
+    }
+
+    try {
+        const pools = await fetchPoolsOnchain(proposalAddress, chainId);
+        log.warn('serving on-chain pool prices', { proposalAddress, chainId, pools: pools.length, reason: indexerError ? 'indexer error' : 'no indexed pools', err: indexerError });
+        return pools;
+    } catch (err) {
+        log.warn('on-chain pool fallback failed', { proposalAddress, chainId, err });
+        if (indexerError) throw indexerError;
+        return [];
+    }
+}
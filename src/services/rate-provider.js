@@ -1,30 +1,51 @@
 /**
  * Rate Provider Service
  * 
- * Generic ERC-4626 rate provider for any chain.
+ * Generic ERC-4626 rate provider for any chain in config/chains.js.
  * Fetches rate from any contract implementing getRate() -> uint256.
+ *
+ * RPC calls fail over across the chain's configured URLs (rpc-client.js).
+ * If no URL answers, getRate throws RateUnavailableError — callers must not
+ * substitute 1.0, which would silently skew every converted price.
+ *
+ * Historical charts use getRateSeries(): the rate sampled every RATE_SAMPLE_SEC
+ * (default 1 day) via eth_call at the block in effect at each sample time.
+ * Past samples and block-by-timestamp lookups never change, so they are cached
+ * permanently (rateHistoryCache, disk-backed when CACHE_DISK_DIR is set).
+ * Failed samples (pruned RPC, provider not deployed yet) are not retried for
+ * RATE_SAMPLE_RETRY_SEC, and sampling never starts before the chain's first block.
+ *
+ * Config:
+ *   RATE_SAMPLE_SEC=86400        (sample spacing; sDAI drifts ~0.015%/day)
+ *   RATE_SAMPLE_RETRY_SEC=3600   (back-off for a failed sample)
  */
 
-// ============================================================================
-// CHAIN CONFIGURATION
-// ============================================================================
+import { upstreamFlight, rateHistoryCache } from '../utils/cache.js';
+import { getChain } from '../config/chains.js';
+import { ethCall, rpcCall } from './rpc-client.js';
+import { createLogger } from '../utils/logger.js';
 
-const CHAIN_CONFIG = {
-    1: {
-        name: 'Ethereum',
-        rpc: 'https://eth.llamarpc.com',
-        defaultRateProvider: null  // No default for Ethereum yet
-    },
-    100: {
-        name: 'Gnosis',
-        rpc: 'https://rpc.gnosis.gateway.fm',
-        defaultRateProvider: '0x89C80A4540A00b5270347E02e2E144c71da2EceD'  // sDAI
-    }
-};
+const log = createLogger('rate-provider');
 
 // getRate() function selector (ERC-4626 standard)
 const GET_RATE_SELECTOR = '0x679aefce';
 
+const RATE_SAMPLE_SEC = parseInt(process.env.RATE_SAMPLE_SEC || '86400', 10);
+// Long ranges widen the spacing instead of issuing hundreds of archive calls
+const MAX_RATE_SAMPLES = 120;
+const SAMPLE_CONCURRENCY = 4;
+const SAMPLE_RETRY_SEC = parseInt(process.env.RATE_SAMPLE_RETRY_SEC || '3600', 10);
+
+export class RateUnavailableError extends Error {
+    constructor(providerAddress, chainId, cause) {
+        super(`Rate unavailable for ${providerAddress} on chain ${chainId}: ${cause?.message || cause}`);
+        this.name = 'RateUnavailableError';
+        this.providerAddress = providerAddress;
+        this.chainId = chainId;
+        this.status = 502;
+    }
+}
+
 // ============================================================================
 // CORE FUNCTIONS
 // ============================================================================
@@ -33,80 +54,241 @@ const GET_RATE_SELECTOR = '0x679aefce';
  * Get rate from any ERC-4626 rate provider contract
  * 
  * @param {string} providerAddress - Rate provider contract address
- * @param {number} chainId - Chain ID (1 = Ethereum, 100 = Gnosis)
- * @returns {Promise<number>} Rate as a decimal (e.g., 1.224691)
+ * @param {number} chainId - Chain ID (1 = Ethereum, 100 = Gnosis, 8453 = Base, ...)
+ * @returns {Promise<number>} Rate as a decimal (e.g., 1.224691); 1 when no provider is given
+ * @throws {RateUnavailableError} Unknown chain, or every RPC failed / returned garbage
  */
 export async function getRate(providerAddress, chainId = 100) {
-    const chain = CHAIN_CONFIG[chainId];
-
-    if (!chain) {
-        console.error(`[rate-provider] Unknown chain: ${chainId}`);
-        return 1;
-    }
-
     if (!providerAddress) {
         // No provider = no conversion (rate = 1)
         return 1;
     }
 
+    const chain = getChain(chainId);
+    if (!chain) {
+        throw new RateUnavailableError(providerAddress, chainId, 'unknown chain');
+    }
+
+    const rate = await callGetRate(providerAddress, chain, 'latest');
+    log.debug('rate', { chain: chain.name, providerAddress, rate });
+    return rate;
+}
+
+/**
+ * eth_call getRate() at `blockTag` and decode it.
+ * @throws {RateUnavailableError}
+ */
+async function callGetRate(providerAddress, chain, blockTag) {
+    let result;
     try {
-        const response = await fetch(chain.rpc, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'eth_call',
-                params: [
-                    { to: providerAddress, data: GET_RATE_SELECTOR },
-                    'latest'
-                ]
-            })
-        });
+        result = await ethCall(chain.chainId, providerAddress, GET_RATE_SELECTOR, blockTag);
+    } catch (error) {
+        log.error('rate fetch failed', { chain: chain.name, providerAddress, blockTag, err: error });
+        throw new RateUnavailableError(providerAddress, chain.chainId, error);
+    }
+
+    // Parse the uint256 result (18 decimals); '0x' = no contract / no getRate() (yet)
+    const rate = result && result !== '0x' ? Number(BigInt(result)) / 1e18 : 0;
+    if (!(rate > 0)) {
+        log.error('invalid rate', { chain: chain.name, providerAddress, blockTag, result });
+        throw new RateUnavailableError(providerAddress, chain.chainId, `invalid getRate() result ${result}`);
+    }
+    return rate;
+}
+
+// ============================================================================
+// HISTORICAL LOOKUPS
+// ============================================================================
+
+async function getBlock(chainId, tag) {
+    const block = await rpcCall(chainId, 'eth_getBlockByNumber', [tag, false]);
+    if (!block) throw new Error(`Block ${tag} not found on chain ${chainId}`);
+    return { number: Number(block.number), timestamp: Number(block.timestamp) };
+}
+
+/**
+ * Block 1 of a chain (some genesis blocks carry timestamp 0) — cached permanently.
+ */
+async function getFirstBlock(chainId) {
+    const key = `block1:${chainId}`;
+    const cached = rateHistoryCache.get(key);
+    if (cached !== undefined) return cached;
+
+    return rateHistoryCache.coalesce(key, async () => {
+        const block = await getBlock(chainId, '0x1');
+        rateHistoryCache.set(key, block);
+        return block;
+    });
+}
+
+/**
+ * Last block mined at or before `timestamp`.
+ *
+ * Interpolation search between genesis and head — block times are regular
+ * enough that it lands within a few blocks in ~5 calls. Falls back to
+ * bisection whenever a guess fails to halve the window.
+ *
+ * Results for past timestamps are cached permanently.
+ */
+export async function getBlockByTimestamp(chainId, timestamp) {
+    const key = `block:${chainId}:${timestamp}`;
+    const cached = rateHistoryCache.get(key);
+    if (cached !== undefined) return cached;
+
+    return rateHistoryCache.coalesce(key, async () => {
+        let hi = await getBlock(chainId, 'latest');
+        if (timestamp >= hi.timestamp) return hi.number; // head — don't cache, it moves
 
-        const { result, error } = await response.json();
+        let lo = await getFirstBlock(chainId);
+        if (timestamp < lo.timestamp) throw new Error(`Timestamp ${timestamp} predates chain ${chainId}`);
 
-        if (error) {
-            console.error(`[rate-provider] RPC Error on ${chain.name}:`, error);
-            return 1;
+        let bisect = false;
+        while (hi.number - lo.number > 1) {
+            const span = hi.number - lo.number;
+            const guess = bisect
+                ? lo.number + Math.floor(span / 2)
+                : lo.number + Math.floor(((timestamp - lo.timestamp) / (hi.timestamp - lo.timestamp)) * span);
+            const probe = await getBlock(chainId, '0x' + Math.min(Math.max(guess, lo.number + 1), hi.number - 1).toString(16));
+
+            if (probe.timestamp <= timestamp) lo = probe;
+            else hi = probe;
+            bisect = hi.number - lo.number > span / 2;
         }
 
-        // Parse the uint256 result (18 decimals)
-        const rateBigInt = BigInt(result);
-        const rate = Number(rateBigInt) / 1e18;
+        rateHistoryCache.set(key, lo.number);
+        return lo.number;
+    });
+}
 
-        console.log(`   💰 Rate from ${providerAddress.slice(0, 10)}... on ${chain.name}: ${rate.toFixed(6)}`);
-        return rate;
+// Failed sample keys → time of failure; retried after SAMPLE_RETRY_SEC
+const failedSamples = new Map();
 
-    } catch (error) {
-        console.error(`[rate-provider] Error fetching rate on ${chain.name}:`, error.message);
-        return 1;
+/**
+ * Rate at the block in effect at `timestamp` (past timestamps only — cached permanently).
+ * A failure is remembered for SAMPLE_RETRY_SEC; until then the lookup throws without RPC calls.
+ * @throws {RateUnavailableError} No archive RPC, or the provider didn't exist yet
+ */
+export async function getHistoricalRate(providerAddress, chainId, timestamp) {
+    const chain = getChain(chainId);
+    if (!chain) throw new RateUnavailableError(providerAddress, chainId, 'unknown chain');
+
+    const key = `rate:${chain.chainId}:${providerAddress.toLowerCase()}:${timestamp}`;
+    const cached = rateHistoryCache.get(key);
+    if (cached !== undefined) return cached;
+
+    const failedAt = failedSamples.get(key);
+    if (failedAt && Date.now() - failedAt < SAMPLE_RETRY_SEC * 1000) {
+        throw new RateUnavailableError(providerAddress, chain.chainId, 'sample failed recently');
+    }
+
+    return rateHistoryCache.coalesce(key, async () => {
+        try {
+            let block;
+            try {
+                block = await getBlockByTimestamp(chain.chainId, timestamp);
+            } catch (error) {
+                throw new RateUnavailableError(providerAddress, chain.chainId, error);
+            }
+            const rate = await callGetRate(providerAddress, chain, '0x' + block.toString(16));
+            rateHistoryCache.set(key, rate);
+            failedSamples.delete(key);
+            return rate;
+        } catch (error) {
+            failedSamples.set(key, Date.now());
+            throw error;
+        }
+    });
+}
+
+// Resolved samples per provider+chain+step — rebuilding a chart only fetches the ones it hasn't seen
+const seriesSamples = new Map();
+
+/**
+ * Rate series over [fromTs, toTs] for converting candles at their own time.
+ *
+ * Samples sit on RATE_SAMPLE_SEC boundaries (widened for long ranges). A candle
+ * uses the sample at or before it; the current, still-open sample period uses
+ * the latest rate. Samples that can't be fetched (pruned RPCs, provider not yet
+ * deployed) fall back to the nearest earlier sample, then to the latest rate —
+ * `historical` is false when that happened. Sampling starts no earlier than the
+ * chain's first block.
+ *
+ * @returns {Promise<{rateAt: function(number): number, latest: number, historical: boolean, samples: number}>}
+ * @throws {RateUnavailableError} When even the latest rate is unavailable
+ */
+export async function getRateSeries(providerAddress, chainId, fromTs, toTs) {
+    const latest = await getRateCached(providerAddress, chainId);
+    if (!providerAddress) return { rateAt: () => 1, latest, historical: true, samples: 0 };
+
+    const chain = getChain(chainId);
+    // No rate exists before the chain does — don't sample from 1970 for charts without a start
+    const chainStart = chain ? await getFirstBlock(chain.chainId).then(b => b.timestamp, () => 0) : 0;
+    const start = Math.max(fromTs, chainStart);
+
+    const now = Math.floor(Date.now() / 1000);
+    const end = Math.min(toTs, now);
+    const span = Math.max(0, end - start);
+    const step = RATE_SAMPLE_SEC * Math.max(1, Math.ceil(span / RATE_SAMPLE_SEC / MAX_RATE_SAMPLES));
+
+    // Closed sample periods only — the open one is covered by `latest`
+    const times = [];
+    for (let t = Math.floor(start / step) * step; t + step <= now && t <= end; t += step) times.push(t);
+
+    const seriesKey = `${chain?.chainId ?? chainId}:${providerAddress.toLowerCase()}:${step}`;
+    if (!seriesSamples.has(seriesKey)) seriesSamples.set(seriesKey, new Map());
+    const samples = seriesSamples.get(seriesKey);
+
+    const missing = times.filter(t => !samples.has(t));
+    let fetchFailed = 0;
+    for (let i = 0; i < missing.length; i += SAMPLE_CONCURRENCY) {
+        const batch = missing.slice(i, i + SAMPLE_CONCURRENCY);
+        const rates = await Promise.allSettled(batch.map(t => getHistoricalRate(providerAddress, chainId, t)));
+        rates.forEach((r, j) => {
+            if (r.status === 'fulfilled') samples.set(batch[j], r.value);
+            else fetchFailed++;
+        });
+    }
+    const failed = times.filter(t => !samples.has(t)).length;
+    if (fetchFailed > 0) {
+        log.warn('historical rate samples missing, using nearest', { providerAddress, chainId, failed, total: times.length });
     }
+
+    const openPeriod = Math.floor(now / step) * step;
+    const rateAt = (ts) => {
+        const t = Math.floor(ts / step) * step;
+        if (t >= openPeriod) return latest;
+        for (let s = t; s >= times[0]; s -= step) {
+            if (samples.has(s)) return samples.get(s);
+        }
+        return latest;
+    };
+
+    return { rateAt, latest, historical: failed === 0, samples: times.length - failed };
 }
 
 // ============================================================================
 // CACHED VERSION
 // ============================================================================
 
-// Cache per provider+chain combination
+// Cache per provider+chain combination — only successful lookups are stored
 const rateCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Get rate with caching (5 min TTL)
+ * Get rate with caching (5 min TTL). Concurrent misses share one RPC call.
+ * @throws {RateUnavailableError}
  */
 export async function getRateCached(providerAddress, chainId = 100) {
     const cacheKey = `${providerAddress || 'default'}-${chainId}`;
     const cached = rateCache.get(cacheKey);
-    const now = Date.now();
 
-    if (cached && (now - cached.time) < CACHE_DURATION) {
+    if (cached && (Date.now() - cached.time) < CACHE_DURATION) {
         return cached.rate;
     }
 
-    const rate = await getRate(providerAddress, chainId);
-    rateCache.set(cacheKey, { rate, time: now });
-    return rate;
+    return upstreamFlight.run(`rate:${cacheKey}`, async () => {
+        const rate = await getRate(providerAddress, chainId);
+        rateCache.set(cacheKey, { rate, time: Date.now() });
+        return rate;
+    });
 }
-
-
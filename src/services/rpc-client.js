@@ -0,0 +1,314 @@
+/**
+ * RPC Client — JSON-RPC over HTTP with per-chain failover
+ *
+ * Each chain in config/chains.js lists several RPC URLs. Calls go to the
+ * healthiest URL first; transport errors, timeouts, non-2xx responses and
+ * provider-side failures (rate limits, internal errors) mark the URL down
+ * with exponential backoff and move on to the next one. A URL that is down
+ * is still tried as a last resort once every other URL has failed.
+ * Calls against historical state skip pruned nodes without marking them down.
+ *
+ * eth_call batching: concurrent ethCall()s for the same chain and block are
+ * collected for RPC_BATCH_WINDOW_MS and sent as one request — a Multicall3
+ * aggregate3 call where the chain has it, else a JSON-RPC batch array. Every
+ * on-chain read (rates, snapshot registry lookups) should go through ethCall().
+ *
+ * Config:
+ *   RPC_TIMEOUT_MS=5000      (per attempt)
+ *   RPC_BATCH_WINDOW_MS=10   (0 = send each eth_call on its own)
+ */
+
+import { ethers } from 'ethers';
+import { getChain } from '../config/chains.js';
+import { trackUpstream, CollectedMetric, Histogram } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('rpc-client');
+
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '5000', 10);
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const RPC_BATCH_WINDOW_MS = parseInt(process.env.RPC_BATCH_WINDOW_MS || '10', 10);
+const MAX_BATCH_SIZE = 100;
+
+// JSON-RPC error codes that are the provider's fault, not the request's
+const PROVIDER_ERROR_CODES = new Set([-32005, -32603, 429]);
+
+// Historical state missing on a pruned (non-archive) node — another URL may have it
+const STATE_UNAVAILABLE = /missing trie node|header not found|state (is )?not available|historical state|pruned/i;
+
+export class RpcError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - { chainId, code }
+     */
+    constructor(message, { chainId = null, code = null } = {}) {
+        super(message);
+        this.name = 'RpcError';
+        this.chainId = chainId;
+        this.code = code;
+    }
+}
+
+// ============================================================================
+// HEALTH TRACKING
+// ============================================================================
+
+const health = new Map(); // url → { failures, downUntil, lastError, lastOkAt }
+
+function healthOf(url) {
+    let h = health.get(url);
+    if (!h) {
+        h = { failures: 0, downUntil: 0, lastError: null, lastOkAt: null };
+        health.set(url, h);
+    }
+    return h;
+}
+
+function markUp(url) {
+    const h = healthOf(url);
+    h.failures = 0;
+    h.downUntil = 0;
+    h.lastOkAt = Date.now();
+}
+
+function markDown(url, err) {
+    const h = healthOf(url);
+    h.failures++;
+    h.downUntil = Date.now() + Math.min(BACKOFF_BASE_MS * 2 ** (h.failures - 1), BACKOFF_MAX_MS);
+    h.lastError = err.message;
+}
+
+/**
+ * Healthy URLs in configured order, then down URLs soonest-to-recover first.
+ */
+function orderByHealth(urls) {
+    const now = Date.now();
+    const up = urls.filter(url => healthOf(url).downUntil <= now);
+    const down = urls.filter(url => healthOf(url).downUntil > now)
+        .sort((a, b) => healthOf(a).downUntil - healthOf(b).downUntil);
+    return [...up, ...down];
+}
+
+// ============================================================================
+// CALLS
+// ============================================================================
+
+let nextId = 1;
+
+async function post(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(RPC_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+const request = (method, params) => ({ jsonrpc: '2.0', id: nextId++, method, params });
+
+/**
+ * Send one JSON-RPC request, failing over across the chain's RPC URLs.
+ *
+ * @param {number} chainId
+ * @param {string} method - e.g. 'eth_call', 'eth_blockNumber'
+ * @param {Array} params
+ * @returns {Promise<*>} The JSON-RPC `result`
+ * @throws {RpcError} Unknown chain, a request-level JSON-RPC error, or all URLs failed
+ */
+export async function rpcCall(chainId, method, params = []) {
+    const chain = getChain(chainId);
+    if (!chain) throw new RpcError(`Unknown chain: ${chainId}`, { chainId });
+
+    let lastError = null;
+    for (const url of orderByHealth(chain.rpcs)) {
+        let json;
+        try {
+            json = await trackUpstream('rpc', () => post(url, request(method, params)),
+                j => !!j.error && PROVIDER_ERROR_CODES.has(j.error.code));
+        } catch (err) {
+            markDown(url, err);
+            lastError = err;
+            log.warn('rpc failed, trying next', { chainId, url, method, err });
+            continue;
+        }
+
+        if (json.error) {
+            const err = new RpcError(json.error.message || 'JSON-RPC error', { chainId, code: json.error.code });
+            if (STATE_UNAVAILABLE.test(err.message)) {
+                // The URL is fine for recent blocks — don't back it off
+                lastError = err;
+                log.debug('rpc lacks historical state, trying next', { chainId, url, method });
+                continue;
+            }
+            if (!PROVIDER_ERROR_CODES.has(json.error.code)) {
+                // Reverts, bad params — another URL would say the same
+                markUp(url);
+                throw err;
+            }
+            markDown(url, err);
+            lastError = err;
+            log.warn('rpc provider error, trying next', { chainId, url, method, code: json.error.code, err });
+            continue;
+        }
+
+        markUp(url);
+        return json.result;
+    }
+
+    throw new RpcError(`All RPCs failed for ${chain.name} (${chainId}): ${lastError?.message}`, { chainId });
+}
+
+/**
+ * Send a JSON-RPC batch array, failing over across the chain's RPC URLs.
+ * Per-request errors are returned in place, not thrown.
+ *
+ * @param {number} chainId
+ * @param {Array<{method: string, params: Array}>} calls
+ * @returns {Promise<Array<{result?: *, error?: Object}>>} In the order of `calls`
+ * @throws {RpcError} All URLs failed or rejected the batch (code 'BATCH_UNSUPPORTED')
+ */
+export async function rpcBatch(chainId, calls) {
+    const chain = getChain(chainId);
+    if (!chain) throw new RpcError(`Unknown chain: ${chainId}`, { chainId });
+
+    const body = calls.map(({ method, params }) => request(method, params));
+    let lastError = null;
+    for (const url of orderByHealth(chain.rpcs)) {
+        let json;
+        try {
+            json = await trackUpstream('rpc', () => post(url, body));
+        } catch (err) {
+            markDown(url, err);
+            lastError = err;
+            log.warn('rpc batch failed, trying next', { chainId, url, size: calls.length, err });
+            continue;
+        }
+
+        markUp(url);
+        if (!Array.isArray(json)) {
+            // Some public RPCs answer a batch with a single error object
+            throw new RpcError(`Batch rejected by ${url}: ${json?.error?.message || 'not an array'}`, { chainId, code: 'BATCH_UNSUPPORTED' });
+        }
+        const byId = new Map(json.map(r => [r.id, r]));
+        return body.map(({ id }) => byId.get(id) || { error: { message: 'Missing batch response' } });
+    }
+
+    throw new RpcError(`All RPCs failed for ${chain.name} (${chainId}): ${lastError?.message}`, { chainId });
+}
+
+// ============================================================================
+// ETH_CALL BATCHING
+// ============================================================================
+
+const multicall = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+const batchSize = new Histogram('futarchy_rpc_batch_size', 'eth_calls sent per RPC request', ['mode'], [1, 2, 5, 10, 25, 50, 100]);
+
+const pendingBatches = new Map(); // `${chainId}:${blockTag}` → { chainId, blockTag, calls, sent }
+
+/**
+ * eth_call, batched with concurrent calls for the same chain and block.
+ * @returns {Promise<string>} Hex return data
+ * @throws {RpcError} Revert (code 3) or RPC failure
+ */
+export function ethCall(chainId, to, data, blockTag = 'latest') {
+    if (RPC_BATCH_WINDOW_MS <= 0) return rpcCall(chainId, 'eth_call', [{ to, data }, blockTag]);
+
+    return new Promise((resolve, reject) => {
+        const key = `${chainId}:${blockTag}`;
+        let batch = pendingBatches.get(key);
+        if (!batch) {
+            batch = { key, chainId, blockTag, calls: [], sent: false };
+            pendingBatches.set(key, batch);
+            setTimeout(() => flushBatch(batch), RPC_BATCH_WINDOW_MS);
+        }
+        batch.calls.push({ to, data, resolve, reject });
+        if (batch.calls.length >= MAX_BATCH_SIZE) flushBatch(batch);
+    });
+}
+
+function flushBatch(batch) {
+    if (batch.sent) return;
+    batch.sent = true;
+    if (pendingBatches.get(batch.key) === batch) pendingBatches.delete(batch.key);
+
+    sendBatch(batch).catch(err => batch.calls.forEach(c => c.reject(err)));
+}
+
+async function sendBatch({ chainId, blockTag, calls }) {
+    if (calls.length === 1) {
+        const [c] = calls;
+        batchSize.observe({ mode: 'single' }, 1);
+        return rpcCall(chainId, 'eth_call', [{ to: c.to, data: c.data }, blockTag]).then(c.resolve, c.reject);
+    }
+
+    const multicallAddress = getChain(chainId)?.multicall3;
+    if (multicallAddress) {
+        try {
+            const results = await sendMulticall(chainId, multicallAddress, blockTag, calls);
+            batchSize.observe({ mode: 'multicall' }, calls.length);
+            results.forEach(({ success, returnData }, i) => {
+                if (success) calls[i].resolve(returnData);
+                else calls[i].reject(new RpcError('execution reverted', { chainId, code: 3 }));
+            });
+            return;
+        } catch (err) {
+            // Every URL down — a JSON-RPC batch would fail the same way
+            if (err instanceof RpcError && err.code === null) throw err;
+            // Otherwise Multicall3 itself failed (e.g. block predates its deployment)
+            log.debug('multicall failed, falling back to JSON-RPC batch', { chainId, blockTag, size: calls.length, err });
+        }
+    }
+
+    let responses;
+    try {
+        responses = await rpcBatch(chainId, calls.map(c => ({ method: 'eth_call', params: [{ to: c.to, data: c.data }, blockTag] })));
+    } catch (err) {
+        if (err.code !== 'BATCH_UNSUPPORTED') throw err;
+        batchSize.observe({ mode: 'single' }, calls.length);
+        calls.forEach(c => rpcCall(chainId, 'eth_call', [{ to: c.to, data: c.data }, blockTag]).then(c.resolve, c.reject));
+        return;
+    }
+
+    batchSize.observe({ mode: 'jsonrpc' }, calls.length);
+    responses.forEach((r, i) => {
+        const c = calls[i];
+        if (!r.error) return c.resolve(r.result);
+        if (STATE_UNAVAILABLE.test(r.error.message || '') || PROVIDER_ERROR_CODES.has(r.error.code)) {
+            // This URL couldn't serve this call — retry it alone with failover
+            return rpcCall(chainId, 'eth_call', [{ to: c.to, data: c.data }, blockTag]).then(c.resolve, c.reject);
+        }
+        c.reject(new RpcError(r.error.message || 'JSON-RPC error', { chainId, code: r.error.code }));
+    });
+}
+
+async function sendMulticall(chainId, multicallAddress, blockTag, calls) {
+    const data = multicall.encodeFunctionData('aggregate3', [
+        calls.map(c => ({ target: c.to, allowFailure: true, callData: c.data })),
+    ]);
+    const result = await rpcCall(chainId, 'eth_call', [{ to: multicallAddress, data }, blockTag]);
+    const [returnData] = multicall.decodeFunctionResult('aggregate3', result);
+    return returnData;
+}
+
+/**
+ * Per-URL health for /health.
+ * @returns {Object} { [url]: { up, failures, lastError, lastOkAt } } — only URLs used so far
+ */
+export function getRpcHealth() {
+    const now = Date.now();
+    return Object.fromEntries([...health].map(([url, h]) => [url, {
+        up: h.downUntil <= now,
+        failures: h.failures,
+        lastError: h.lastError,
+        lastOkAt: h.lastOkAt ? new Date(h.lastOkAt).toISOString() : null,
+    }]));
+}
+
+new CollectedMetric('futarchy_rpc_endpoint_up', 'RPC URL health (1 = up, 0 = backing off)', 'gauge', ['url'],
+    () => [...health].map(([url, h]) => ({ labels: { url }, value: h.downUntil <= Date.now() ? 1 : 0 })));
@@ -30,6 +30,14 @@
  *   0x8189c4c96826d016a99986394103dfa9ae41e7ee-hour-500-xdai
  */
 
+import { upstreamFlight } from '../utils/cache.js';
+import { trackUpstream } from '../utils/metrics.js';
+import { getChain } from '../config/chains.js';
+import { getRateCached } from './rate-provider.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('spot-price');
+
 // ==============================================================
 // CONFIG - Easy to modify
 // ==============================================================
@@ -48,13 +56,6 @@ const GECKO_HEADERS = GECKO_API_KEY
 // Using multi-hop: PNK → WETH → sDAI (with inverted sDAI/WETH hop)
 const DEFAULT_CONFIG = 'PNK/WETH+!sDAI/WETH-hour-500-xdai';
 
-const NETWORK_MAP = {
-    xdai: { gecko: 'xdai', chainId: 100, rpc: 'https://rpc.gnosischain.com' },
-    gnosis: { gecko: 'xdai', chainId: 100, rpc: 'https://rpc.gnosischain.com' },
-    eth: { gecko: 'eth', chainId: 1, rpc: 'https://eth.llamarpc.com' },
-    base: { gecko: 'base', chainId: 8453, rpc: 'https://mainnet.base.org' },
-};
-
 // ==============================================================
 // HELPERS
 // ==============================================================
@@ -192,20 +193,39 @@ function parseConfig(input) {
     };
 }
 
+/**
+ * Chain ID of a ticker's network part (default xdai), for its rate provider.
+ * @throws {Error} With status 400 when the network is not a known chain
+ */
+export function tickerChainId(ticker) {
+    const { network } = parseConfig(ticker);
+    const chain = getChain(network);
+    if (!chain) throw Object.assign(new Error(`Unknown network "${network}" in ticker (expected a chain ID or alias from config/chains.js)`), { status: 400 });
+    return chain.chainId;
+}
+
+/**
+ * GET a GeckoTerminal URL — concurrent requests for the same URL share one call
+ */
+function geckoGet(url, label) {
+    return upstreamFlight.run(`gecko:${url}`, () => trackUpstream('gecko', async () => {
+        const res = await fetch(url, { headers: GECKO_HEADERS });
+        if (!res.ok) throw new Error(`${label} failed: ${res.status}`);
+        return res.json();
+    }));
+}
+
 /**
  * Search for pool on GeckoTerminal
  */
 async function searchPool(network, base, quote) {
-    const geckoNetwork = NETWORK_MAP[network]?.gecko || network;
+    const geckoNetwork = getChain(network)?.gecko || network;
     const query = `${base} ${quote}`;
     const url = `${GECKO_API}/search/pools?query=${encodeURIComponent(query)}&network=${geckoNetwork}`;
 
-    console.log('[spotPrice] Searching:', url);
+    log.debug('searching pool', { url });
 
-    const res = await fetch(url, { headers: GECKO_HEADERS });
-    if (!res.ok) throw new Error(`Search failed: ${res.status}`);
-
-    const data = await res.json();
+    const data = await geckoGet(url, 'Search');
     const pools = data.data || [];
 
     // Find matching pool
@@ -226,27 +246,27 @@ async function searchPool(network, base, quote) {
 /**
  * Fetch OHLCV candles from GeckoTerminal
  */
-async function fetchCandlesFromGecko(poolAddress, network, interval, limit, beforeTimestamp = null) {
-    const geckoNetwork = NETWORK_MAP[network]?.gecko || network;
+async function fetchCandlesFromGecko(poolAddress, network, interval, limit, beforeTimestamp = null, aggregate = 1) {
+    const geckoNetwork = getChain(network)?.gecko || network;
     const timeframe = interval.includes('hour') ? 'hour' : interval.includes('min') ? 'minute' : 'day';
     // currency=token gives price in quote token, not USD
-    let url = `${GECKO_API}/networks/${geckoNetwork}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=1&limit=${limit}&currency=token`;
+    let url = `${GECKO_API}/networks/${geckoNetwork}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=${limit}&currency=token`;
     if (beforeTimestamp) {
         url += `&before_timestamp=${beforeTimestamp}`;
     }
 
-    console.log('[spotPrice] Fetching candles:', url);
-
-    const res = await fetch(url, { headers: GECKO_HEADERS });
-    if (!res.ok) throw new Error(`Candles failed: ${res.status}`);
+    log.debug('fetching candles', { url });
 
-    const data = await res.json();
+    const data = await geckoGet(url, 'Candles');
     const ohlcv = data.data?.attributes?.ohlcv_list || [];
 
-    // Transform to { time, value } format
+    // Transform to { time, value } format — value is the close, OHLC kept alongside
     const raw = ohlcv.map(c => ({
         time: c[0],
         value: parseFloat(c[4]),
+        open: parseFloat(c[1]),
+        high: parseFloat(c[2]),
+        low: parseFloat(c[3]),
     })).reverse();
 
     // Filter duplicates
@@ -259,34 +279,39 @@ async function fetchCandlesFromGecko(poolAddress, network, interval, limit, befo
 }
 
 /**
- * Get rate from ERC-4626 rate provider via RPC
+ * Get rate from ERC-4626 rate provider on the ticker's network.
+ * Throws (via rate-provider) when no RPC can answer — never falls back to 1.
  */
 async function getRate(rateProvider, network) {
-    const networkInfo = NETWORK_MAP[network];
-    if (!networkInfo) return 1;
+    const chain = getChain(network);
+    if (!chain) throw new Error(`Unknown network for rate provider: ${network}`);
+    return getRateCached(rateProvider, chain.chainId);
+}
 
-    try {
-        const GET_RATE_SELECTOR = '0x679aefce';
-
-        const response = await fetch(networkInfo.rpc, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'eth_call',
-                params: [{ to: rateProvider, data: GET_RATE_SELECTOR }, 'latest']
-            })
-        });
+/**
+ * Invert a candle (1/price). High and low swap places.
+ */
+function invertCandle(c) {
+    return {
+        ...c,
+        value: 1 / c.value,
+        open: 1 / (c.open ?? c.value),
+        high: 1 / (c.low ?? c.value),
+        low: 1 / (c.high ?? c.value),
+    };
+}
 
-        const { result } = await response.json();
-        const rate = Number(BigInt(result)) / 1e18;
-        console.log(`[spotPrice] Rate from ${rateProvider.slice(0, 10)}...: ${rate.toFixed(6)}`);
-        return rate;
-    } catch (e) {
-        console.error('[spotPrice] Rate fetch failed:', e.message);
-        return 1;
-    }
+/**
+ * Divide every price of a candle by a rate.
+ */
+function divideCandle(c, rate) {
+    return {
+        ...c,
+        value: c.value / rate,
+        open: (c.open ?? c.value) / rate,
+        high: (c.high ?? c.value) / rate,
+        low: (c.low ?? c.value) / rate,
+    };
 }
 
 // ==============================================================
@@ -297,19 +322,18 @@ async function getRate(rateProvider, network) {
  * Fetch candles for a single hop (base/quote pair)
  * ⭐ Supports per-hop invert: if hop.invert is true, applies 1/price
  */
-async function fetchHopCandles(hop, network, interval, limit, beforeTimestamp = null) {
+async function fetchHopCandles(hop, network, interval, limit, beforeTimestamp = null, aggregate = 1) {
     const pool = await searchPool(network, hop.base, hop.quote);
-    console.log(`[spotPrice] Hop ${hop.invert ? '!' : ''}${hop.base}/${hop.quote}: Found pool ${pool.name}`);
+    log.debug('hop pool found', { base: hop.base, quote: hop.quote, invert: !!hop.invert, pool: pool.name, address: pool.address });
 
-    let candles = await fetchCandlesFromGecko(pool.address, network, interval, limit, beforeTimestamp);
+    let candles = await fetchCandlesFromGecko(pool.address, network, interval, limit, beforeTimestamp, aggregate);
 
     // ⭐ Apply per-hop invert if specified
     if (hop.invert) {
-        candles = candles.map(c => ({ ...c, value: 1 / c.value }));
-        console.log(`[spotPrice] Hop ${hop.base}/${hop.quote}: Inverted (1/price)`);
+        candles = candles.map(invertCandle);
     }
 
-    console.log(`[spotPrice] Hop ${hop.base}/${hop.quote}: ${candles.length} candles`);
+    log.debug('hop candles', { base: hop.base, quote: hop.quote, candles: candles.length });
     return candles;
 }
 
@@ -323,6 +347,10 @@ async function fetchHopCandles(hop, network, interval, limit, beforeTimestamp =
  * activity levels.
  * 
  * Formula: composite_price = hop1_price × hop2_price × ... × hopN_price
+ * 
+ * Open/high/low are multiplied the same way. A forward-filled hop was flat
+ * during the period, so its last close stands in for all four prices.
+ * (Composite high/low is an upper/lower bound — hop extremes may not coincide.)
  */
 function combineHopCandles(hopCandlesArray) {
     if (hopCandlesArray.length === 0) return [];
@@ -335,12 +363,11 @@ function combineHopCandles(hopCandlesArray) {
     });
     const sortedTimes = [...allTimestamps].sort((a, b) => a - b);
 
-    console.log(`[spotPrice] ⭐ Multi-hop: ${sortedTimes.length} total timestamps`);
 
     // Create maps for quick lookup
     const hopMaps = hopCandlesArray.map(candles => {
         const map = new Map();
-        candles.forEach(c => map.set(c.time, c.value));
+        candles.forEach(c => map.set(c.time, c));
         return map;
     });
 
@@ -351,24 +378,33 @@ function combineHopCandles(hopCandlesArray) {
     for (const time of sortedTimes) {
         // Update last known prices and check if all hops have been initialized
         let allHopsInitialized = true;
+        const periodCandles = [];
 
         for (let i = 0; i < hopMaps.length; i++) {
-            if (hopMaps[i].has(time)) {
-                lastKnownPrices[i] = hopMaps[i].get(time);
+            const candle = hopMaps[i].get(time);
+            if (candle) {
+                lastKnownPrices[i] = candle.value;
             }
             if (lastKnownPrices[i] === null) {
                 allHopsInitialized = false;
             }
+            periodCandles.push(candle || { value: lastKnownPrices[i] });
         }
 
         // Only add candle when all hops have at least one known price
         if (allHopsInitialized) {
-            const compositeValue = lastKnownPrices.reduce((product, price) => product * price, 1);
-            result.push({ time, value: compositeValue });
+            const product = (field) => periodCandles.reduce((acc, c) => acc * (c[field] ?? c.value), 1);
+            result.push({
+                time,
+                value: product('value'),
+                open: product('open'),
+                high: product('high'),
+                low: product('low'),
+            });
         }
     }
 
-    console.log(`[spotPrice] ⭐ Multi-hop: ${result.length} composite candles (forward-filled)`);
+    log.debug('combined hops', { timestamps: sortedTimes.length, candles: result.length });
     return result;
 }
 
@@ -381,9 +417,11 @@ function combineHopCandles(hopCandlesArray) {
  * 
  * @param {string} configString - "TOKEN::RATE/QUOTE-interval-limit-network" or multi-hop with +
  * @param {number} limit - Override limit if needed
+ * @param {number} [beforeTimestamp] - Only candles before this timestamp
+ * @param {Object} [resolution] - Resolution from config/resolutions.js — overrides the ticker interval
  * @returns {Promise<{candles, price, rate, pool, error}>}
  */
-export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = null, beforeTimestamp = null) {
+export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = null, beforeTimestamp = null, resolution = null) {
     try {
         const config = parseConfig(configString);
         if (!config) {
@@ -393,17 +431,22 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
         // Override limit if provided
         if (limit) config.limit = limit;
 
-        console.log('[spotPrice] Config:', JSON.stringify(config, null, 2));
+        // Override interval if a resolution was requested
+        config.aggregate = 1;
+        if (resolution) {
+            config.interval = resolution.gecko.timeframe;
+            config.aggregate = resolution.gecko.aggregate;
+        }
+
+        log.debug('config', { config });
 
         // ============================================================
         // ⭐ MULTI-HOP PATH
         // ============================================================
         if (config.isMultiHop) {
-            console.log(`[spotPrice] ⭐ MULTI-HOP: ${config.hops.length} hops`);
-
             // Fetch candles for each hop in parallel
             const hopCandlesPromises = config.hops.map(hop =>
-                fetchHopCandles(hop, config.network, config.interval, config.limit, beforeTimestamp)
+                fetchHopCandles(hop, config.network, config.interval, config.limit, beforeTimestamp, config.aggregate)
             );
             const hopCandlesArray = await Promise.all(hopCandlesPromises);
 
@@ -412,14 +455,13 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
 
             // Apply invert if specified
             if (config.invert) {
-                candles = candles.map(c => ({ ...c, value: 1 / c.value }));
-                console.log('[spotPrice] Inverted prices (1/price)');
+                candles = candles.map(invertCandle);
             }
 
             const latestPrice = candles.length > 0 ? candles[candles.length - 1].value : null;
             const hopNames = config.hops.map(h => `${h.base}/${h.quote}`).join(' → ');
 
-            console.log(`[spotPrice] ⭐ Multi-hop result: ${candles.length} candles, latest: ${latestPrice?.toFixed(6)}`);
+            log.debug('multi-hop result', { pool: hopNames, candles: candles.length, price: latestPrice });
 
             return {
                 candles,
@@ -434,17 +476,13 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
         // ⭐ COMPOSITE PATH (pool-address multi-hop with rate provider)
         // ============================================================
         if (config.isComposite) {
-            console.log(`[spotPrice] ⭐ COMPOSITE: ${config.hops.length} pools, rate=${config.rateProvider?.slice(0, 10) || 'none'}`);
-
             // Fetch candles for each pool address directly (no search needed)
             const hopCandlesPromises = config.hops.map(async (hop) => {
-                console.log(`[spotPrice] Composite hop ${hop.invert ? '!' : ''}${hop.poolAddress.slice(0, 10)}...`);
-                let candles = await fetchCandlesFromGecko(hop.poolAddress, config.network, config.interval, config.limit, beforeTimestamp);
+                let candles = await fetchCandlesFromGecko(hop.poolAddress, config.network, config.interval, config.limit, beforeTimestamp, config.aggregate);
                 if (hop.invert) {
-                    candles = candles.map(c => ({ ...c, value: 1 / c.value }));
-                    console.log(`[spotPrice] Composite hop inverted`);
+                    candles = candles.map(invertCandle);
                 }
-                console.log(`[spotPrice] Composite hop: ${candles.length} candles`);
+                log.debug('composite hop candles', { pool: hop.poolAddress, invert: !!hop.invert, candles: candles.length });
                 return candles;
             });
             const hopCandlesArray = await Promise.all(hopCandlesPromises);
@@ -455,18 +493,18 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
             // Apply rate provider: divide by sDAI rate to convert xDAI → sDAI
             if (config.rateProvider) {
                 const rate = await getRate(config.rateProvider, config.network);
-                candles = candles.map(c => ({ ...c, value: c.value / rate }));
-                console.log(`[spotPrice] Composite: applied rate ÷${rate.toFixed(6)} (${candles.length} candles)`);
+                candles = candles.map(c => divideCandle(c, rate));
+                log.debug('composite rate applied', { rateProvider: config.rateProvider, rate });
             }
 
             if (config.invert) {
-                candles = candles.map(c => ({ ...c, value: 1 / c.value }));
+                candles = candles.map(invertCandle);
             }
 
             const latestPrice = candles.length > 0 ? candles[candles.length - 1].value : null;
             const poolNames = config.hops.map(h => h.poolAddress.slice(0, 10)).join('+');
 
-            console.log(`[spotPrice] ⭐ Composite result: ${candles.length} candles, latest: ${latestPrice?.toFixed(6)}`);
+            log.debug('composite result', { pool: poolNames, candles: candles.length, price: latestPrice });
 
             return {
                 candles,
@@ -490,12 +528,12 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
             const pool = await searchPool(config.network, config.base, config.quote);
             poolAddress = pool.address;
             poolName = pool.name;
-            console.log('[spotPrice] Found pool:', poolName, poolAddress);
+            log.debug('pool found', { pool: poolName, address: poolAddress });
         }
 
         // Fetch candles
-        let candles = await fetchCandlesFromGecko(poolAddress, config.network, config.interval, config.limit, beforeTimestamp);
-        console.log('[spotPrice] Fetched', candles.length, 'candles');
+        let candles = await fetchCandlesFromGecko(poolAddress, config.network, config.interval, config.limit, beforeTimestamp, config.aggregate);
+        log.debug('candles fetched', { address: poolAddress, candles: candles.length });
 
         // Note: Rate provider info is available but NOT applied to candles
         // The GeckoTerminal pool already returns prices in the correct unit
@@ -504,8 +542,7 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
 
         // Apply invert if specified
         if (config.invert) {
-            candles = candles.map(c => ({ ...c, value: 1 / c.value }));
-            console.log('[spotPrice] Inverted prices (1/price)');
+            candles = candles.map(invertCandle);
         }
 
         const latestPrice = candles.length > 0 ? candles[candles.length - 1].value : null;
@@ -519,7 +556,7 @@ export async function fetchSpotCandles(configString = DEFAULT_CONFIG, limit = nu
         };
 
     } catch (e) {
-        console.error('[spotPrice] Error:', e.message);
+        log.error('spot fetch failed', { config: configString, err: e });
         return { candles: [], price: null, rate: null, pool: null, error: e.message };
     }
 }
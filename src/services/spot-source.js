@@ -10,17 +10,22 @@
  */
 
 import { fetchSpotCandles as fetchFromGecko } from './spot-price.js';
+import { upstreamFlight } from '../utils/cache.js';
+import { trackUpstream } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('spot-source');
 
 export const USE_FUTARCHY_SPOT = (process.env.USE_FUTARCHY_SPOT || '').toLowerCase() === 'true';
 const FUTARCHY_SPOT_URL = process.env.FUTARCHY_SPOT_URL || 'http://localhost:3032';
 
-console.log(`📡 [Spot Source] ${USE_FUTARCHY_SPOT ? '✅ Using FUTARCHY-SPOT at ' + FUTARCHY_SPOT_URL : '🦎 Using CoinGecko/GeckoTerminal'}`);
+log.info('spot source', USE_FUTARCHY_SPOT ? { source: 'futarchy-spot', url: FUTARCHY_SPOT_URL } : { source: 'gecko' });
 
 /**
  * Fetch spot candles from futarchy-spot service.
  * Returns the same shape as fetchSpotCandles: { candles: [{time, value}], price, error }
  */
-async function fetchFromFutarchySpot(ticker, limit = 500, beforeTimestamp = null, minTimestamp = null) {
+async function fetchFromFutarchySpot(ticker, limit = 500, beforeTimestamp = null, minTimestamp = null, resolution = null) {
     try {
         const maxTs = beforeTimestamp || Math.floor(Date.now() / 1000);
         // Use explicitly provided minTimestamp, otherwise go back ~limit hours
@@ -28,11 +33,11 @@ async function fetchFromFutarchySpot(ticker, limit = 500, beforeTimestamp = null
 
         const url = `${FUTARCHY_SPOT_URL}/api/v1/candles?ticker=${encodeURIComponent(ticker)}&minTimestamp=${minTs}&maxTimestamp=${maxTs}`;
         
-        const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
+        const res = await trackUpstream('futarchy-spot', () => fetch(url, { signal: AbortSignal.timeout(10000) }), r => !r.ok);
         if (!res.ok) {
             const err = await res.json().catch(() => ({}));
-            console.log(`   ⚠️ [Futarchy-Spot] ${res.status}: ${err.error || 'unknown error'} — falling back to CoinGecko`);
-            return fetchFromGecko(ticker, limit, beforeTimestamp);
+            log.warn('futarchy-spot error, falling back to gecko', { ticker, status: res.status, error: err.error || null });
+            return fetchFromGecko(ticker, limit, beforeTimestamp, resolution);
         }
 
         const data = await res.json();
@@ -46,24 +51,29 @@ async function fetchFromFutarchySpot(ticker, limit = 500, beforeTimestamp = null
 
         const price = candles.length > 0 ? candles[candles.length - 1].value : null;
 
-        console.log(`   📡 [Futarchy-Spot] ${ticker.slice(0, 30)}... → ${candles.length} candles (status: ${data.meta?.status || '?'})`);
+        log.debug('futarchy-spot candles', { ticker, candles: candles.length, status: data.meta?.status || null });
 
         return { candles, price, rate: 1, pool: 'futarchy-spot', error: null };
     } catch (err) {
-        console.error(`   ❌ [Futarchy-Spot] Error: ${err.message} — falling back to CoinGecko`);
-        return fetchFromGecko(ticker, limit, beforeTimestamp);
+        log.error('futarchy-spot failed, falling back to gecko', { ticker, err });
+        return fetchFromGecko(ticker, limit, beforeTimestamp, resolution);
     }
 }
 
 /**
  * Main export — replaces fetchSpotCandles everywhere.
  * Automatically routes to futarchy-spot or CoinGecko based on toggle.
+ *
+ * `resolution` selects the GeckoTerminal timeframe. futarchy-spot always serves
+ * hourly candles — callers bucket them to the requested resolution.
+ *
+ * Concurrent calls with identical arguments share one fetch.
  */
-export async function fetchSpotCandles(configString, limit = null, beforeTimestamp = null, minTimestamp = null) {
-    if (USE_FUTARCHY_SPOT) {
-        return fetchFromFutarchySpot(configString, limit || 500, beforeTimestamp, minTimestamp);
-    }
-    return fetchFromGecko(configString, limit, beforeTimestamp);
+export async function fetchSpotCandles(configString, limit = null, beforeTimestamp = null, minTimestamp = null, resolution = null) {
+    const key = `spot:${configString}:${limit}:${beforeTimestamp}:${minTimestamp}:${resolution?.name || ''}`;
+    return upstreamFlight.run(key, () => USE_FUTARCHY_SPOT
+        ? fetchFromFutarchySpot(configString, limit || 500, beforeTimestamp, minTimestamp, resolution)
+        : fetchFromGecko(configString, limit, beforeTimestamp, resolution));
 }
 
 /**
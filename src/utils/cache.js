@@ -2,63 +2,251 @@
  * Simple In-Memory TTL Cache
  * 
  * All TTLs are configured in config/cache-config.js
+ *
+ * Optional disk tier (CACHE_DISK_DIR): every set() is also written to disk,
+ * and a memory miss falls through to it. Entries the cache's `isClosed` policy
+ * marks as closed (historical ranges that can no longer change) are kept on
+ * disk indefinitely; everything else expires on disk with the same TTL. A disk
+ * hit keeps the entry's original write time, so it only lives out the rest of
+ * its TTL in memory. Expired files are swept periodically and each disk tier is
+ * capped at CACHE_DISK_MAX_ENTRIES files.
+ *
+ * Concurrent misses for the same key can share one fetch via coalesce();
+ * calls that have no cache of their own go through upstreamFlight.
+ *
+ * With `retainMs`, expired entries are kept that much longer so getStale()
+ * can still serve them (stale-while-revalidate / stale-if-error).
  */
 
 import {
     RESPONSE_TTL_SEC,
+    RESPONSE_STALE_SEC,
+    RESPONSE_STALE_IF_ERROR_SEC,
     REGISTRY_TTL_SEC,
     CANDLES_TTL_SEC,
     SPOT_TTL_SEC,
+    CACHE_DISK_DIR,
+    CACHE_CLOSED_MARGIN_SEC,
+    CACHE_DISK_MAX_ENTRIES,
+    CACHE_DISK_SWEEP_SEC,
 } from '../config/cache-config.js';
+import { DiskStore } from './disk-store.js';
+import { SingleFlight } from './single-flight.js';
+import { CollectedMetric } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cache');
 
 export class Cache {
-    constructor(name, ttlMs) {
+    /**
+     * @param {string} name
+     * @param {number} ttlMs
+     * @param {Object} [options]
+     * @param {DiskStore|null} [options.disk] - Second tier (null = memory only)
+     * @param {function(string, *): boolean} [options.isClosed] - Keep entry on disk indefinitely?
+     * @param {number} [options.retainMs=0] - Keep expired entries this long for getStale()
+     */
+    constructor(name, ttlMs, { disk = null, isClosed = null, retainMs = 0 } = {}) {
         this.name = name;
         this.ttlMs = ttlMs;
         this.store = new Map();
+        this.disk = disk;
+        this.isClosed = isClosed;
+        this.retainMs = retainMs;
         this.hits = 0;
         this.misses = 0;
+        this.diskHits = 0;
+        this.staleHits = 0;
+        this.flight = new SingleFlight(name);
     }
 
     get(key) {
         const entry = this.store.get(key);
-        if (!entry) {
-            this.misses++;
-            return undefined;
+        if (entry && Date.now() - entry.time <= this.ttlMs) {
+            this.hits++;
+            return entry.value;
         }
-        if (Date.now() - entry.time > this.ttlMs) {
-            this.store.delete(key);
-            this.misses++;
-            return undefined;
+        if (entry && Date.now() - entry.time > this.ttlMs + this.retainMs) this.store.delete(key);
+
+        const persisted = this.disk?.get(key);
+        if (persisted) {
+            // Closed entries never change — only expiring ones keep their age
+            this.store.set(key, { value: persisted.value, time: persisted.expiresAt ? persisted.time : Date.now() });
+            this.hits++;
+            this.diskHits++;
+            return persisted.value;
         }
-        this.hits++;
-        return entry.value;
+
+        this.misses++;
+        return undefined;
     }
 
     set(key, value) {
         this.store.set(key, { value, time: Date.now() });
+        if (this.disk) {
+            const closed = this.isClosed?.(key, value) || false;
+            this.disk.set(key, value, closed ? null : Date.now() + this.ttlMs);
+        }
+    }
+
+    /**
+     * Look up an entry that may be past its TTL, up to `maxStaleMs` past it
+     * (bounded by retainMs). Call after get() missed.
+     * @returns {{value: *, ageMs: number}|undefined}
+     */
+    getStale(key, maxStaleMs) {
+        const entry = this.store.get(key);
+        if (!entry) return undefined;
+
+        const ageMs = Date.now() - entry.time;
+        if (ageMs > this.ttlMs + Math.min(maxStaleMs, this.retainMs)) return undefined;
+
+        this.staleHits++;
+        return { value: entry.value, ageMs };
+    }
+
+    /**
+     * Share one in-flight `loader` call between concurrent misses on `key`.
+     * The loader is responsible for set() — only it knows what is cacheable.
+     */
+    coalesce(key, loader) {
+        return this.flight.run(key, loader);
+    }
+
+    delete(key) {
+        this.store.delete(key);
+        this.disk?.delete(key);
+    }
+
+    /**
+     * Delete every entry (memory and disk) for which predicate(key, value) is true.
+     * `value` is undefined for entries only on disk.
+     * @returns {number} Entries deleted
+     */
+    deleteWhere(predicate) {
+        const keys = new Set([...this.store.keys(), ...(this.disk?.keys() || [])]);
+        let deleted = 0;
+        for (const key of keys) {
+            if (predicate(key, this.store.get(key)?.value)) {
+                this.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Drop every entry, including the disk tier. Stats are kept.
+     * @returns {{memory: number, disk: number}} Entries dropped per tier
+     */
+    purge() {
+        const dropped = { memory: this.store.size, disk: this.disk?.size ?? 0 };
+        this.store.clear();
+        this.disk?.clear();
+        return dropped;
     }
 
     stats() {
         const total = this.hits + this.misses;
         const rate = total > 0 ? ((this.hits / total) * 100).toFixed(0) : 0;
-        return `${this.name}: ${this.store.size} entries, ${rate}% hit (${this.hits}/${total})`;
+        const disk = this.disk ? ` (+${this.disk.size} on disk, ${this.diskHits} disk hits)` : '';
+        const stale = this.retainMs ? `, ${this.staleHits} stale` : '';
+        return `${this.name}: ${this.store.size} entries${disk}, ${rate}% hit (${this.hits}/${total})${stale}, ${this.flight.coalesced} coalesced`;
     }
 
     clear() {
         this.store.clear();
         this.hits = 0;
         this.misses = 0;
+        this.diskHits = 0;
+        this.staleHits = 0;
+        this.flight.clear();
     }
 }
 
+// ── Closed-range policies (disk tier) ──
+
+function closedBefore() {
+    return Math.floor(Date.now() / 1000) - CACHE_CLOSED_MARGIN_SEC;
+}
+
+/**
+ * Candle keys: `${side}:${poolId}:${min}:${max|live}:${resolution}[:ohlc]:v2`.
+ * Empty results are never closed — they may just mean the indexer was behind.
+ */
+export function isClosedCandleRange(key, value) {
+    const max = parseInt(key.split(':')[3]);
+    return !isNaN(max) && max < closedBefore() && value?.candles?.length > 0;
+}
+
+/**
+ * Spot keys: `${ticker}` (live) or `${ticker}:hist:${day}[:${resolution}]`.
+ */
+function isClosedSpotRange(key) {
+    const match = key.match(/:hist:(\d+)/);
+    return !!match && (parseInt(match[1]) + 1) * 86400 < closedBefore();
+}
+
+function diskStore(namespace) {
+    return CACHE_DISK_DIR ? new DiskStore(CACHE_DISK_DIR, namespace, { maxEntries: CACHE_DISK_MAX_ENTRIES }) : null;
+}
+
 // ── Instances (TTLs from central config) ──
 
-export const registryCache = new Cache('registry', REGISTRY_TTL_SEC * 1000);
-export const candlesCache = new Cache('candles', CANDLES_TTL_SEC * 1000);
-export const spotCache = new Cache('spot', SPOT_TTL_SEC * 1000);
-export const responseCache = new Cache('response', RESPONSE_TTL_SEC * 1000);
+export const registryCache = new Cache('registry', REGISTRY_TTL_SEC * 1000, { disk: diskStore('registry') });
+export const candlesCache = new Cache('candles', CANDLES_TTL_SEC * 1000, { disk: diskStore('candles'), isClosed: isClosedCandleRange });
+export const spotCache = new Cache('spot', SPOT_TTL_SEC * 1000, { disk: diskStore('spot'), isClosed: isClosedSpotRange });
+export const responseCache = new Cache('response', RESPONSE_TTL_SEC * 1000, {
+    retainMs: Math.max(RESPONSE_STALE_SEC, RESPONSE_STALE_IF_ERROR_SEC) * 1000,
+});
+
+// Historical on-chain values (block-by-timestamp, rate samples) never change — no TTL, kept on disk forever
+export const rateHistoryCache = new Cache('rate-history', Infinity, { disk: diskStore('rate-history'), isClosed: () => true });
+
+// Uncached upstream calls (pools, GeckoTerminal, RPC) — keys are namespaced, e.g. `gecko:<url>`
+export const upstreamFlight = new SingleFlight('upstream');
+
+// ── Metrics (read at scrape time) ──
+
+const ALL_CACHES = [registryCache, candlesCache, spotCache, responseCache, rateHistoryCache];
+
+// By name, for the admin API
+export const CACHES = Object.fromEntries(ALL_CACHES.map(c => [c.name, c]));
+const perCache = (read) => () => ALL_CACHES.map(c => ({ labels: { cache: c.name }, value: read(c) }));
+
+new CollectedMetric('futarchy_cache_hits_total', 'Cache hits (memory or disk)', 'counter', ['cache'], perCache(c => c.hits));
+new CollectedMetric('futarchy_cache_misses_total', 'Cache misses', 'counter', ['cache'], perCache(c => c.misses));
+new CollectedMetric('futarchy_cache_stale_hits_total', 'Expired entries served stale', 'counter', ['cache'], perCache(c => c.staleHits));
+new CollectedMetric('futarchy_cache_coalesced_total', 'Misses that joined an in-flight fetch', 'counter', ['cache'], perCache(c => c.flight.coalesced));
+new CollectedMetric('futarchy_cache_entries', 'Entries in memory', 'gauge', ['cache'], perCache(c => c.store.size));
+new CollectedMetric('futarchy_cache_disk_entries', 'Entries in the disk tier', 'gauge', ['cache'], perCache(c => c.disk?.size ?? 0));
+new CollectedMetric('futarchy_upstream_coalesced_total', 'Uncached upstream calls that joined an in-flight call', 'counter', [],
+    () => [{ value: upstreamFlight.coalesced }]);
+
+// ── Disk sweep (otherwise expired files only go when read) ──
+
+async function sweepDisk() {
+    for (const cache of ALL_CACHES.filter(c => c.disk)) {
+        try {
+            const { expired, evicted } = await cache.disk.sweep();
+            if (expired || evicted) log.info('disk swept', { cache: cache.name, expired, evicted, remaining: cache.disk.size });
+        } catch (err) {
+            log.warn('disk sweep failed', { cache: cache.name, err });
+        }
+    }
+}
+
+if (CACHE_DISK_DIR && CACHE_DISK_SWEEP_SEC > 0) {
+    setInterval(sweepDisk, CACHE_DISK_SWEEP_SEC * 1000).unref();
+}
 
 export function logCacheStats() {
-    console.log(`   📦 Cache: ${registryCache.stats()} | ${candlesCache.stats()} | ${spotCache.stats()} | ${responseCache.stats()}`);
+    log.debug('stats', {
+        registry: registryCache.stats(),
+        candles: candlesCache.stats(),
+        spot: spotCache.stats(),
+        response: responseCache.stats(),
+        rateHistory: rateHistoryCache.stats(),
+        upstream: upstreamFlight.stats(),
+    });
 }
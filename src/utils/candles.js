@@ -0,0 +1,144 @@
+/**
+ * Candle Helpers
+ *
+ * Shared transforms for candle series in { periodStartUnix, close } format
+ * (optionally with open/high/low, volumeToken0/volumeToken1 and txCount).
+ */
+
+// Per-period activity, summed when aggregating
+const SUM_FIELDS = ['volumeToken0', 'volumeToken1', 'txCount'];
+const ONE_HOUR = 3600;
+
+/**
+ * Aggregate candles into coarser buckets (e.g. hourly → 4h or 1d).
+ * Each bucket is stamped with the bucket start and keeps the close of its last
+ * candle. When present, open comes from the first candle, high/low are the
+ * extremes and volumes and trade counts are summed. Input must be sorted ascending by periodStartUnix.
+ *
+ * @param {Array} candles - Candles sorted by periodStartUnix
+ * @param {number} periodSec - Bucket size in seconds
+ * @returns {Array} Aggregated candles
+ */
+export function aggregateCandles(candles, periodSec) {
+    if (!candles || candles.length === 0) return candles;
+
+    const buckets = [];
+    for (const candle of candles) {
+        const time = parseInt(candle.periodStartUnix);
+        const bucketStart = time - (time % periodSec);
+        const last = buckets[buckets.length - 1];
+
+        if (!last || parseInt(last.periodStartUnix) !== bucketStart) {
+            buckets.push({ ...candle, periodStartUnix: String(bucketStart) });
+            continue;
+        }
+
+        last.close = candle.close;
+        if (candle.high !== undefined) {
+            last.high = String(Math.max(parseFloat(last.high), parseFloat(candle.high)));
+        }
+        if (candle.low !== undefined) {
+            last.low = String(Math.min(parseFloat(last.low), parseFloat(candle.low)));
+        }
+        for (const field of SUM_FIELDS) {
+            if (candle[field] !== undefined) {
+                last[field] = String(parseFloat(last[field] || '0') + parseFloat(candle[field]));
+            }
+        }
+    }
+
+    return buckets;
+}
+
+/**
+ * Spot candle ({ time, value } from GeckoTerminal or futarchy-spot) in
+ * subgraph format, divided by `rateDivisor`. With `ohlc`, a close-only source
+ * gives a flat candle — the honest OHLC when only the close is known.
+ */
+export function toSpotCandle(c, rateDivisor = 1, ohlc = false) {
+    if (!ohlc) return { periodStartUnix: String(c.time), close: String(c.value / rateDivisor) };
+    return {
+        periodStartUnix: String(c.time),
+        open: String((c.open ?? c.value) / rateDivisor),
+        high: String((c.high ?? c.value) / rateDivisor),
+        low: String((c.low ?? c.value) / rateDivisor),
+        close: String(c.value / rateDivisor)
+    };
+}
+
+/**
+ * Build a forward-filled candle at `time` carrying the source candle's close.
+ * OHLC candles get a flat candle (no trades → open = high = low = close).
+ */
+function fillCandle(time, source) {
+    if (source.open === undefined) {
+        return { periodStartUnix: String(time), close: source.close };
+    }
+    return {
+        periodStartUnix: String(time),
+        open: source.close,
+        high: source.close,
+        low: source.close,
+        close: source.close
+    };
+}
+
+/**
+ * Forward-fill candles to create continuous data, one candle per period
+ * @param {Array} candles - Sparse candles from subgraph
+ * @param {number} maxTimestamp - Maximum timestamp to fill up to
+ * @param {number} [periodSec=3600] - Candle period
+ * @returns {Array} - Filled candles with no gaps > one period
+ */
+export function forwardFillCandles(candles, maxTimestamp, periodSec = ONE_HOUR) {
+    if (!candles || candles.length === 0) return candles;
+
+    const filled = [];
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const effectiveMax = Math.min(maxTimestamp, nowSeconds);
+
+    for (let i = 0; i < candles.length; i++) {
+        const current = candles[i];
+        const currentTime = parseInt(current.periodStartUnix);
+
+        // Add the current candle
+        if (currentTime <= effectiveMax) {
+            filled.push(current);
+        }
+
+        // If there's a next candle, fill the gap
+        if (i < candles.length - 1) {
+            const nextTime = parseInt(candles[i + 1].periodStartUnix);
+            const gapPeriods = (nextTime - currentTime) / periodSec;
+
+            // Fill missing periods between current and next
+            if (gapPeriods > 1) {
+                for (let period = 1; period < gapPeriods; period++) {
+                    const fillTime = currentTime + (period * periodSec);
+                    if (fillTime <= effectiveMax) {
+                        filled.push(fillCandle(fillTime, current));  // Forward-fill with last known price
+                    }
+                }
+            }
+        } else {
+            // Last candle - fill up to effectiveMax (now)
+            let fillTime = currentTime + periodSec;
+            while (fillTime <= effectiveMax) {
+                filled.push(fillCandle(fillTime, current));
+                fillTime += periodSec;
+            }
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Close prices by candle time (unix seconds), forward-filled every `periodSec`
+ * up to min(maxTimestamp, now) — for lining several series up on one grid.
+ * @returns {Map<number, number>}
+ */
+export function closesByTime(candles, maxTimestamp, periodSec) {
+    return new Map((forwardFillCandles(candles, maxTimestamp, periodSec) || [])
+        .map(c => [parseInt(c.periodStartUnix), parseFloat(c.close)]));
+}
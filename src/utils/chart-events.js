@@ -0,0 +1,42 @@
+/**
+ * Chart Events — in-process pub/sub for freshly built chart responses
+ *
+ * The unified chart handler publishes every response it builds (user request
+ * or warmer refresh) under its response cache key. SSE streams subscribe to
+ * the key they serve and push the changes to their clients.
+ */
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+/**
+ * Publish a freshly built chart response.
+ */
+export function publishChart(cacheKey, response) {
+    emitter.emit(cacheKey, response);
+}
+
+/**
+ * Subscribe to responses for a cache key.
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeChart(cacheKey, listener) {
+    emitter.on(cacheKey, listener);
+    return () => emitter.off(cacheKey, listener);
+}
+
+/**
+ * Number of open subscriptions across all keys.
+ */
+export function getSubscriberCount() {
+    return emitter.eventNames().reduce((sum, name) => sum + emitter.listenerCount(name), 0);
+}
+
+/**
+ * Whether any stream is open for a cache key.
+ */
+export function hasSubscribers(cacheKey) {
+    return emitter.listenerCount(cacheKey) > 0;
+}
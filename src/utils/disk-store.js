@@ -0,0 +1,154 @@
+/**
+ * Disk Store — file-backed second tier for Cache
+ *
+ * One JSON file per key ({ key, value, time, expiresAt }) under <dir>/<namespace>/,
+ * named by the SHA-1 of the key. Survives restarts and Lambda cold starts
+ * (point CACHE_DISK_DIR at /tmp there).
+ *
+ * Reads are synchronous so Cache.get() keeps its sync signature; an in-memory
+ * index of stored keys means a miss never touches the filesystem. Writes are
+ * async and atomic (temp file + rename).
+ *
+ * Expired files are removed when read and by sweep(), which also evicts the
+ * oldest writes once the store holds more than `maxEntries` files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('disk-store');
+
+let tmpCounter = 0;
+
+export class DiskStore {
+    /**
+     * @param {string} dir
+     * @param {string} namespace
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=Infinity] - File cap enforced by sweep()
+     */
+    constructor(dir, namespace, { maxEntries = Infinity } = {}) {
+        this.dir = path.join(dir, namespace);
+        this.maxEntries = maxEntries;
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.index = new Set(
+            fs.readdirSync(this.dir)
+                .filter(f => f.endsWith('.json'))
+                .map(f => f.slice(0, -'.json'.length))
+        );
+    }
+
+    fileFor(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return { hash, file: path.join(this.dir, `${hash}.json`) };
+    }
+
+    /**
+     * @returns {Object|undefined} { key, value, time, expiresAt } or undefined when missing/expired
+     */
+    get(key) {
+        const { hash, file } = this.fileFor(key);
+        if (!this.index.has(hash)) return undefined;
+
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            // ENOENT = write still in flight; anything else = corrupt file
+            if (err.code !== 'ENOENT') this.delete(key);
+            return undefined;
+        }
+
+        if (entry.key !== key) return undefined; // hash collision
+        if (entry.expiresAt && entry.expiresAt < Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * @param {number|null} expiresAt - Epoch ms, or null to keep indefinitely
+     */
+    set(key, value, expiresAt = null) {
+        const { hash, file } = this.fileFor(key);
+        const tmp = `${file}.${process.pid}.${tmpCounter++}.tmp`;
+        this.index.add(hash);
+
+        fs.promises.writeFile(tmp, JSON.stringify({ key, value, time: Date.now(), expiresAt }))
+            .then(() => fs.promises.rename(tmp, file))
+            .catch(err => log.warn('write failed', { namespace: path.basename(this.dir), key, err }));
+    }
+
+    delete(key) {
+        this.deleteHash(this.fileFor(key).hash);
+    }
+
+    deleteHash(hash) {
+        this.index.delete(hash);
+        fs.promises.unlink(path.join(this.dir, `${hash}.json`)).catch(() => { });
+    }
+
+    /**
+     * Remove expired files, then the oldest writes beyond maxEntries.
+     * Reads every file asynchronously — run from a timer, not the request path.
+     * @returns {Promise<{expired: number, evicted: number}>}
+     */
+    async sweep() {
+        const now = Date.now();
+        const live = [];
+        let expired = 0;
+
+        for (const hash of [...this.index]) {
+            let entry;
+            try {
+                entry = JSON.parse(await fs.promises.readFile(path.join(this.dir, `${hash}.json`), 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') this.deleteHash(hash); // corrupt; ENOENT = write in flight
+                continue;
+            }
+            if (entry.expiresAt && entry.expiresAt < now) {
+                this.deleteHash(hash);
+                expired++;
+            } else {
+                live.push({ hash, time: entry.time || 0 });
+            }
+        }
+
+        let evicted = 0;
+        if (live.length > this.maxEntries) {
+            live.sort((a, b) => a.time - b.time);
+            for (const { hash } of live.slice(0, live.length - this.maxEntries)) {
+                this.deleteHash(hash);
+                evicted++;
+            }
+        }
+        return { expired, evicted };
+    }
+
+    /**
+     * All stored keys. Reads every file — for admin purges, not the request path.
+     */
+    keys() {
+        const keys = [];
+        for (const hash of this.index) {
+            try {
+                keys.push(JSON.parse(fs.readFileSync(path.join(this.dir, `${hash}.json`), 'utf8')).key);
+            } catch { /* write in flight or already gone */ }
+        }
+        return keys;
+    }
+
+    clear() {
+        for (const hash of this.index) {
+            fs.promises.unlink(path.join(this.dir, `${hash}.json`)).catch(() => { });
+        }
+        this.index.clear();
+    }
+
+    get size() {
+        return this.index.size;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Structured Logger — JSON lines with request correlation
+ *
+ * Every line is one JSON object:
+ *   { "time", "level", "module", "requestId", "msg", ...fields }
+ *
+ * The request ID comes from AsyncLocalStorage: the request middleware in
+ * index.js runs each request inside runWithRequestId(), so adapters and
+ * services deep in the call stack log the right ID without threading it
+ * through arguments. Background work (warmer) gets its own generated ID.
+ *
+ * Config:
+ *   LOG_LEVEL=debug|info|warn|error  (default: info)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// ============================================================================
+// REQUEST CONTEXT
+// ============================================================================
+
+// Accept caller-supplied IDs only if they are short and printable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export function generateRequestId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Use the incoming X-Request-Id when valid, otherwise generate one.
+ */
+export function resolveRequestId(headerValue) {
+    return headerValue && VALID_REQUEST_ID.test(headerValue) ? headerValue : generateRequestId();
+}
+
+/**
+ * Run `fn` with `requestId` attached to every log line it (transitively) writes.
+ */
+export function runWithRequestId(requestId, fn) {
+    return context.run({ requestId }, fn);
+}
+
+export function getRequestId() {
+    return context.getStore()?.requestId || null;
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+function write(level, module, msg, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        module,
+        requestId: getRequestId(),
+        msg,
+        ...fields,
+    };
+    // Error objects don't serialize — keep message (and stack at debug)
+    if (fields?.err instanceof Error) {
+        line.err = MIN_LEVEL <= LEVELS.debug
+            ? { message: fields.err.message, stack: fields.err.stack }
+            : fields.err.message;
+    }
+
+    const out = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    out.write(JSON.stringify(line) + '\n');
+}
+
+/**
+ * @param {string} module - Short module name, e.g. 'unified-chart', 'candles-adapter'
+ * @returns {{debug, info, warn, error}} Each takes (msg, fields?)
+ */
+export function createLogger(module) {
+    return {
+        debug: (msg, fields) => write('debug', module, msg, fields),
+        info: (msg, fields) => write('info', module, msg, fields),
+        warn: (msg, fields) => write('warn', module, msg, fields),
+        error: (msg, fields) => write('error', module, msg, fields),
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Prometheus Metrics — minimal in-process registry
+ *
+ * Counters and histograms are updated by instrumentation (index.js middleware,
+ * adapters, services, warmer). Collected metrics read their values at scrape
+ * time (cache stats, warm list size). renderMetrics() produces the text
+ * exposition format served by GET /metrics.
+ */
+
+const registry = [];
+
+// Seconds — upstream calls range from ~50ms (cache-warm indexer) to 10s+ (timeouts)
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${String(values[i]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export class Counter {
+    constructor(name, help, labelNames = []) {
+        Object.assign(this, { name, help, labelNames, type: 'counter' });
+        this.values = new Map();
+        registry.push(this);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    render() {
+        return [...this.values].map(([key, value]) =>
+            `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+}
+
+export class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+        this.values = new Map();
+        registry.push(this);
+    }
+
+    observe(labels, seconds) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+        this.buckets.forEach((le, i) => { if (seconds <= le) series.counts[i]++; });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    /**
+     * @returns {function(Object=): void} Call to observe the elapsed time (extra labels merge in)
+     */
+    startTimer(labels = {}) {
+        const t0 = process.hrtime.bigint();
+        return (moreLabels = {}) => this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - t0) / 1e9);
+    }
+
+    render() {
+        const lines = [];
+        for (const [key, { counts, sum, count }] of this.values) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((le, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${le}"`)} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * A metric whose samples are read at scrape time.
+ * `collect` returns [{ labels, value }].
+ */
+export class CollectedMetric {
+    constructor(name, help, type, labelNames, collect) {
+        Object.assign(this, { name, help, type, labelNames, collect });
+        registry.push(this);
+    }
+
+    render() {
+        return this.collect().map(({ labels = {}, value }) =>
+            `${this.name}${formatLabels(this.labelNames, this.labelNames.map(n => labels[n] ?? ''))} ${value}`);
+    }
+}
+
+// ============================================================================
+// UPSTREAM INSTRUMENTATION
+// ============================================================================
+
+const upstreamRequests = new Counter('futarchy_upstream_requests_total', 'Upstream calls by target', ['target']);
+const upstreamErrors = new Counter('futarchy_upstream_errors_total', 'Failed upstream calls by target', ['target']);
+const upstreamDuration = new Histogram('futarchy_upstream_request_duration_seconds', 'Upstream call latency by target', ['target']);
+
+/**
+ * Count and time one upstream call. A throw from `fn` counts as an error,
+ * as does a result `isError` flags (e.g. a non-2xx Response that the caller handles).
+ *
+ * @param {string} target - registry | candles | gecko | rpc | futarchy-spot
+ * @param {function(): Promise<*>} fn
+ * @param {function(*): boolean} [isError]
+ */
+export async function trackUpstream(target, fn, isError = null) {
+    upstreamRequests.inc({ target });
+    const done = upstreamDuration.startTimer({ target });
+    try {
+        const result = await fn();
+        if (isError?.(result)) upstreamErrors.inc({ target });
+        return result;
+    } catch (err) {
+        upstreamErrors.inc({ target });
+        throw err;
+    } finally {
+        done();
+    }
+}
+
+// ============================================================================
+// EXPOSITION
+// ============================================================================
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export function renderMetrics() {
+    const lines = [];
+    for (const metric of registry) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,224 @@
+/**
+ * Parquet Writer — flat numeric tables only
+ *
+ * Writes one row group with one uncompressed, PLAIN-encoded data page (v1) per
+ * column. That covers exports of aligned price series without a dependency;
+ * there is no dictionary encoding, compression, nesting or string support.
+ *
+ * Column types:
+ *   'double'     — DOUBLE
+ *   'timestamp'  — INT64 milliseconds, annotated TIMESTAMP_MILLIS
+ * A column with any null value is OPTIONAL (definition levels), else REQUIRED.
+ *
+ * File layout and metadata structs: https://github.com/apache/parquet-format
+ * (metadata is Thrift compact protocol).
+ */
+
+const MAGIC = Buffer.from('PAR1');
+
+// ============================================================================
+// THRIFT COMPACT PROTOCOL (write-only, the subset Parquet metadata needs)
+// ============================================================================
+
+const T = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+function writeVarint(out, value) {
+    let v = BigInt(value);
+    while (v >= 0x80n) {
+        out.push(Number(v & 0x7fn) | 0x80);
+        v >>= 7n;
+    }
+    out.push(Number(v));
+}
+
+function writeZigzag(out, value) {
+    const v = BigInt(value);
+    writeVarint(out, v >= 0n ? v << 1n : ((-v) << 1n) - 1n);
+}
+
+function writeValue(out, type, value) {
+    switch (type) {
+        case T.I32:
+        case T.I64:
+            return writeZigzag(out, value);
+        case T.BINARY: {
+            const bytes = Buffer.from(value);
+            writeVarint(out, bytes.length);
+            for (const b of bytes) out.push(b);
+            return;
+        }
+        case T.LIST: {
+            const [elemType, items] = value;
+            if (items.length < 15) {
+                out.push((items.length << 4) | elemType);
+            } else {
+                out.push(0xf0 | elemType);
+                writeVarint(out, items.length);
+            }
+            for (const item of items) writeValue(out, elemType, item);
+            return;
+        }
+        case T.STRUCT:
+            return writeStruct(out, value);
+    }
+    throw new Error(`Unsupported thrift type ${type}`);
+}
+
+/**
+ * @param {Array<[number, number, *]>} fields - [fieldId, type, value], ascending ids; null values are skipped
+ */
+function writeStruct(out, fields) {
+    let lastId = 0;
+    for (const [id, type, value] of fields) {
+        if (value === null || value === undefined) continue;
+        const delta = id - lastId;
+        if (delta > 0 && delta <= 15) {
+            out.push((delta << 4) | type);
+        } else {
+            out.push(type);
+            writeZigzag(out, id);
+        }
+        lastId = id;
+        writeValue(out, type, value);
+    }
+    out.push(0); // STOP
+}
+
+function thriftStruct(fields) {
+    const out = [];
+    writeStruct(out, fields);
+    return Buffer.from(out);
+}
+
+// ============================================================================
+// PARQUET
+// ============================================================================
+
+const PHYSICAL = { INT64: 2, DOUBLE: 5 };
+const REPETITION = { REQUIRED: 0, OPTIONAL: 1 };
+const ENCODING = { PLAIN: 0, RLE: 3 };
+const CONVERTED_TIMESTAMP_MILLIS = 9;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+const COLUMN_TYPES = {
+    double: { physical: PHYSICAL.DOUBLE, converted: null },
+    timestamp: { physical: PHYSICAL.INT64, converted: CONVERTED_TIMESTAMP_MILLIS },
+};
+
+/**
+ * Definition levels (0 = null, 1 = present) as RLE runs, bit width 1,
+ * prefixed with their byte length as data page v1 expects.
+ */
+function encodeDefinitionLevels(values) {
+    const out = [];
+    for (let i = 0; i < values.length;) {
+        const level = values[i] === null ? 0 : 1;
+        let run = 1;
+        while (i + run < values.length && (values[i + run] === null ? 0 : 1) === level) run++;
+        writeVarint(out, run << 1); // LSB 0 = RLE run
+        out.push(level);
+        i += run;
+    }
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(out.length);
+    return Buffer.concat([length, Buffer.from(out)]);
+}
+
+function encodePlain(physical, values) {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => {
+        if (physical === PHYSICAL.INT64) buf.writeBigInt64LE(BigInt(Math.round(v)), i * 8);
+        else buf.writeDoubleLE(v, i * 8);
+    });
+    return buf;
+}
+
+/**
+ * Serialize a table to a Parquet file.
+ *
+ * @param {Array<{name: string, type: 'double'|'timestamp', values: Array<number|null>}>} columns - Equal lengths
+ * @param {Object} [options]
+ * @param {string} [options.createdBy]
+ * @returns {Buffer}
+ */
+export function writeParquet(columns, { createdBy = 'futarchy-charts' } = {}) {
+    const numRows = columns[0]?.values.length ?? 0;
+    if (columns.some(c => c.values.length !== numRows)) throw new Error('Parquet columns must have equal lengths');
+
+    const defs = columns.map(column => {
+        const spec = COLUMN_TYPES[column.type];
+        if (!spec) throw new Error(`Unsupported Parquet column type "${column.type}"`);
+        // NaN/Infinity have no place in a price table — store them as null
+        const values = column.values.map(v => v === null || v === undefined || !Number.isFinite(v) ? null : v);
+        return { ...column, ...spec, values, optional: values.includes(null) };
+    });
+
+    const chunks = [MAGIC];
+    let offset = MAGIC.length;
+    const columnChunks = [];
+
+    if (numRows > 0) {
+        for (const def of defs) {
+            const present = def.values.filter(v => v !== null);
+            const data = Buffer.concat([
+                ...(def.optional ? [encodeDefinitionLevels(def.values)] : []),
+                encodePlain(def.physical, present),
+            ]);
+            const header = thriftStruct([
+                [1, T.I32, PAGE_DATA],
+                [2, T.I32, data.length],
+                [3, T.I32, data.length],
+                [5, T.STRUCT, [
+                    [1, T.I32, numRows],
+                    [2, T.I32, ENCODING.PLAIN],
+                    [3, T.I32, ENCODING.RLE],
+                    [4, T.I32, ENCODING.RLE],
+                ]],
+            ]);
+            const size = header.length + data.length;
+
+            columnChunks.push([
+                [2, T.I64, offset],
+                [3, T.STRUCT, [
+                    [1, T.I32, def.physical],
+                    [2, T.LIST, [T.I32, [ENCODING.PLAIN, ENCODING.RLE]]],
+                    [3, T.LIST, [T.BINARY, [def.name]]],
+                    [4, T.I32, CODEC_UNCOMPRESSED],
+                    [5, T.I64, numRows],
+                    [6, T.I64, size],
+                    [7, T.I64, size],
+                    [9, T.I64, offset],
+                ]],
+            ]);
+            chunks.push(header, data);
+            offset += size;
+        }
+    }
+
+    const schema = [
+        [[4, T.BINARY, 'schema'], [5, T.I32, defs.length]],
+        ...defs.map(def => [
+            [1, T.I32, def.physical],
+            [3, T.I32, def.optional ? REPETITION.OPTIONAL : REPETITION.REQUIRED],
+            [4, T.BINARY, def.name],
+            [6, T.I32, def.converted],
+        ]),
+    ];
+    const rowGroups = numRows > 0
+        ? [[[1, T.LIST, [T.STRUCT, columnChunks]], [2, T.I64, offset - MAGIC.length], [3, T.I64, numRows]]]
+        : [];
+
+    const footer = thriftStruct([
+        [1, T.I32, 1],
+        [2, T.LIST, [T.STRUCT, schema]],
+        [3, T.I64, numRows],
+        [4, T.LIST, [T.STRUCT, rowGroups]],
+        [6, T.BINARY, createdBy],
+    ]);
+    const footerLength = Buffer.alloc(4);
+    footerLength.writeUInt32LE(footer.length);
+
+    chunks.push(footer, footerLength, MAGIC);
+    return Buffer.concat(chunks);
+}
@@ -0,0 +1,45 @@
+/**
+ * Single-Flight — in-flight promise deduplication
+ *
+ * Concurrent calls with the same key share one promise instead of each
+ * firing its own upstream fetch. The key is released as soon as the promise
+ * settles, so errors are never remembered — the next caller retries fresh.
+ */
+
+export class SingleFlight {
+    constructor(name) {
+        this.name = name;
+        this.inflight = new Map();
+        this.coalesced = 0;
+    }
+
+    /**
+     * Run `fn` for `key`, or join the call already in flight for it.
+     * @param {string} key
+     * @param {function(): Promise<*>} fn
+     * @returns {Promise<*>}
+     */
+    run(key, fn) {
+        const pending = this.inflight.get(key);
+        if (pending) {
+            this.coalesced++;
+            return pending;
+        }
+
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => {
+                if (this.inflight.get(key) === promise) this.inflight.delete(key);
+            });
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    stats() {
+        return `${this.name}: ${this.inflight.size} in flight, ${this.coalesced} coalesced`;
+    }
+
+    clear() {
+        this.coalesced = 0;
+    }
+}
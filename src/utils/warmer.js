@@ -1,134 +1,451 @@
 /**
  * Cache Warmer — Demand-Driven Background Refresh
- * 
+ *
  * How it works:
  *   1. When a valid request succeeds, register it in the "warm list"
- *   2. A background loop auto-refreshes registered entries before cache expires
+ *   2. A background loop refreshes each entry on its own schedule
  *   3. Entries stay in the warm list for RETENTION_DAYS (configurable)
  *   4. Users always get instant cached responses — zero cold starts
- * 
+ *
+ * Per-entry intervals adapt to the proposal (see intervalFor()):
+ *   TWAP window or open stream  → WARMER_INTERVAL_SEC (the base)
+ *   trading                     → base, ×3 without a candle in the last hour,
+ *                                 ×2 without a request in the last 30 min
+ *   pre-open                    → base ×6 (×2 when unwatched)
+ *   closed                      → WARMER_CLOSED_INTERVAL_SEC (0 = stop warming)
+ * capped at WARMER_MAX_INTERVAL_SEC. Refreshes run WARMER_CONCURRENCY at a
+ * time, so one slow proposal only holds one slot.
+ *
+ * Pinned entries (admin API) never expire and don't count toward
+ * WARMER_MAX_ENTRIES.
+ *
+ * With CACHE_DISK_DIR set, the warm list is saved to <dir>/warm-list.json and
+ * reloaded by startWarmer(), so a deploy doesn't start cold. seedWarmList()
+ * pre-registers entries (active proposals from the registry) up to capacity.
+ *
  * All config comes from config/cache-config.js — change once, auto-adjusts.
  */
 
-import { responseCache } from './cache.js';
+import fs from 'fs';
+import path from 'path';
+import { hasSubscribers } from './chart-events.js';
+import { Counter, Histogram, CollectedMetric } from './metrics.js';
+import { createLogger, generateRequestId, runWithRequestId } from './logger.js';
+
+const log = createLogger('warmer');
 import {
     WARMER_INTERVAL_SEC,
     WARMER_RETENTION_DAYS,
     WARMER_MAX_ENTRIES,
+    WARMER_CONCURRENCY,
+    WARMER_MAX_INTERVAL_SEC,
+    WARMER_CLOSED_INTERVAL_SEC,
+    CACHE_DISK_DIR,
 } from '../config/cache-config.js';
 
 const REFRESH_INTERVAL_MS = WARMER_INTERVAL_SEC * 1000;
+const MAX_INTERVAL_MS = Math.max(WARMER_MAX_INTERVAL_SEC * 1000, REFRESH_INTERVAL_MS);
+const CLOSED_INTERVAL_MS = WARMER_CLOSED_INTERVAL_SEC * 1000;
 const RETENTION_MS = WARMER_RETENTION_DAYS * 24 * 3600 * 1000;
+const STATE_FILE = CACHE_DISK_DIR ? path.join(CACHE_DISK_DIR, 'warm-list.json') : null;
+const PERSIST_DELAY_MS = 5000;
+const TICK_MS = 1000;
+
+// Activity thresholds for intervalFor()
+const QUIET_AFTER_SEC = 3600;                  // no candle for this long = not trading
+const WATCHED_WINDOW_MS = 30 * 60 * 1000;      // a request in this window = someone is looking
+const BUSY_REQUESTS_PER_HOUR = 30;             // this many = keep fresh even when quiet
+const MAX_TRACKED_REQUESTS = 100;
 
 // ============================================================================
 // WARM LIST
 // ============================================================================
 
 const warmList = new Map();
+let inFlight = 0;
+
+// ── Metrics ──
+const refreshDuration = new Histogram('futarchy_warmer_refresh_duration_seconds', 'Duration of one warm entry refresh', ['result']);
+const evictions = new Counter('futarchy_warmer_evictions_total', 'Warm entries removed', ['reason']);
+new CollectedMetric('futarchy_warmer_entries', 'Entries in the warm list', 'gauge', [], () => [{ value: warmList.size }]);
+new CollectedMetric('futarchy_warmer_in_flight', 'Warm entry refreshes running', 'gauge', [], () => [{ value: inFlight }]);
+
+/**
+ * @param {Object} params - refreshFn params
+ * @param {number} nextRefreshAt - Epoch ms of the first refresh
+ */
+function newEntry(params, nextRefreshAt, { pinned = false, activity = null } = {}) {
+    const now = Date.now();
+    return {
+        params,
+        lastSeen: now,
+        registeredAt: now,
+        pinned,
+        requests: [],
+        activity,
+        phase: null,
+        intervalMs: REFRESH_INTERVAL_MS,
+        nextRefreshAt,
+        refreshing: false,
+    };
+}
+
+function recordRequest(entry, now) {
+    entry.lastSeen = now;
+    entry.requests.push(now);
+    entry.requests = entry.requests.filter(t => now - t < 3600 * 1000).slice(-MAX_TRACKED_REQUESTS);
+}
 
 /**
- * Register a successful request for background warming.
+ * Register a chart built for a user request (not a background refresh).
+ * `activity` (from the built response) sets the entry's schedule right away.
  */
-export function registerForWarming(cacheKey, params) {
+export function registerForWarming(cacheKey, params, activity = null) {
     const now = Date.now();
 
-    if (warmList.has(cacheKey)) {
-        warmList.get(cacheKey).lastSeen = now;
+    const existing = warmList.get(cacheKey);
+    if (existing) {
+        recordRequest(existing, now);
+        if (activity) existing.activity = activity;
+        // Just rebuilt — the next refresh can wait a full interval
+        if (!existing.refreshing) reschedule(cacheKey, existing, now);
+        schedulePersist();
         return;
     }
 
-    // Enforce max entries (evict oldest by lastSeen)
-    if (warmList.size >= WARMER_MAX_ENTRIES) {
+    const entry = newEntry(params, now, { activity });
+    recordRequest(entry, now);
+    if (!reschedule(cacheKey, entry, now, { register: false })) return;
+
+    // Enforce max entries (evict oldest unpinned by lastSeen)
+    if (unpinnedCount() >= WARMER_MAX_ENTRIES) {
         let oldestKey = null;
         let oldestTime = Infinity;
         for (const [key, entry] of warmList) {
-            if (entry.lastSeen < oldestTime) {
+            if (!entry.pinned && entry.lastSeen < oldestTime) {
                 oldestTime = entry.lastSeen;
                 oldestKey = key;
             }
         }
-        if (oldestKey) warmList.delete(oldestKey);
+        if (oldestKey) {
+            warmList.delete(oldestKey);
+            evictions.inc({ reason: 'capacity' });
+        }
     }
 
-    warmList.set(cacheKey, {
-        params,
-        lastSeen: now,
-        registeredAt: now,
-    });
+    warmList.set(cacheKey, entry);
 
-    console.log(`🔥 [Warmer] Registered: ${params.proposalId.slice(0, 10)}... (${warmList.size} active entries)`);
+    schedulePersist();
+    log.info('registered', { proposalId: params.proposalId, cacheKey, phase: entry.phase, intervalSec: entry.intervalMs / 1000, entries: warmList.size });
+}
+
+/**
+ * Count a cache hit towards the entry's request frequency.
+ */
+export function recordWarmHit(cacheKey) {
+    const entry = warmList.get(cacheKey);
+    if (!entry) return;
+    recordRequest(entry, Date.now());
+    schedulePersist();
+}
+
+function unpinnedCount() {
+    let count = 0;
+    for (const entry of warmList.values()) if (!entry.pinned) count++;
+    return count;
+}
+
+/**
+ * Add (or mark) an entry as pinned: kept warm until removed.
+ */
+export function pinForWarming(cacheKey, params) {
+    const existing = warmList.get(cacheKey);
+    if (existing) {
+        existing.pinned = true;
+    } else {
+        warmList.set(cacheKey, newEntry(params, Date.now(), { pinned: true }));
+    }
+    schedulePersist();
+    log.info('pinned', { proposalId: params.proposalId, cacheKey, entries: warmList.size });
+}
+
+/**
+ * Remove warm entries (pinned or not) matching predicate(cacheKey, entry).
+ * @returns {number} Entries removed
+ */
+export function removeFromWarming(predicate) {
+    let removed = 0;
+    for (const [key, entry] of warmList) {
+        if (predicate(key, entry)) {
+            warmList.delete(key);
+            evictions.inc({ reason: 'removed' });
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        schedulePersist();
+        log.info('removed', { removed, entries: warmList.size });
+    }
+    return removed;
+}
+
+/**
+ * Pre-register entries that aren't warm yet, without evicting anything:
+ * stops once unpinned entries reach WARMER_MAX_ENTRIES.
+ *
+ * @param {Array<{cacheKey: string, params: Object}>} entries
+ * @returns {number} Entries added
+ */
+export function seedWarmList(entries) {
+    const now = Date.now();
+    let added = 0;
+    for (const { cacheKey, params } of entries) {
+        if (warmList.has(cacheKey)) continue;
+        if (unpinnedCount() >= WARMER_MAX_ENTRIES) {
+            log.warn('warm list full, seeding stopped', { seeded: added, skipped: entries.length - added, maxEntries: WARMER_MAX_ENTRIES });
+            break;
+        }
+        warmList.set(cacheKey, newEntry(params, now));
+        added++;
+    }
+    if (added > 0) schedulePersist();
+    log.info('seeded', { added, entries: warmList.size });
+    return added;
+}
+
+/**
+ * Warm entries matching predicate(cacheKey, entry), as { cacheKey, params, pinned }.
+ */
+export function findWarmEntries(predicate) {
+    return [...warmList]
+        .filter(([key, entry]) => predicate(key, entry))
+        .map(([cacheKey, entry]) => ({ cacheKey, params: entry.params, pinned: entry.pinned }));
 }
 
 // ============================================================================
-// BACKGROUND REFRESH LOOP
+// SCHEDULING
 // ============================================================================
 
-let refreshFn = null;
-let intervalId = null;
+/**
+ * Proposal phase from the activity summary the refresh function returns:
+ * { startsAt, closesAt, twapStart, twapEnd, lastCandleAt } (unix seconds, null when unknown).
+ */
+export function phaseOf(activity, nowSec) {
+    if (!activity) return 'unknown';
+    if (activity.closesAt && nowSec >= activity.closesAt) return 'closed';
+    if (activity.twapStart && nowSec >= activity.twapStart && (!activity.twapEnd || nowSec < activity.twapEnd)) return 'twap';
+    if (activity.startsAt && nowSec < activity.startsAt) return 'pre-open';
+    return 'trading';
+}
 
 /**
- * Start the background warmer.
- * @param {function} fn - Async function(params) that fetches and caches the data.
+ * Refresh interval for an entry in `phase`, or null to stop warming it.
  */
-export function startWarmer(fn) {
-    refreshFn = fn;
+export function intervalFor(cacheKey, entry, phase, now) {
+    if (phase === 'closed') return CLOSED_INTERVAL_MS > 0 ? Math.max(CLOSED_INTERVAL_MS, REFRESH_INTERVAL_MS) : null;
+    // Open SSE streams expect updates at the base cadence
+    if (phase === 'twap' || hasSubscribers(cacheKey)) return REFRESH_INTERVAL_MS;
 
-    intervalId = setInterval(async () => {
-        const now = Date.now();
+    const recent = entry.requests.filter(t => now - t < 3600 * 1000);
+    const watched = recent.some(t => now - t < WATCHED_WINDOW_MS);
+    const busy = recent.length >= BUSY_REQUESTS_PER_HOUR;
+    const lastCandleAt = entry.activity?.lastCandleAt;
+    const quiet = !lastCandleAt || now / 1000 - lastCandleAt > QUIET_AFTER_SEC;
 
-        // Cleanup expired entries
-        for (const [key, entry] of warmList) {
-            if (now - entry.registeredAt > RETENTION_MS) {
-                warmList.delete(key);
-                console.log(`🔥 [Warmer] Expired: ${entry.params.proposalId.slice(0, 10)}... (${warmList.size} remaining)`);
-            }
+    let factor = phase === 'pre-open' ? 6 : 1;
+    if (phase !== 'pre-open' && quiet && !busy) factor *= 3;
+    if (!watched) factor *= 2;
+    return Math.min(REFRESH_INTERVAL_MS * factor, MAX_INTERVAL_MS);
+}
+
+/**
+ * Set the entry's next refresh. Entries with no interval (closed, and
+ * WARMER_CLOSED_INTERVAL_SEC=0) leave the warm list unless pinned.
+ * @returns {boolean} false when the entry should not be warmed
+ */
+function reschedule(cacheKey, entry, now, { register = true } = {}) {
+    entry.phase = phaseOf(entry.activity, Math.floor(now / 1000));
+    const intervalMs = intervalFor(cacheKey, entry, entry.phase, now) ?? (entry.pinned ? MAX_INTERVAL_MS : null);
+
+    if (intervalMs === null) {
+        if (register && warmList.delete(cacheKey)) {
+            evictions.inc({ reason: 'closed' });
+            schedulePersist();
+            log.info('proposal closed, no longer warmed', { proposalId: entry.params.proposalId, cacheKey, entries: warmList.size });
         }
+        return false;
+    }
+    entry.intervalMs = intervalMs;
+    entry.nextRefreshAt = now + intervalMs;
+    return true;
+}
 
-        if (warmList.size === 0) return;
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
 
-        // Refresh entries whose cache has expired
-        let refreshed = 0;
-        for (const [cacheKey, entry] of warmList) {
-            const cached = responseCache.get(cacheKey);
-            if (cached !== undefined) continue; // Still cached, skip
+let persistTimer = null;
 
-            try {
-                await refreshFn(entry.params);
-                refreshed++;
-            } catch (err) {
-                console.error(`🔥 [Warmer] Error refreshing ${entry.params.proposalId.slice(0, 10)}...: ${err.message}`);
-            }
+/**
+ * Save the warm list shortly after a change; bursts of changes share one write.
+ */
+function schedulePersist() {
+    if (!STATE_FILE || persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        const state = [...warmList].map(([cacheKey, { params, lastSeen, registeredAt, pinned, requests, activity }]) =>
+            ({ cacheKey, params, lastSeen, registeredAt, pinned, requests, activity }));
+        const tmp = `${STATE_FILE}.${process.pid}.tmp`;
+        fs.promises.writeFile(tmp, JSON.stringify(state))
+            .then(() => fs.promises.rename(tmp, STATE_FILE))
+            .catch(err => log.warn('warm list save failed', { file: STATE_FILE, err }));
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref();
+}
+
+/**
+ * Merge the saved warm list into memory. Entries past retention are dropped;
+ * entries registered since startup win over saved ones. Loaded entries are
+ * refreshed right away.
+ */
+function loadWarmList() {
+    if (!STATE_FILE) return;
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') log.warn('warm list load failed', { file: STATE_FILE, err });
+        return;
+    }
+
+    const now = Date.now();
+    let loaded = 0;
+    for (const { cacheKey, params, lastSeen, registeredAt, pinned = false, requests = [], activity = null } of state) {
+        if (warmList.has(cacheKey)) continue;
+        if (!pinned && now - registeredAt > RETENTION_MS) continue;
+        if (!pinned && unpinnedCount() >= WARMER_MAX_ENTRIES) continue;
+        warmList.set(cacheKey, { ...newEntry(params, now, { pinned, activity }), lastSeen, registeredAt, requests });
+        loaded++;
+    }
+    log.info('warm list loaded', { file: STATE_FILE, loaded, entries: warmList.size });
+}
+
+// ============================================================================
+// BACKGROUND REFRESH LOOP
+// ============================================================================
+
+let refreshFn = null;
+let intervalId = null;
+
+async function refreshEntry(cacheKey, entry) {
+    entry.refreshing = true;
+    inFlight++;
+
+    // Each refresh gets its own request ID so its adapter logs can be correlated
+    const refreshDone = refreshDuration.startTimer();
+    const t0 = Date.now();
+    await runWithRequestId(`warmer-${generateRequestId()}`, async () => {
+        try {
+            const activity = await refreshFn(entry.params);
+            if (activity) entry.activity = activity;
+            refreshDone({ result: 'ok' });
+            log.debug('refreshed', { proposalId: entry.params.proposalId, cacheKey, duration_ms: Date.now() - t0 });
+        } catch (err) {
+            refreshDone({ result: 'error' });
+            log.error('refresh failed', { proposalId: entry.params.proposalId, cacheKey, duration_ms: Date.now() - t0, err });
         }
+    });
+
+    entry.refreshing = false;
+    inFlight--;
+    // Removed (admin, eviction) while refreshing — don't bring it back
+    if (warmList.get(cacheKey) !== entry) return;
+
+    const { phase, intervalMs } = entry;
+    if (reschedule(cacheKey, entry, Date.now()) && (phase !== entry.phase || intervalMs !== entry.intervalMs)) {
+        log.info('schedule changed', { proposalId: entry.params.proposalId, cacheKey, phase: entry.phase, intervalSec: entry.intervalMs / 1000 });
+    }
+}
 
-        if (refreshed > 0) {
-            console.log(`🔥 [Warmer] Refreshed ${refreshed}/${warmList.size} entries`);
+/**
+ * One loop tick: expire old entries, then start due refreshes up to WARMER_CONCURRENCY.
+ */
+function tick() {
+    const now = Date.now();
+
+    // Cleanup expired entries
+    for (const [key, entry] of warmList) {
+        if (!entry.pinned && now - entry.registeredAt > RETENTION_MS) {
+            warmList.delete(key);
+            evictions.inc({ reason: 'retention' });
+            schedulePersist();
+            log.info('expired', { proposalId: entry.params.proposalId, cacheKey: key, entries: warmList.size });
         }
-    }, REFRESH_INTERVAL_MS);
+    }
+
+    if (inFlight >= WARMER_CONCURRENCY) return;
 
-    console.log(`🔥 [Warmer] Started — refresh every ${WARMER_INTERVAL_SEC}s, retention ${WARMER_RETENTION_DAYS} days, max ${WARMER_MAX_ENTRIES} entries`);
+    // Most overdue first
+    const due = [...warmList]
+        .filter(([, entry]) => !entry.refreshing && entry.nextRefreshAt <= now)
+        .sort(([, a], [, b]) => a.nextRefreshAt - b.nextRefreshAt)
+        .slice(0, WARMER_CONCURRENCY - inFlight);
+
+    for (const [cacheKey, entry] of due) refreshEntry(cacheKey, entry);
+}
+
+/**
+ * Start the background warmer.
+ * @param {function} fn - Async function(params) that fetches and caches the data.
+ *   May resolve to an activity summary ({ startsAt, closesAt, twapStart, twapEnd, lastCandleAt })
+ *   that drives the entry's refresh interval.
+ */
+export function startWarmer(fn) {
+    refreshFn = fn;
+    loadWarmList();
+
+    intervalId = setInterval(tick, TICK_MS);
+
+    log.info('started', {
+        intervalSec: WARMER_INTERVAL_SEC,
+        maxIntervalSec: MAX_INTERVAL_MS / 1000,
+        closedIntervalSec: WARMER_CLOSED_INTERVAL_SEC,
+        concurrency: WARMER_CONCURRENCY,
+        retentionDays: WARMER_RETENTION_DAYS,
+        maxEntries: WARMER_MAX_ENTRIES,
+    });
 }
 
 export function stopWarmer() {
     if (intervalId) {
         clearInterval(intervalId);
         intervalId = null;
-        console.log('🔥 [Warmer] Stopped');
+        log.info('stopped');
     }
 }
 
 export function getWarmerStatus() {
+    const now = Date.now();
     const entries = [];
     for (const [key, entry] of warmList) {
         entries.push({
             proposalId: entry.params.proposalId.slice(0, 16) + '...',
             lastSeen: new Date(entry.lastSeen).toISOString(),
-            age: Math.round((Date.now() - entry.registeredAt) / 3600000) + 'h',
+            age: Math.round((now - entry.registeredAt) / 3600000) + 'h',
+            pinned: entry.pinned,
+            phase: entry.phase,
+            intervalSec: entry.intervalMs / 1000,
+            nextRefreshInSec: entry.refreshing ? 0 : Math.max(0, Math.round((entry.nextRefreshAt - now) / 1000)),
+            requestsLastHour: entry.requests.filter(t => now - t < 3600 * 1000).length,
         });
     }
     return {
         active: warmList.size,
         maxEntries: WARMER_MAX_ENTRIES,
         refreshIntervalSec: WARMER_INTERVAL_SEC,
+        maxIntervalSec: MAX_INTERVAL_MS / 1000,
+        concurrency: WARMER_CONCURRENCY,
+        inFlight,
         retentionDays: WARMER_RETENTION_DAYS,
         entries,
     };
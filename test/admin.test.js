@@ -0,0 +1,83 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the module loads
+process.env.ADMIN_SECRET = 's3cret';
+
+let admin;
+let caches;
+
+before(async () => {
+    admin = await import('../src/routes/admin.js');
+    caches = await import('../src/utils/cache.js');
+});
+
+function fakeReq({ secret, params = {}, body } = {}) {
+    return { method: 'POST', path: '/admin/test', params, body, get: (name) => name === 'X-Futarchy-Secret' ? secret : undefined };
+}
+
+function fakeRes() {
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+test('requireAdminSecret passes the matching secret through', () => {
+    let called = false;
+    const res = fakeRes();
+    admin.requireAdminSecret(fakeReq({ secret: 's3cret' }), res, () => { called = true; });
+    assert.equal(called, true);
+    assert.equal(res.body, undefined);
+});
+
+test('requireAdminSecret rejects a wrong or missing secret with 401', () => {
+    for (const secret of ['wrong!', 's3cret-longer', undefined]) {
+        let called = false;
+        const res = fakeRes();
+        admin.requireAdminSecret(fakeReq({ secret }), res, () => { called = true; });
+        assert.equal(called, false);
+        assert.equal(res.statusCode, 401);
+        assert.deepEqual(res.body, { error: 'Invalid X-Futarchy-Secret' });
+    }
+});
+
+test('handleSetTtl changes the TTL and validates its input', (t) => {
+    const cache = caches.CACHES.spot;
+    const original = cache.ttlMs;
+    t.after(() => { cache.ttlMs = original; });
+
+    const res = fakeRes();
+    admin.handleSetTtl(fakeReq({ params: { cache: 'spot' }, body: { ttlSec: 42 } }), res);
+    assert.deepEqual(res.body, { cache: 'spot', previousSec: original / 1000, ttlSec: 42 });
+    assert.equal(cache.ttlMs, 42_000);
+
+    const unknown = fakeRes();
+    admin.handleSetTtl(fakeReq({ params: { cache: 'nope' }, body: { ttlSec: 1 } }), unknown);
+    assert.equal(unknown.statusCode, 404);
+
+    const invalid = fakeRes();
+    admin.handleSetTtl(fakeReq({ params: { cache: 'spot' }, body: { ttlSec: -1 } }), invalid);
+    assert.equal(invalid.statusCode, 400);
+});
+
+test('handlePurge drops a ticker from the spot cache and rejects unknown caches', async () => {
+    caches.spotCache.set('GNO', { price: 1 });
+    caches.spotCache.set('GNO:hist:19000', { price: 2 });
+    caches.spotCache.set('SDAI', { price: 3 });
+
+    const res = fakeRes();
+    await admin.handlePurge(fakeReq({ body: { ticker: 'GNO', cache: 'spot' } }), res);
+    assert.deepEqual(res.body, { purged: { spot: 2 } });
+    assert.ok(caches.spotCache.store.has('SDAI'));
+
+    const unknown = fakeRes();
+    await admin.handlePurge(fakeReq({ body: { cache: 'nope' } }), unknown);
+    assert.equal(unknown.statusCode, 400);
+
+    const empty = fakeRes();
+    await admin.handlePurge(fakeReq({ body: {} }), empty);
+    assert.equal(empty.statusCode, 400);
+});
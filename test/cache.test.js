@@ -0,0 +1,104 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Cache, isClosedCandleRange } from '../src/utils/cache.js';
+import { DiskStore } from '../src/utils/disk-store.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Write an entry file the way DiskStore.set() does, synchronously.
+ */
+function writeEntry(store, key, value, time, expiresAt) {
+    fs.writeFileSync(store.fileFor(key).file, JSON.stringify({ key, value, time, expiresAt }));
+}
+
+test('isClosedCandleRange closes non-empty ranges that ended before the margin', () => {
+    const candles = { candles: [{ periodStartUnix: '0', close: '1' }] };
+    const old = now() - 7 * 86400;
+    assert.equal(isClosedCandleRange(`yes:0xpool:0:${old}:1h:v2`, candles), true);
+    assert.equal(isClosedCandleRange(`yes:0xpool:0:${old}:1h:ohlc:v2`, candles), true);
+});
+
+test('isClosedCandleRange keeps live, recent and empty ranges expiring', () => {
+    const candles = { candles: [{ periodStartUnix: '0', close: '1' }] };
+    const old = now() - 7 * 86400;
+    assert.equal(isClosedCandleRange('yes:0xpool:0:live:1h:v2', candles), false);
+    assert.equal(isClosedCandleRange(`yes:0xpool:0:${now()}:1h:v2`, candles), false);
+    assert.equal(isClosedCandleRange(`yes:0xpool:0:${old}:1h:v2`, { candles: [] }), false);
+});
+
+test('a disk hit keeps the entry age of an expiring entry', () => {
+    const disk = new DiskStore(dir, 'test');
+    const written = Date.now() - 900;
+    writeEntry(disk, 'k', 'v', written, written + 1000);
+    const cache = new Cache('test', 1000, { disk: new DiskStore(dir, 'test') });
+
+    assert.equal(cache.get('k'), 'v');
+    assert.equal(cache.store.get('k').time, written);
+});
+
+test('a disk hit on a closed entry starts a fresh memory TTL', () => {
+    const disk = new DiskStore(dir, 'test');
+    writeEntry(disk, 'k', 'v', Date.now() - 60000, null);
+    const cache = new Cache('test', 1000, { disk: new DiskStore(dir, 'test') });
+
+    assert.equal(cache.get('k'), 'v');
+    assert.ok(Date.now() - cache.store.get('k').time < 1000);
+});
+
+test('DiskStore.get ignores expired files', () => {
+    const disk = new DiskStore(dir, 'test');
+    writeEntry(disk, 'k', 'v', Date.now() - 2000, Date.now() - 1000);
+    assert.equal(new DiskStore(dir, 'test').get('k'), undefined);
+});
+
+test('DiskStore.sweep removes expired files, then the oldest beyond maxEntries', async () => {
+    const seed = new DiskStore(dir, 'test');
+    const t = Date.now();
+    writeEntry(seed, 'expired', 1, t - 5000, t - 1000);
+    writeEntry(seed, 'oldest', 2, t - 4000, null);
+    writeEntry(seed, 'older', 3, t - 3000, t + 60000);
+    writeEntry(seed, 'newer', 4, t - 2000, null);
+
+    const disk = new DiskStore(dir, 'test', { maxEntries: 2 });
+    assert.deepEqual(await disk.sweep(), { expired: 1, evicted: 1 });
+    assert.equal(disk.size, 2);
+    assert.equal(disk.get('oldest'), undefined);
+    assert.equal(disk.get('older').value, 3);
+    assert.equal(disk.get('newer').value, 4);
+});
+
+test('getStale serves an expired entry within both maxStale and retainMs', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    const cache = new Cache('test', 1000, { retainMs: 5000 });
+    cache.set('k', 'v');
+
+    t.mock.timers.tick(3000);
+    assert.equal(cache.get('k'), undefined);
+    assert.deepEqual(cache.getStale('k', 10000), { value: 'v', ageMs: 3000 });
+    assert.equal(cache.getStale('k', 1000), undefined);
+
+    t.mock.timers.tick(4000); // past ttl + retainMs
+    assert.equal(cache.getStale('k', 10000), undefined);
+});
+
+test('get drops entries once past the retention window', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    const cache = new Cache('test', 1000, { retainMs: 1000 });
+    cache.set('k', 'v');
+
+    t.mock.timers.tick(1500);
+    assert.equal(cache.get('k'), undefined);
+    assert.equal(cache.store.has('k'), true);
+
+    t.mock.timers.tick(1000);
+    assert.equal(cache.get('k'), undefined);
+    assert.equal(cache.store.has('k'), false);
+});
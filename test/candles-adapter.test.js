@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load
+process.env.FUTARCHY_MODE = 'checkpoint';
+process.env.CANDLES_URL = 'http://candles.test/graphql';
+
+let paginateCandles;
+let fetchCandles;
+
+/**
+ * An in-memory indexer over `count` hourly candles, answering like the
+ * time-cursor page queries. Records each request.
+ */
+function fakeIndexer(count) {
+    const rows = Array.from({ length: count }, (_, i) => ({ time: i * 3600 }));
+    const requests = [];
+    const fetchPage = async (from, first) => {
+        requests.push({ from, first });
+        return rows.filter(r => r.time >= from).slice(0, first);
+    };
+    return { fetchPage, requests };
+}
+
+const cursorOf = (candle) => candle.time;
+
+test('paginateCandles follows the time cursor across pages without overlap', async () => {
+    const { fetchPage, requests } = fakeIndexer(2500);
+    const { candles, truncated } = await paginateCandles(fetchPage, cursorOf, 0, 20000);
+
+    assert.equal(truncated, false);
+    assert.equal(candles.length, 2500);
+    assert.equal(new Set(candles.map(c => c.time)).size, 2500);
+    assert.deepEqual(requests.map(r => r.from), [0, 999 * 3600 + 1, 1999 * 3600 + 1]);
+});
+
+test('paginateCandles is not truncated when the range ends exactly at the cap', async () => {
+    const { fetchPage } = fakeIndexer(2000);
+    const { candles, truncated } = await paginateCandles(fetchPage, cursorOf, 0, 2000);
+
+    assert.equal(truncated, false);
+    assert.equal(candles.length, 2000);
+});
+
+test('paginateCandles is truncated when a candle exists past the cap', async () => {
+    const { fetchPage, requests } = fakeIndexer(2001);
+    const { candles, truncated } = await paginateCandles(fetchPage, cursorOf, 0, 2000);
+
+    assert.equal(truncated, true);
+    assert.equal(candles.length, 2000);
+    assert.equal(candles[candles.length - 1].time, 1999 * 3600);
+    // Never asks for more than one candle past the cap
+    assert.equal(requests[requests.length - 1].first, 1);
+});
+
+test('paginateCandles returns an empty range as one request', async () => {
+    const { fetchPage, requests } = fakeIndexer(0);
+    assert.deepEqual(await paginateCandles(fetchPage, cursorOf, 0, 20000), { candles: [], truncated: false });
+    assert.equal(requests.length, 1);
+});
+
+// ── Activity fields (volume, txCount) ──
+
+const WEI = 10n ** 18n;
+let schemaHasActivity = true;
+const queries = [];
+
+// Checkpoint candles endpoint: 3 hourly candles, rejecting unknown fields like a GraphQL schema would
+function candlesAnswer(query) {
+    queries.push(query);
+    if (!schemaHasActivity && /\btxCount\b/.test(query)) {
+        return { errors: [{ message: 'Cannot query field "txCount" on type "Candle".' }] };
+    }
+    const from = parseInt(query.match(/time_gte: (\d+)/)[1]);
+    const rows = [0, 1, 2].map(i => ({
+        time: String(i * 3600),
+        periodStartUnix: String(i * 3600),
+        close: String(1 + i / 10),
+        ...(/\bopen\b/.test(query) && { open: String(1 + i / 10 - 0.05), high: String(2 + i), low: String(0.5 + i / 10) }),
+        ...(/volumeToken0/.test(query) && { volumeToken0: String(BigInt(i + 1) * WEI), volumeToken1: String(BigInt(2 * (i + 1)) * WEI) }),
+        ...(/txCount/.test(query) && { txCount: String(i * 3) }),
+    })).filter(c => parseInt(c.time) >= from);
+    return { data: { candles: rows } };
+}
+
+const realFetch = globalThis.fetch;
+before(async () => {
+    globalThis.fetch = async (url, { body }) => {
+        assert.equal(url, 'http://candles.test/graphql');
+        const json = candlesAnswer(JSON.parse(body).query);
+        return { ok: true, status: 200, json: async () => json };
+    };
+    ({ paginateCandles, fetchCandles } = await import('../src/adapters/candles-adapter.js'));
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('fetchCandles only asks for activity fields when requested', async () => {
+    queries.length = 0;
+    const { candles } = await fetchCandles('0xpool', 0, 7200, 100);
+    assert.deepEqual(candles[1], { periodStartUnix: '3600', close: '1.1' });
+    assert.doesNotMatch(queries[0], /txCount|volumeToken0/);
+});
+
+test('fetchCandles maps Checkpoint OHLC candles with volumes converted from wei', async () => {
+    queries.length = 0;
+    const { candles } = await fetchCandles('0xpool', 0, 7200, 100, { ohlc: true });
+    assert.match(queries[0], /pool: "100-0xpool"/);
+    assert.deepEqual(candles[1], {
+        periodStartUnix: '3600', open: '1.05', high: '3', low: '0.6', close: '1.1', volumeToken0: '2', volumeToken1: '4',
+    });
+    assert.doesNotMatch(queries[0], /txCount/);
+});
+
+test('fetchCandles returns normalized volume and txCount with activity', async () => {
+    const { candles } = await fetchCandles('0xpool', 0, 7200, 100, { activity: true });
+    assert.deepEqual(candles[1], { periodStartUnix: '3600', close: '1.1', volumeToken0: '2', volumeToken1: '4', txCount: '3' });
+});
+
+test('fetchCandles falls back to plain candles when the schema lacks activity fields, and remembers it', async () => {
+    schemaHasActivity = false;
+    queries.length = 0;
+
+    const { candles } = await fetchCandles('0xpool', 3600, 7200, 100, { activity: true });
+    assert.deepEqual(candles, [{ periodStartUnix: '3600', close: '1.1' }, { periodStartUnix: '7200', close: '1.2' }]);
+    assert.equal(queries.length, 2);
+    assert.match(queries[0], /txCount/);
+    assert.doesNotMatch(queries[1], /txCount/);
+
+    // The endpoint is not asked for them again
+    queries.length = 0;
+    await fetchCandles('0xpool', 7200, 7200, 100, { activity: true });
+    assert.equal(queries.length, 1);
+    assert.doesNotMatch(queries[0], /txCount/);
+});
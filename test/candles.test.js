@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateCandles, forwardFillCandles, toSpotCandle } from '../src/utils/candles.js';
+import { convertSpotCandles } from '../src/routes/graphql-proxy.js';
+
+const HOUR = 3600;
+const DAY = 86400;
+
+test('aggregateCandles keeps the last close per bucket, stamped at the bucket start', () => {
+    const candles = [
+        { periodStartUnix: String(DAY), close: '1' },
+        { periodStartUnix: String(DAY + HOUR), close: '2' },
+        { periodStartUnix: String(DAY + 5 * HOUR), close: '3' },
+    ];
+    assert.deepEqual(aggregateCandles(candles, 4 * HOUR), [
+        { periodStartUnix: String(DAY), close: '2' },
+        { periodStartUnix: String(DAY + 4 * HOUR), close: '3' },
+    ]);
+});
+
+test('aggregateCandles takes the first open, the extremes and summed activity', () => {
+    const candles = [
+        { periodStartUnix: '0', open: '5', high: '6', low: '4', close: '5.5', volumeToken0: '1', volumeToken1: '10', txCount: '2' },
+        { periodStartUnix: String(HOUR), open: '5.5', high: '9', low: '5', close: '8', volumeToken0: '2', volumeToken1: '20', txCount: '3' },
+        { periodStartUnix: String(2 * HOUR), open: '8', high: '8', low: '3', close: '7', volumeToken0: '0.5', volumeToken1: '5', txCount: '1' },
+    ];
+    assert.deepEqual(aggregateCandles(candles, DAY), [{
+        periodStartUnix: '0',
+        open: '5',
+        high: '9',
+        low: '3',
+        close: '7',
+        volumeToken0: '3.5',
+        volumeToken1: '35',
+        txCount: '6',
+    }]);
+});
+
+test('aggregateCandles keeps earlier extremes when later candles stay inside them', () => {
+    const candles = [
+        { periodStartUnix: '0', open: '5', high: '10', low: '1', close: '6' },
+        { periodStartUnix: String(HOUR), open: '6', high: '7', low: '5', close: '7' },
+    ];
+    assert.deepEqual(aggregateCandles(candles, DAY), [
+        { periodStartUnix: '0', open: '5', high: '10', low: '1', close: '7' },
+    ]);
+});
+
+test('aggregateCandles does not mutate its input', () => {
+    const candles = [
+        { periodStartUnix: '0', close: '1', volumeToken0: '1' },
+        { periodStartUnix: String(HOUR), close: '2', volumeToken0: '1' },
+    ];
+    aggregateCandles(candles, DAY);
+    assert.equal(candles[0].close, '1');
+    assert.equal(candles[0].volumeToken0, '1');
+});
+
+test('aggregateCandles passes empty input through', () => {
+    assert.deepEqual(aggregateCandles([], DAY), []);
+});
+
+test('forwardFillCandles fills gaps and the tail with the last close', () => {
+    const candles = [
+        { periodStartUnix: '0', close: '1' },
+        { periodStartUnix: String(3 * HOUR), close: '2' },
+    ];
+    assert.deepEqual(forwardFillCandles(candles, 4 * HOUR), [
+        { periodStartUnix: '0', close: '1' },
+        { periodStartUnix: String(HOUR), close: '1' },
+        { periodStartUnix: String(2 * HOUR), close: '1' },
+        { periodStartUnix: String(3 * HOUR), close: '2' },
+        { periodStartUnix: String(4 * HOUR), close: '2' },
+    ]);
+});
+
+test('forwardFillCandles fills OHLC gaps with flat candles at the previous close', () => {
+    const candles = [
+        { periodStartUnix: '0', open: '1', high: '3', low: '1', close: '2' },
+        { periodStartUnix: String(2 * DAY), open: '2', high: '2', low: '2', close: '2' },
+    ];
+    assert.deepEqual(forwardFillCandles(candles, 2 * DAY, DAY)[1], {
+        periodStartUnix: String(DAY), open: '2', high: '2', low: '2', close: '2',
+    });
+});
+
+test('forwardFillCandles never fills past now', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const start = now - (now % HOUR) - 2 * HOUR;
+    const filled = forwardFillCandles([{ periodStartUnix: String(start), close: '1' }], now + 10 * HOUR);
+    assert.equal(filled.length, 3);
+});
+
+test('toSpotCandle builds a flat OHLC candle from a close-only spot candle', () => {
+    assert.deepEqual(toSpotCandle({ time: HOUR, value: 4 }, 2, true), {
+        periodStartUnix: String(HOUR), open: '2', high: '2', low: '2', close: '2',
+    });
+    assert.deepEqual(toSpotCandle({ time: HOUR, value: 4, open: 3, high: 6, low: 2 }, 2, true), {
+        periodStartUnix: String(HOUR), open: '1.5', high: '3', low: '1', close: '2',
+    });
+    assert.deepEqual(toSpotCandle({ time: HOUR, value: 4, open: 3, high: 6, low: 2 }), { periodStartUnix: String(HOUR), close: '4' });
+});
+
+test('convertSpotCandles keeps the requested range, close-only unless OHLC is asked for', () => {
+    const spotData = { candles: [{ time: 0, value: 1 }, { time: HOUR, value: 2 }, { time: 2 * HOUR, value: 3 }] };
+    assert.deepEqual(convertSpotCandles(spotData, HOUR, 2 * HOUR), [
+        { periodStartUnix: String(HOUR), close: '2' },
+        { periodStartUnix: String(2 * HOUR), close: '3' },
+    ]);
+    assert.deepEqual(convertSpotCandles(spotData, HOUR, HOUR, 1, true), [
+        { periodStartUnix: String(HOUR), open: '2', high: '2', low: '2', close: '2' },
+    ]);
+    assert.deepEqual(convertSpotCandles(null, 0, HOUR), []);
+});
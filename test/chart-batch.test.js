@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleChartBatchRequest } from '../src/routes/chart-batch.js';
+
+const PROPOSAL = '0x' + '12'.repeat(20);
+
+async function post(body) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; },
+        json(body) { this.body = body; return this; },
+    };
+    await handleChartBatchRequest({ body }, res);
+    return res;
+}
+
+test('handleChartBatchRequest rejects malformed batches', async () => {
+    for (const body of [undefined, {}, { charts: [] }, { charts: 'x' }]) {
+        const res = await post(body);
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /non-empty array/);
+    }
+
+    const tooMany = await post({ charts: Array.from({ length: 51 }, () => ({ proposalId: PROPOSAL })) });
+    assert.equal(tooMany.statusCode, 400);
+    assert.match(tooMany.body.error, /At most 50/);
+
+    const missing = await post({ charts: [{ proposalId: PROPOSAL }, { resolution: '1h' }] });
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.error, 'charts[1]: proposalId required');
+});
+
+test('handleChartBatchRequest reports invalid chart params per item', async () => {
+    const res = await post({ charts: [
+        { proposalId: PROPOSAL, resolution: '7m' },
+        { proposalId: PROPOSAL, resolution: '2h' },
+    ] });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results.length, 2);
+    for (const [i, resolution] of ['7m', '2h'].entries()) {
+        const result = res.body.results[i];
+        assert.equal(result.proposalId, PROPOSAL);
+        assert.equal(result.status, 400);
+        assert.match(result.error, new RegExp(`Invalid resolution "${resolution}"`));
+    }
+});
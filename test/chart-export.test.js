@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRows, toCsv } from '../src/routes/chart-export.js';
+
+const HOUR = 3600;
+const candle = (t, close, activity = {}) => ({ periodStartUnix: String(t), close: String(close), ...activity });
+const chart = ({ yes, no, spot = [] }) => ({ market: { timeline: { resolution_sec: HOUR } }, candles: { yes, no, spot } });
+
+test('buildRows aligns the series and forward-fills closes with zero activity', () => {
+    const body = chart({
+        yes: [candle(0, 1.2, { volume: 10, trades: 2 }), candle(2 * HOUR, 1.5, { volume: 5, trades: 1 })],
+        no: [candle(HOUR, 1, { volume: 3, trades: 1 })],
+        spot: [candle(0, 100)],
+    });
+    const rows = buildRows(body, 2 * HOUR, t => (t < HOUR ? 1 : 1.1));
+
+    assert.deepEqual(rows, [
+        { timestamp: 0, yes_close: 1.2, no_close: null, spot_close: 100, currency_rate: 1, yes_volume: 10, no_volume: null, yes_trades: 2, no_trades: null },
+        { timestamp: HOUR, yes_close: 1.2, no_close: 1, spot_close: 100, currency_rate: 1.1, yes_volume: 0, no_volume: 3, yes_trades: 0, no_trades: 1 },
+        { timestamp: 2 * HOUR, yes_close: 1.5, no_close: 1, spot_close: 100, currency_rate: 1.1, yes_volume: 5, no_volume: 0, yes_trades: 1, no_trades: 0 },
+    ]);
+});
+
+test('buildRows leaves activity empty when the indexer has no activity fields', () => {
+    const body = chart({
+        yes: [candle(0, 1, { volume: null, trades: null })],
+        no: [candle(0, 2, { volume: null, trades: null })],
+    });
+    const [row] = buildRows(body, 0, null);
+    assert.equal(row.currency_rate, null);
+    assert.equal(row.yes_volume, null);
+    assert.equal(row.no_trades, null);
+    assert.equal(toCsv([row]), 'timestamp,yes_close,no_close,spot_close,currency_rate,yes_volume,no_volume,yes_trades,no_trades\n0,1,2,,,,,,\n');
+});
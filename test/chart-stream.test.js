@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSeries, diffChart } from '../src/routes/chart-stream.js';
+
+const candle = (periodStartUnix, close) => ({ periodStartUnix: String(periodStartUnix), close: String(close) });
+
+test('diffSeries sends the whole series when there was none', () => {
+    const next = [candle(0, 1), candle(3600, 2)];
+    assert.deepEqual(diffSeries([], next), next);
+    assert.deepEqual(diffSeries(undefined, next), next);
+});
+
+test('diffSeries sends an updated open candle and new candles', () => {
+    const prev = [candle(0, 1), candle(3600, 2)];
+    const next = [candle(0, 1), candle(3600, 2.5), candle(7200, 3)];
+    assert.deepEqual(diffSeries(prev, next), [candle(3600, 2.5), candle(7200, 3)]);
+});
+
+test('diffSeries sends nothing for an unchanged series', () => {
+    const prev = [candle(0, 1), candle(3600, 2)];
+    assert.deepEqual(diffSeries(prev, prev.map(c => ({ ...c }))), []);
+});
+
+test('diffSeries ignores changes to candles before the previous last one', () => {
+    const prev = [candle(0, 1), candle(3600, 2)];
+    assert.deepEqual(diffSeries(prev, [candle(0, 9), candle(3600, 2)]), []);
+});
+
+test('diffChart returns null when nothing moved', () => {
+    const chart = {
+        market: { conditional_yes: { price_usd: 1 }, volume: { yes: '1' } },
+        candles: { yes: [candle(0, 1)], no: [candle(0, 2)], spot: [] },
+    };
+    assert.equal(diffChart(chart, structuredClone(chart)), null);
+});
+
+test('diffChart carries market only when prices or volume moved', () => {
+    const prev = { market: { conditional_yes: { price_usd: 1 } }, candles: { yes: [candle(0, 1)] } };
+    const next = { market: { conditional_yes: { price_usd: 1.1 } }, candles: { yes: [candle(0, 1)] } };
+    assert.deepEqual(diffChart(prev, next), { market: next.market, candles: { yes: [] } });
+});
+
+test('diffChart diffs derived series and keeps unavailable ones null', () => {
+    const prev = { market: {}, candles: {}, derived: { spread: [{ periodStartUnix: '0', value: 1 }], impact: null } };
+    const next = { market: {}, candles: {}, derived: { spread: [{ periodStartUnix: '0', value: 1 }, { periodStartUnix: '3600', value: 2 }], impact: null } };
+    assert.deepEqual(diffChart(prev, next).derived, { spread: [{ periodStartUnix: '3600', value: 2 }], impact: null });
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The routing table comes from ENDPOINTS_FILE, read when config/endpoints.js loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'endpoints-test-'));
+const file = path.join(dir, 'endpoints.json');
+process.env.ENDPOINTS_FILE = file;
+
+let router;
+let reloadEndpoints;
+
+function writeTable(candles) {
+    fs.writeFileSync(file, JSON.stringify({
+        registry: [{ url: 'http://registry.test', mode: 'checkpoint' }],
+        candles,
+    }));
+}
+
+/**
+ * Route `candles` to the given endpoints.
+ */
+function useCandles(endpoints) {
+    writeTable(endpoints);
+    reloadEndpoints();
+}
+
+before(async () => {
+    writeTable([{ url: 'http://candles.test', mode: 'checkpoint' }]);
+    ({ reloadEndpoints } = await import('../src/config/endpoints.js'));
+    router = await import('../src/services/endpoint-router.js');
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const urls = (endpoints) => endpoints.map(ep => ep.url);
+
+test('orderEndpoints picks the first endpoint by weight, then the rest, then standbys', (t) => {
+    useCandles([
+        { url: 'http://a.test', mode: 'checkpoint', weight: 3 },
+        { url: 'http://b.test', mode: 'checkpoint', weight: 1 },
+        { url: 'http://c.test', mode: 'checkpoint', weight: 0 },
+    ]);
+
+    t.mock.method(Math, 'random', () => 0.5); // 2 of 4 → a
+    assert.deepEqual(urls(router.orderEndpoints('candles')), ['http://a.test', 'http://b.test', 'http://c.test']);
+
+    Math.random.mock.mockImplementation(() => 0.8); // 3.2 of 4 → b
+    assert.deepEqual(urls(router.orderEndpoints('candles')), ['http://b.test', 'http://a.test', 'http://c.test']);
+});
+
+test('orderEndpoints without randomness puts the highest weight first', () => {
+    useCandles([
+        { url: 'http://d.test', mode: 'checkpoint', weight: 1 },
+        { url: 'http://e.test', mode: 'graph_node', weight: 2 },
+    ]);
+    assert.equal(router.preferredEndpoint('candles').url, 'http://e.test');
+    assert.deepEqual(urls(router.orderEndpoints('candles', { mode: 'checkpoint' })), ['http://d.test']);
+});
+
+test('routeRequest fails over and backs off the failed endpoint', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    useCandles([
+        { url: 'http://f.test', mode: 'checkpoint', weight: 1 },
+        { url: 'http://g.test', mode: 'checkpoint', weight: 0 },
+    ]);
+
+    const tried = [];
+    const failOnF = async ({ url }) => {
+        tried.push(url);
+        if (url === 'http://f.test') throw new Error('ECONNREFUSED');
+        return url;
+    };
+
+    assert.equal(await router.routeRequest('candles', failOnF), 'http://g.test');
+    assert.deepEqual(tried, ['http://f.test', 'http://g.test']);
+    assert.equal(router.getRouterHealth()['http://f.test'].up, false);
+    // Backing off: tried last until the 5s back-off ends
+    assert.deepEqual(urls(router.orderEndpoints('candles')), ['http://g.test', 'http://f.test']);
+
+    t.mock.timers.tick(5000);
+    assert.equal(router.preferredEndpoint('candles').url, 'http://f.test');
+
+    // Second failure doubles the back-off
+    await router.routeRequest('candles', failOnF);
+    t.mock.timers.tick(5000);
+    assert.equal(router.preferredEndpoint('candles').url, 'http://g.test');
+    t.mock.timers.tick(5000);
+    assert.equal(router.preferredEndpoint('candles').url, 'http://f.test');
+});
+
+test('routeRequest moves on after a GraphQL error without backing off', async () => {
+    useCandles([
+        { url: 'http://h.test', mode: 'checkpoint', weight: 1 },
+        { url: 'http://i.test', mode: 'checkpoint', weight: 0 },
+    ]);
+
+    const result = await router.routeRequest('candles', async ({ url }) => {
+        if (url === 'http://h.test') throw new router.GraphQLError('bad field');
+        return url;
+    });
+    assert.equal(result, 'http://i.test');
+    assert.equal(router.getRouterHealth()['http://h.test'].up, true);
+    assert.equal(router.preferredEndpoint('candles').url, 'http://h.test');
+});
+
+test('routeRequest throws the last error when every endpoint fails', async () => {
+    useCandles([{ url: 'http://j.test', mode: 'checkpoint', weight: 1 }]);
+    await assert.rejects(
+        router.routeRequest('candles', async () => { throw new router.GraphQLError('nope'); }),
+        { name: 'GraphQLError', message: 'GraphQL: nope' }
+    );
+});
@@ -0,0 +1,22 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleGraphQLRequest } from '../src/routes/graphql-proxy.js';
+
+const realFetch = globalThis.fetch;
+after(() => { globalThis.fetch = realFetch; });
+
+test('handleGraphQLRequest rejects a ticker on an unknown network before any upstream call', async () => {
+    let fetched = 0;
+    globalThis.fetch = async () => { fetched++; throw new Error('no network in tests'); };
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+
+    await handleGraphQLRequest({ body: { query: '{ yesCandles { close } }', variables: { poolTicker: 'GNO::0x89c80a/sDAI-hour-500-moon' } } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.errors[0].message, /Unknown network "moon"/);
+    assert.equal(fetched, 0);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load
+process.env.RPC_URLS_100 = 'http://rpc.test';
+process.env.REGISTRY_URL = 'http://registry.test/graphql';
+process.env.CANDLES_URL = 'http://candles.test/graphql';
+process.env.INDEXER_CHAIN_ID = '100';
+
+let health;
+
+const HEAD = 1_000_000;
+const BLOCK_SEC = 5;
+// Last indexed block per indexer URL
+const indexed = { 'http://registry.test/graphql': HEAD - 2, 'http://candles.test/graphql': HEAD - 1000 };
+
+function rpcAnswer({ id, params: [tag] }) {
+    const n = tag === 'latest' ? HEAD : parseInt(tag, 16);
+    return { jsonrpc: '2.0', id, result: { number: '0x' + n.toString(16), timestamp: '0x' + (n * BLOCK_SEC).toString(16) } };
+}
+
+const realFetch = globalThis.fetch;
+before(async () => {
+    globalThis.fetch = async (url, { body }) => {
+        const request = JSON.parse(body);
+        const json = url === 'http://rpc.test'
+            ? rpcAnswer(request)
+            : { data: { _metadatas: [{ id: 'last_indexed_block', value: String(indexed[url]) }] } };
+        return { ok: true, status: 200, json: async () => json };
+    };
+    health = await import('../src/services/indexer-health.js');
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('checkpointIndexedBlock reads the single last_indexed_block entry', () => {
+    assert.equal(health.checkpointIndexedBlock([{ id: 'last_indexed_block', value: '42' }, { id: 'other', value: '1' }]), 42);
+});
+
+test('checkpointIndexedBlock picks the configured chain among prefixed entries', () => {
+    const metadatas = [
+        { id: 'mainnet.last_indexed_block', value: '900' },
+        { id: 'gnosis.last_indexed_block', value: '500' },
+    ];
+    assert.equal(health.checkpointIndexedBlock(metadatas), 500);
+    assert.equal(health.checkpointIndexedBlock([
+        { id: '1_last_indexed_block', value: '900' },
+        { id: '100_last_indexed_block', value: '700' },
+    ]), 700);
+});
+
+test('checkpointIndexedBlock falls back to the slowest indexer without a recognisable prefix', () => {
+    assert.equal(health.checkpointIndexedBlock([
+        { id: 'a.last_indexed_block', value: '900' },
+        { id: 'b.last_indexed_block', value: '300' },
+    ]), 300);
+});
+
+test('checkpointIndexedBlock throws without any entry', () => {
+    assert.throws(() => health.checkpointIndexedBlock([]), /No last_indexed_block/);
+});
+
+test('checkIndexers measures lag against the chain head and flags stalled endpoints', async () => {
+    await health.checkIndexers();
+
+    const registry = health.getIndexerLag('registry');
+    assert.equal(registry.lag_blocks, 2);
+    assert.equal(registry.lag_seconds, 2 * BLOCK_SEC);
+    assert.equal(registry.stalled, false);
+    assert.ok(registry.checked_at);
+
+    const candles = health.getIndexerLag('candles');
+    assert.equal(candles.lag_blocks, 1000);
+    assert.equal(candles.lag_seconds, 1000 * BLOCK_SEC);
+    assert.equal(candles.stalled, true);
+    assert.equal(health.isIndexerStalled(), true);
+});
@@ -0,0 +1,45 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCandles } from '../lib/index.js';
+
+const HOUR = 3600;
+const requests = [];
+
+// Algebra candles subgraph with one candle per hour from 0 to `count` hours, honouring the query variables
+function subgraph(count) {
+    const rows = Array.from({ length: count }, (_, i) => ({ periodStartUnix: String(i * HOUR), close: '1' }));
+    return async (url, { body }) => {
+        const { variables } = JSON.parse(body);
+        requests.push(variables);
+        const min = parseInt(variables.minTimestamp);
+        const max = parseInt(variables.maxTimestamp);
+        const candles = rows.filter(c => parseInt(c.periodStartUnix) >= min && parseInt(c.periodStartUnix) <= max).slice(0, variables.first);
+        return { json: async () => ({ data: { candles } }) };
+    };
+}
+
+const realFetch = globalThis.fetch;
+after(() => { globalThis.fetch = realFetch; });
+
+test('getCandles is not truncated when the range holds exactly maxCandles candles', async () => {
+    globalThis.fetch = subgraph(1500);
+    const { yesCandles, meta } = await getCandles({ yesPoolId: '0xyes', noPoolId: '0xno', minTimestamp: 0, maxTimestamp: 1499 * HOUR, forwardFill: false, maxCandles: 1500 });
+    assert.equal(meta.truncated, false);
+    assert.equal(yesCandles.length, 1500);
+});
+
+test('getCandles is truncated when a candle exists past the cap', async () => {
+    globalThis.fetch = subgraph(1501);
+    const { yesCandles, meta } = await getCandles({ yesPoolId: '0xyes', noPoolId: '0xno', minTimestamp: 0, maxTimestamp: 1500 * HOUR, forwardFill: false, maxCandles: 1500 });
+    assert.equal(meta.truncated, true);
+    assert.equal(yesCandles.length, 1500);
+});
+
+test('getCandles only queries up to maxTimestamp, so later candles do not count towards the cap', async () => {
+    globalThis.fetch = subgraph(3000);
+    requests.length = 0;
+    const { yesCandles, meta } = await getCandles({ yesPoolId: '0xyes', noPoolId: '0xno', minTimestamp: 0, maxTimestamp: 999 * HOUR, forwardFill: false, maxCandles: 1000 });
+    assert.equal(meta.truncated, false);
+    assert.equal(yesCandles.length, 1000);
+    assert.ok(requests.every(v => v.maxTimestamp === String(999 * HOUR)));
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, resolveRequestId, runWithRequestId, getRequestId } from '../src/utils/logger.js';
+
+/**
+ * Collect the log lines written to `stream` until the returned stop() is called.
+ * Anything else (the test runner's own output) passes through.
+ */
+function collect(t, stream) {
+    const lines = [];
+    const original = stream.write;
+    t.mock.method(stream, 'write', function (chunk, ...args) {
+        if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+            lines.push(JSON.parse(chunk));
+            return true;
+        }
+        return original.call(this, chunk, ...args);
+    });
+    return { lines, stop: () => stream.write.mock.restore() };
+}
+
+function capture(t, stream, fn) {
+    const { lines, stop } = collect(t, stream);
+    fn();
+    stop();
+    return lines;
+}
+
+test('log lines are JSON with module, message and fields', (t) => {
+    const log = createLogger('test-module');
+    const [line] = capture(t, process.stdout, () => log.info('hello', { count: 2 }));
+
+    assert.equal(line.level, 'info');
+    assert.equal(line.module, 'test-module');
+    assert.equal(line.msg, 'hello');
+    assert.equal(line.count, 2);
+    assert.equal(line.requestId, null);
+    assert.ok(!isNaN(Date.parse(line.time)));
+});
+
+test('warnings and errors go to stderr with errors reduced to their message', (t) => {
+    const log = createLogger('test-module');
+    const [line] = capture(t, process.stderr, () => log.error('failed', { err: new Error('boom') }));
+    assert.equal(line.level, 'error');
+    assert.equal(typeof line.err === 'string' ? line.err : line.err.message, 'boom');
+});
+
+test('lines written inside runWithRequestId carry the request ID, across awaits', async (t) => {
+    const log = createLogger('test-module');
+    const { lines, stop } = collect(t, process.stdout);
+
+    await runWithRequestId('req-1', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        log.info('inside');
+    });
+    log.info('outside');
+    stop();
+
+    assert.deepEqual(lines.map(l => [l.msg, l.requestId]), [['inside', 'req-1'], ['outside', null]]);
+    assert.equal(getRequestId(), null);
+});
+
+test('resolveRequestId keeps valid incoming IDs and replaces the rest', () => {
+    assert.equal(resolveRequestId('abc-123_x.y:z'), 'abc-123_x.y:z');
+    for (const bad of [undefined, '', 'has space', 'x'.repeat(129), 'inject\n{"level":"error"}']) {
+        const id = resolveRequestId(bad);
+        assert.notEqual(id, bad);
+        assert.match(id, /^[0-9a-f-]{36}$/);
+    }
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Histogram, CollectedMetric, trackUpstream, renderMetrics } from '../src/utils/metrics.js';
+
+test('Counter sums increments per label set', () => {
+    const counter = new Counter('test_requests_total', 'Requests', ['route']);
+    counter.inc({ route: '/a' });
+    counter.inc({ route: '/a' }, 2);
+    counter.inc({ route: '/b' });
+    assert.deepEqual(counter.render(), ['test_requests_total{route="/a"} 3', 'test_requests_total{route="/b"} 1']);
+});
+
+test('Counter escapes label values', () => {
+    const counter = new Counter('test_escape_total', 'Escapes', ['value']);
+    counter.inc({ value: 'a"b\\c\nd' });
+    assert.deepEqual(counter.render(), ['test_escape_total{value="a\\"b\\\\c\\nd"} 1']);
+});
+
+test('Histogram renders cumulative buckets, sum and count', () => {
+    const histogram = new Histogram('test_duration_seconds', 'Duration', ['target'], [0.1, 1]);
+    histogram.observe({ target: 'x' }, 0.05);
+    histogram.observe({ target: 'x' }, 0.5);
+    histogram.observe({ target: 'x' }, 2);
+    assert.deepEqual(histogram.render(), [
+        'test_duration_seconds_bucket{target="x",le="0.1"} 1',
+        'test_duration_seconds_bucket{target="x",le="1"} 2',
+        'test_duration_seconds_bucket{target="x",le="+Inf"} 3',
+        'test_duration_seconds_sum{target="x"} 2.55',
+        'test_duration_seconds_count{target="x"} 3',
+    ]);
+});
+
+test('CollectedMetric reads its samples at render time', () => {
+    let size = 1;
+    const gauge = new CollectedMetric('test_entries', 'Entries', 'gauge', ['cache'], () => [{ labels: { cache: 'c' }, value: size }]);
+    size = 7;
+    assert.deepEqual(gauge.render(), ['test_entries{cache="c"} 7']);
+});
+
+test('trackUpstream counts errors from throws and from flagged results', async () => {
+    await trackUpstream('test-target', async () => 'ok');
+    await trackUpstream('test-target', async () => ({ status: 500 }), r => r.status >= 500);
+    await assert.rejects(trackUpstream('test-target', async () => { throw new Error('down'); }));
+
+    const text = renderMetrics();
+    assert.match(text, /^futarchy_upstream_requests_total\{target="test-target"\} 3$/m);
+    assert.match(text, /^futarchy_upstream_errors_total\{target="test-target"\} 2$/m);
+    assert.match(text, /^futarchy_upstream_request_duration_seconds_count\{target="test-target"\} 3$/m);
+});
+
+test('renderMetrics writes HELP and TYPE for every metric', () => {
+    new Counter('test_rendered_total', 'Rendered things');
+    const text = renderMetrics();
+    assert.match(text, /# HELP test_rendered_total Rendered things\n# TYPE test_rendered_total counter\n/);
+    assert.ok(text.endsWith('\n'));
+});
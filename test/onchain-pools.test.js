@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interface, ZeroAddress } from 'ethers';
+
+// One RPC URL, one eth_call per request — read when the modules load
+process.env.RPC_URLS_100 = 'http://rpc.test';
+process.env.RPC_BATCH_WINDOW_MS = '0';
+
+let priceFromSqrt;
+let withOnchainFallback;
+let fetchPoolsOnchain;
+let getChain;
+
+const Q96 = 2n ** 96n;
+
+test('priceFromSqrt squares the Q96 ratio into token1 per token0', () => {
+    assert.equal(priceFromSqrt(Q96, false), 1);
+    assert.equal(priceFromSqrt(2n * Q96, false), 4);
+    assert.equal(priceFromSqrt(Q96 / 2n, false), 0.25);
+});
+
+test('priceFromSqrt inverts when the company token is token1', () => {
+    assert.equal(priceFromSqrt(2n * Q96, true), 0.25);
+});
+
+test('priceFromSqrt gives 0 for an uninitialized pool', () => {
+    assert.equal(priceFromSqrt(0n, false), 0);
+    assert.equal(priceFromSqrt(0n, true), 0);
+});
+
+// Chain 1 has no Algebra factory, so the on-chain path fails without network calls
+
+test('withOnchainFallback returns indexed pools when there are any', async () => {
+    const pools = [{ id: '0xpool' }];
+    assert.equal(await withOnchainFallback(async () => pools, '0xproposal', 1), pools);
+});
+
+test('withOnchainFallback rethrows the indexer error when on-chain fails too', async () => {
+    await assert.rejects(
+        withOnchainFallback(async () => { throw new Error('indexer down'); }, '0xproposal', 1),
+        /indexer down/
+    );
+});
+
+test('withOnchainFallback returns no pools when neither source has any', async () => {
+    assert.deepEqual(await withOnchainFallback(async () => [], '0xproposal', 1), []);
+});
+
+// ── Discovery against a mocked chain ──
+
+const proposalIface = new Interface([
+    'function wrappedOutcome(uint256 index) view returns (address wrapped1155, bytes data)',
+    'function marketName() view returns (string)',
+]);
+const factoryIface = new Interface(['function poolByPair(address tokenA, address tokenB) view returns (address pool)']);
+const poolIface = new Interface(['function globalState() view returns (uint160 price, int24 tick)']);
+
+const PROPOSAL = '0x' + 'aa'.repeat(20);
+const outcomeToken = (i) => '0x' + String(i + 1).repeat(40);
+const YES_POOL = '0x' + 'b1'.repeat(20);
+const NO_POOL = '0x' + 'b2'.repeat(20);
+let poolsCreated = false;
+
+function answer({ id, params: [{ to, data }] }) {
+    const result = (iface, fn, values) => ({ jsonrpc: '2.0', id, result: iface.encodeFunctionResult(fn, values) });
+    if (to.toLowerCase() === PROPOSAL) {
+        const call = proposalIface.parseTransaction({ data });
+        return call.name === 'marketName'
+            ? result(proposalIface, 'marketName', ['Test market'])
+            : result(proposalIface, 'wrappedOutcome', [outcomeToken(Number(call.args[0])), '0x']);
+    }
+    if (to.toLowerCase() === getChain(100).algebraFactory.toLowerCase()) {
+        const [company] = factoryIface.parseTransaction({ data }).args;
+        const pool = company.toLowerCase() === outcomeToken(0) ? YES_POOL : NO_POOL;
+        return result(factoryIface, 'poolByPair', [poolsCreated ? pool : ZeroAddress]);
+    }
+    return result(poolIface, 'globalState', [2n * Q96, 0]);
+}
+
+const realFetch = globalThis.fetch;
+before(async () => {
+    globalThis.fetch = async (url, { body }) => ({ ok: true, status: 200, json: async () => answer(JSON.parse(body)) });
+    ({ priceFromSqrt, withOnchainFallback, fetchPoolsOnchain } = await import('../src/services/onchain-pools.js'));
+    ({ getChain } = await import('../src/config/chains.js'));
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('fetchPoolsOnchain looks a proposal up again until its pools exist', async () => {
+    poolsCreated = false;
+    assert.deepEqual(await fetchPoolsOnchain(PROPOSAL, 100), []);
+
+    poolsCreated = true;
+    const pools = await fetchPoolsOnchain(PROPOSAL, 100);
+    assert.deepEqual(pools.map(p => [p.outcomeSide, p.id, p.source]), [['YES', YES_POOL, 'onchain'], ['NO', NO_POOL, 'onchain']]);
+    assert.equal(pools[0].proposal.marketName, 'Test market');
+    // Company outcome token sorts first here: token0, price not inverted
+    assert.equal(pools[0].isInverted, false);
+    assert.equal(pools[0].price, '4');
+});
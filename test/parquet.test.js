@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeParquet } from '../src/utils/parquet.js';
+
+// ── Minimal reader: Thrift compact structs plus PLAIN / RLE-levels data pages ──
+
+function reader(buf, pos) {
+    const r = {
+        pos,
+        byte: () => buf[r.pos++],
+        varint() {
+            let result = 0n;
+            let shift = 0n;
+            let b;
+            do {
+                b = r.byte();
+                result |= BigInt(b & 0x7f) << shift;
+                shift += 7n;
+            } while (b & 0x80);
+            return result;
+        },
+        zigzag() {
+            const v = r.varint();
+            return Number((v >> 1n) ^ -(v & 1n));
+        },
+        value(type) {
+            switch (type) {
+                case 5: case 6: return r.zigzag();
+                case 8: {
+                    const length = Number(r.varint());
+                    const s = buf.toString('utf8', r.pos, r.pos + length);
+                    r.pos += length;
+                    return s;
+                }
+                case 9: {
+                    const header = r.byte();
+                    const size = header >> 4 === 15 ? Number(r.varint()) : header >> 4;
+                    return Array.from({ length: size }, () => r.value(header & 0x0f));
+                }
+                case 12: return r.struct();
+            }
+            throw new Error(`unexpected thrift type ${type}`);
+        },
+        struct() {
+            const fields = {};
+            let id = 0;
+            for (let header = r.byte(); header !== 0; header = r.byte()) {
+                id = header >> 4 ? id + (header >> 4) : r.zigzag();
+                fields[id] = r.value(header & 0x0f);
+            }
+            return fields;
+        },
+    };
+    return r;
+}
+
+function readParquet(buf) {
+    assert.equal(buf.toString('ascii', 0, 4), 'PAR1');
+    assert.equal(buf.toString('ascii', buf.length - 4), 'PAR1');
+    const footerLength = buf.readUInt32LE(buf.length - 8);
+    const meta = reader(buf, buf.length - 8 - footerLength).struct();
+
+    const [, ...fields] = meta[2];
+    const chunks = meta[4][0]?.[1] || [];
+    const columns = fields.map((field, i) => {
+        if (!chunks[i]) return { name: field[4], values: [] };
+        const page = reader(buf, chunks[i][3][9]);
+        const header = page.struct();
+        const numValues = header[5][1];
+        let defined = Array(numValues).fill(true);
+        if (field[3] === 1) {
+            const end = page.pos + 4 + buf.readUInt32LE(page.pos);
+            page.pos += 4;
+            defined = [];
+            while (page.pos < end) {
+                const run = Number(page.varint()) >> 1;
+                const level = page.byte();
+                for (let k = 0; k < run; k++) defined.push(level === 1);
+            }
+        }
+        const values = defined.map(present => {
+            if (!present) return null;
+            const v = field[1] === 2 ? Number(buf.readBigInt64LE(page.pos)) : buf.readDoubleLE(page.pos);
+            page.pos += 8;
+            return v;
+        });
+        return { name: field[4], type: field[1], repetition: field[3], converted: field[6], values };
+    });
+    return { numRows: meta[3], createdBy: meta[6], columns };
+}
+
+// ── Tests ──
+
+test('writeParquet round-trips REQUIRED timestamp and double columns', () => {
+    const file = readParquet(writeParquet([
+        { name: 'timestamp', type: 'timestamp', values: [1700000000000, 1700003600000] },
+        { name: 'yes_close', type: 'double', values: [1.25, 1.5] },
+    ]));
+
+    assert.equal(file.numRows, 2);
+    assert.equal(file.createdBy, 'futarchy-charts');
+    assert.deepEqual(file.columns.map(c => [c.name, c.type, c.repetition, c.converted]), [
+        ['timestamp', 2, 0, 9], // INT64, REQUIRED, TIMESTAMP_MILLIS
+        ['yes_close', 5, 0, undefined], // DOUBLE, REQUIRED
+    ]);
+    assert.deepEqual(file.columns[0].values, [1700000000000, 1700003600000]);
+    assert.deepEqual(file.columns[1].values, [1.25, 1.5]);
+});
+
+test('writeParquet stores nulls and non-finite numbers in OPTIONAL columns', () => {
+    const file = readParquet(writeParquet([
+        { name: 'spot_close', type: 'double', values: [null, null, 2, NaN, 3] },
+    ]));
+    assert.equal(file.columns[0].repetition, 1);
+    assert.deepEqual(file.columns[0].values, [null, null, 2, null, 3]);
+});
+
+test('writeParquet writes an empty table without row groups', () => {
+    const file = readParquet(writeParquet([{ name: 'timestamp', type: 'timestamp', values: [] }]));
+    assert.equal(file.numRows, 0);
+    assert.deepEqual(file.columns[0].values, []);
+});
+
+test('writeParquet rejects ragged columns and unknown types', () => {
+    assert.throws(() => writeParquet([
+        { name: 'a', type: 'double', values: [1] },
+        { name: 'b', type: 'double', values: [] },
+    ]), /equal lengths/);
+    assert.throws(() => writeParquet([{ name: 'a', type: 'string', values: ['x'] }]), /Unsupported/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListQuery, statusOf, handleProposalListRequest } from '../src/routes/proposals.js';
+
+const ORG = '0x' + 'ab'.repeat(20);
+
+test('parseListQuery applies defaults and builds the cache key', () => {
+    assert.deepEqual(parseListQuery({}), {
+        organizationId: null, status: null, chain: null, limit: 20, offset: 0,
+        cacheKey: 'proposals:aggregator:all:all:20:0',
+    });
+    assert.deepEqual(parseListQuery({ organization: '0x' + 'AB'.repeat(20), status: 'active', chain: '100', limit: '5', offset: '10' }), {
+        organizationId: ORG, status: 'active', chain: 100, limit: 5, offset: 10,
+        cacheKey: `proposals:${ORG}:active:100:5:10`,
+    });
+});
+
+test('parseListQuery rejects invalid parameters', () => {
+    assert.match(parseListQuery({ organization: 'acme' }).error, /organization/);
+    assert.match(parseListQuery({ status: 'pending' }).error, /status must be one of: active, closed/);
+    assert.match(parseListQuery({ chain: 'gnosis' }).error, /chain/);
+    assert.match(parseListQuery({ limit: '0' }).error, /limit must be between 1 and 100/);
+    assert.match(parseListQuery({ limit: '101' }).error, /limit/);
+    assert.match(parseListQuery({ offset: '-1' }).error, /offset/);
+});
+
+test('parseListQuery rejects repeated params', () => {
+    assert.equal(parseListQuery({ organization: [ORG, ORG] }).error, 'organization must be a single value');
+    assert.equal(parseListQuery({ status: ['active', 'closed'] }).error, 'status must be a single value');
+    assert.equal(parseListQuery({ limit: ['5', '10'] }).error, 'limit must be a single value');
+    assert.equal(parseListQuery({ offset: { gt: '1' } }).error, 'offset must be a single value');
+});
+
+test('handleProposalListRequest answers a repeated param with 400', async () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) { this.statusCode = code; return this; },
+        set() { },
+        json(body) { this.body = body; return this; },
+    };
+    await handleProposalListRequest({ query: { organization: ['0xa', '0xb'] } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'organization must be a single value' });
+});
+
+test('statusOf compares the close time to now', () => {
+    assert.equal(statusOf({ closeTimestamp: null }, 1000), 'unknown');
+    assert.equal(statusOf({ closeTimestamp: 1001 }, 1000), 'active');
+    assert.equal(statusOf({ closeTimestamp: 1000 }, 1000), 'closed');
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRateSeries } from '../src/services/rate-provider.js';
+
+const DAY = 86400;
+const BLOCK_SEC = 5;
+const now = Math.floor(Date.now() / 1000);
+// Block 1 ten days ago, on a day boundary so every sample time has a block
+const GENESIS = Math.floor(now / DAY) * DAY - 10 * DAY;
+// Blocks before this have no state (pruned RPC)
+let prunedBefore = 0;
+let ethCalls = 0;
+
+const blockAt = (n) => ({ number: '0x' + n.toString(16), timestamp: '0x' + (GENESIS + (n - 1) * BLOCK_SEC).toString(16) });
+const head = () => Math.floor((Math.floor(Date.now() / 1000) - GENESIS) / BLOCK_SEC) + 1;
+// Rate grows 0.01 per day since genesis
+const rateAt = (ts) => 1 + 0.01 * Math.floor((ts - GENESIS) / DAY);
+const encodeRate = (rate) => '0x' + (BigInt(Math.round(rate * 1e6)) * 10n ** 12n).toString(16).padStart(64, '0');
+
+/**
+ * JSON-RPC answers for a chain with a block every BLOCK_SEC seconds.
+ */
+function answer({ id, method, params }) {
+    if (method === 'eth_getBlockByNumber') {
+        const n = params[0] === 'latest' ? head() : parseInt(params[0], 16);
+        return { jsonrpc: '2.0', id, result: n >= 1 && n <= head() ? blockAt(n) : null };
+    }
+    if (method === 'eth_call') {
+        ethCalls++;
+        const n = params[1] === 'latest' ? head() : parseInt(params[1], 16);
+        const ts = GENESIS + (n - 1) * BLOCK_SEC;
+        if (ts < prunedBefore) return { jsonrpc: '2.0', id, error: { code: -32000, message: 'missing trie node' } };
+        return { jsonrpc: '2.0', id, result: encodeRate(rateAt(ts)) };
+    }
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: 'method not found' } };
+}
+
+const realFetch = globalThis.fetch;
+before(() => {
+    globalThis.fetch = async (url, { body }) => {
+        const request = JSON.parse(body);
+        const json = Array.isArray(request) ? request.map(answer) : answer(request);
+        return { ok: true, status: 200, json: async () => json };
+    };
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('getRateSeries converts each time at the sample of its day, the open day at the latest rate', async () => {
+    const series = await getRateSeries('0x0000000000000000000000000000000000000001', 100, now - 5 * DAY, now);
+    const today = Math.floor(now / DAY) * DAY;
+
+    assert.equal(series.historical, true);
+    assert.equal(series.samples, 5);
+    assert.equal(series.rateAt(today - 3 * DAY + 3600), rateAt(today - 3 * DAY));
+    assert.equal(series.rateAt(today - DAY), rateAt(today - DAY));
+    assert.equal(series.rateAt(now), series.latest);
+    assert.equal(series.latest, rateAt(GENESIS + (head() - 1) * BLOCK_SEC));
+});
+
+test('getRateSeries never samples before the chain\'s first block', async () => {
+    ethCalls = 0;
+    const series = await getRateSeries('0x0000000000000000000000000000000000000002', 100, 0, now);
+
+    assert.equal(series.samples, 10);
+    assert.equal(series.historical, true);
+    assert.equal(series.rateAt(GENESIS + 3600), rateAt(GENESIS));
+    assert.equal(ethCalls, 11); // 10 daily samples + latest
+});
+
+test('getRateSeries reuses resolved samples for the same provider and chain', async () => {
+    const provider = '0x0000000000000000000000000000000000000003';
+    await getRateSeries(provider, 100, now - 5 * DAY, now);
+
+    ethCalls = 0;
+    const series = await getRateSeries(provider, 100, now - 5 * DAY, now);
+    assert.equal(ethCalls, 0);
+    assert.equal(series.samples, 5);
+});
+
+test('getRateSeries falls back for unavailable samples and does not retry them right away', async () => {
+    const provider = '0x0000000000000000000000000000000000000004';
+    const today = Math.floor(now / DAY) * DAY;
+    prunedBefore = today - 2 * DAY;
+    try {
+        const series = await getRateSeries(provider, 100, today - 5 * DAY, now);
+        assert.equal(series.historical, false);
+        assert.equal(series.samples, 2);
+        // Nothing earlier to fall back to — latest rate
+        assert.equal(series.rateAt(today - 4 * DAY), series.latest);
+        // Sampled days keep their own rate
+        assert.equal(series.rateAt(today - DAY + 60), rateAt(today - DAY));
+
+        ethCalls = 0;
+        const again = await getRateSeries(provider, 100, today - 5 * DAY, now);
+        assert.equal(ethCalls, 0);
+        assert.equal(again.historical, false);
+    } finally {
+        prunedBefore = 0;
+    }
+});
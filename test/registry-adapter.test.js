@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the modules load
+process.env.FUTARCHY_MODE = 'checkpoint';
+process.env.REGISTRY_URL = 'http://registry.test/graphql';
+
+let registry;
+
+const AGGREGATOR = '0xc5eb43d53e2fe5fdde5faf400cc4167e5b5d4fc1';
+const id = (prefix, i) => `${prefix}${String(i).padStart(6, '0')}`;
+
+// 1500 organizations, 2500 proposals spread over them, every other one with a snapshot
+const orgs = Array.from({ length: 1500 }, (_, i) => ({ id: id('0xorg', i) }));
+const proposals = Array.from({ length: 2500 }, (_, i) => ({
+    id: id('0xp', i),
+    proposalAddress: id('0xP', i),
+    title: `Proposal ${i}`,
+    metadata: i === 0 ? JSON.stringify({ chain: '100', closeTimestamp: '1700000000' }) : null,
+    organization: { id: orgs[i % orgs.length].id, name: 'Org' },
+}));
+const snapshots = proposals.filter((_, i) => i % 2 === 0)
+    .map(p => ({ id: `${p.id}-snapshot_id`, value: `0xSNAP${p.id.slice(3)}`, proposal: { id: p.id } }));
+
+const calls = [];
+
+// Minimal Checkpoint: honours first, id_gt and the *_in filters of the list queries
+function answer(query) {
+    const [, entity, args] = query.match(/(\w+)\(([^)]*)\)/s);
+    const first = parseInt(args.match(/first: (\d+)/)[1]);
+    const after = args.match(/id_gt: "([^"]*)"/)[1];
+    const within = (field) => JSON.parse(args.match(new RegExp(`${field}: (\\[[^\\]]*\\])`))[1]);
+    calls.push({ entity, after });
+
+    let rows;
+    if (entity === 'organizations') {
+        assert.match(args, new RegExp(`aggregator: "${AGGREGATOR}"`));
+        rows = orgs;
+    } else if (entity === 'proposalentities') {
+        const orgIds = new Set(within('organization_in'));
+        rows = proposals.filter(p => orgIds.has(p.organization.id));
+    } else if (entity === 'metadataentries') {
+        const proposalIds = new Set(within('proposal_in'));
+        assert.ok(proposalIds.size <= first, 'proposal_in chunk wider than a page');
+        rows = snapshots.filter(s => proposalIds.has(s.proposal.id));
+    } else {
+        throw new Error(`unexpected query for ${entity}`);
+    }
+    return { [entity]: rows.filter(r => r.id > after).sort((a, b) => a.id.localeCompare(b.id)).slice(0, first) };
+}
+
+const realFetch = globalThis.fetch;
+before(async () => {
+    globalThis.fetch = async (url, { body }) => {
+        assert.equal(url, 'http://registry.test/graphql');
+        const data = answer(JSON.parse(body).query);
+        return { ok: true, status: 200, json: async () => ({ data }) };
+    };
+    registry = await import('../src/adapters/registry-adapter.js');
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('listProposals pages past the indexer page size', async () => {
+    const list = await registry.listProposals();
+    assert.equal(list.length, proposals.length);
+    assert.equal(new Set(list.map(p => p.proposalId)).size, proposals.length);
+
+    // organizations: 2 pages; proposals: 3 pages; snapshot entries: 3 chunks of 1 page each
+    const pages = (entity) => calls.filter(c => c.entity === entity).length;
+    assert.equal(pages('organizations'), 2);
+    assert.equal(pages('proposalentities'), 3);
+    assert.equal(pages('metadataentries'), 3);
+    assert.equal(calls.find(c => c.entity === 'organizations' && c.after !== '').after, id('0xorg', 999));
+});
+
+test('listProposals attaches snapshot ids and parsed metadata', async () => {
+    const list = await registry.listProposals();
+    const byId = new Map(list.map(p => [p.proposalId, p]));
+
+    const first = byId.get(id('0xp', 0));
+    assert.equal(first.snapshotId, '0xsnap000000');
+    assert.equal(first.chain, 100);
+    assert.equal(first.closeTimestamp, 1700000000);
+    assert.equal(first.title, 'Proposal 0');
+    assert.equal(byId.get(id('0xp', 1)).snapshotId, null);
+    assert.equal(byId.get(id('0xp', 2498)).snapshotId, '0xsnap002498');
+});
+
+test('listProposals is served from the registry cache', async () => {
+    const before = calls.length;
+    await registry.listProposals();
+    assert.equal(calls.length, before);
+});
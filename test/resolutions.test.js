@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getResolution, finestNativePeriod, spotLimitFor } from '../src/config/resolutions.js';
+
+// Assumes the default CANDLE_NATIVE_PERIODS (hourly only)
+
+test('getResolution fetches native periods as is', () => {
+    const r = getResolution('1h');
+    assert.equal(r.native, true);
+    assert.equal(r.supported, true);
+    assert.equal(r.fetchPeriod, 3600);
+});
+
+test('getResolution aggregates coarser resolutions from the native period', () => {
+    for (const name of ['4h', '1d']) {
+        const r = getResolution(name);
+        assert.equal(r.native, false);
+        assert.equal(r.supported, true);
+        assert.equal(r.fetchPeriod, 3600);
+    }
+});
+
+test('getResolution marks resolutions finer than every native period unsupported', () => {
+    const r = getResolution('5m');
+    assert.equal(r.supported, false);
+    assert.equal(r.fetchPeriod, null);
+    assert.equal(finestNativePeriod(), 3600);
+});
+
+test('getResolution returns null for unknown names', () => {
+    assert.equal(getResolution('2h'), null);
+});
+
+test('spotLimitFor flags ranges past the GeckoTerminal cap', () => {
+    const hour = getResolution('1h');
+    assert.deepEqual(spotLimitFor(hour, 0, 10 * 3600), { limit: 500, truncated: false });
+    assert.deepEqual(spotLimitFor(hour, 0, 999 * 3600), { limit: 1000, truncated: false });
+    assert.deepEqual(spotLimitFor(hour, 0, 1000 * 3600), { limit: 1000, truncated: true });
+});
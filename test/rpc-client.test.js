@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interface } from 'ethers';
+
+// Two RPC URLs per chain; the failover tests each use their own chain so URL health doesn't leak between them
+for (const chainId of [1, 10, 100, 8453, 42161]) {
+    process.env[`RPC_URLS_${chainId}`] = `http://a.${chainId}.test,http://b.${chainId}.test`;
+}
+
+let rpc;
+let getChain;
+// url → function(request) returning a JSON-RPC response, or throwing for a transport error
+const handlers = new Map();
+const calls = [];
+
+const realFetch = globalThis.fetch;
+before(async () => {
+    globalThis.fetch = async (url, { body }) => {
+        const request = JSON.parse(body);
+        calls.push({ url, request });
+        const handler = handlers.get(url);
+        if (!handler) throw new Error(`no handler for ${url}`);
+        const json = Array.isArray(request) ? request.map(handler) : handler(request);
+        return { ok: true, status: 200, json: async () => json };
+    };
+    rpc = await import('../src/services/rpc-client.js');
+    ({ getChain } = await import('../src/config/chains.js'));
+});
+after(() => { globalThis.fetch = realFetch; });
+beforeEach(() => { calls.length = 0; });
+
+const ok = (result) => ({ id }) => ({ jsonrpc: '2.0', id, result });
+const fail = (code, message) => ({ id }) => ({ jsonrpc: '2.0', id, error: { code, message } });
+const down = () => { throw new Error('ECONNREFUSED'); };
+const urlsCalled = () => calls.splice(0).map(c => c.url);
+
+test('rpcCall fails over to the next URL and backs off the failed one', async () => {
+    handlers.set('http://a.100.test', down);
+    handlers.set('http://b.100.test', ok('0x10'));
+
+    assert.equal(await rpc.rpcCall(100, 'eth_blockNumber'), '0x10');
+    assert.deepEqual(urlsCalled(), ['http://a.100.test', 'http://b.100.test']);
+    assert.equal(rpc.getRpcHealth()['http://a.100.test'].up, false);
+
+    // Backing off — the healthy URL goes first
+    assert.equal(await rpc.rpcCall(100, 'eth_blockNumber'), '0x10');
+    assert.deepEqual(urlsCalled(), ['http://b.100.test']);
+});
+
+test('rpcCall fails over on provider errors such as rate limits', async () => {
+    handlers.set('http://a.1.test', fail(429, 'Too many requests'));
+    handlers.set('http://b.1.test', ok('0x1'));
+
+    assert.equal(await rpc.rpcCall(1, 'eth_blockNumber'), '0x1');
+    assert.equal(rpc.getRpcHealth()['http://a.1.test'].up, false);
+});
+
+test('rpcCall throws request errors without trying other URLs', async () => {
+    handlers.set('http://a.10.test', fail(3, 'execution reverted'));
+    handlers.set('http://b.10.test', ok('0x'));
+
+    await assert.rejects(rpc.rpcCall(10, 'eth_call', [{}, 'latest']), { name: 'RpcError', message: 'execution reverted', code: 3 });
+    assert.deepEqual(urlsCalled(), ['http://a.10.test']);
+    assert.equal(rpc.getRpcHealth()['http://a.10.test'].up, true);
+});
+
+test('rpcCall skips nodes without historical state without backing them off', async () => {
+    handlers.set('http://a.8453.test', fail(-32000, 'missing trie node abc'));
+    handlers.set('http://b.8453.test', ok('0x2'));
+
+    assert.equal(await rpc.rpcCall(8453, 'eth_call', [{}, '0x1']), '0x2');
+    assert.equal(rpc.getRpcHealth()['http://a.8453.test'].up, true);
+});
+
+test('rpcCall reports when every URL failed', async () => {
+    handlers.set('http://a.42161.test', down);
+    handlers.set('http://b.42161.test', down);
+
+    await assert.rejects(rpc.rpcCall(42161, 'eth_blockNumber'), /All RPCs failed for .* \(42161\): ECONNREFUSED/);
+});
+
+test('rpcCall rejects unknown chains', async () => {
+    await assert.rejects(rpc.rpcCall(999999, 'eth_blockNumber'), /Unknown chain: 999999/);
+});
+
+// ── eth_call batching ──
+
+const multicall = new Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+const target = (i) => '0x' + String(i).padStart(40, '0');
+
+test('ethCall sends concurrent calls for one block as a single Multicall3 call', async () => {
+    const multicallAddress = getChain(1).multicall3;
+    const handler = ({ id, params: [{ to, data }] }) => {
+        assert.equal(to, multicallAddress);
+        const [batch] = multicall.decodeFunctionData('aggregate3', data);
+        const results = batch.map(c => c.target === target(3)
+            ? { success: false, returnData: '0x' }
+            : { success: true, returnData: c.callData });
+        return { jsonrpc: '2.0', id, result: multicall.encodeFunctionResult('aggregate3', [results]) };
+    };
+    handlers.set('http://a.1.test', handler);
+    handlers.set('http://b.1.test', handler);
+
+    const results = await Promise.allSettled([1, 2, 3].map(i => rpc.ethCall(1, target(i), '0xabcdef0' + i, '0x5')));
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].request.params[1], '0x5');
+    assert.equal(results[0].value, '0xabcdef01');
+    assert.equal(results[1].value, '0xabcdef02');
+    assert.equal(results[2].status, 'rejected');
+    assert.equal(results[2].reason.code, 3);
+});
+
+test('ethCall falls back to a JSON-RPC batch when Multicall3 fails', async () => {
+    const multicallAddress = getChain(100).multicall3;
+    const handler = ({ id, params: [{ to, data }] }) => to === multicallAddress
+        ? { jsonrpc: '2.0', id, error: { code: -32000, message: 'execution reverted' } }
+        : { jsonrpc: '2.0', id, result: data };
+    handlers.set('http://a.100.test', handler);
+    handlers.set('http://b.100.test', handler);
+
+    const results = await Promise.all([1, 2].map(i => rpc.ethCall(100, target(i), '0x0' + i, '0x6')));
+
+    assert.deepEqual(results, ['0x01', '0x02']);
+    assert.equal(calls.length, 2);
+    assert.ok(Array.isArray(calls[1].request));
+    assert.equal(calls[1].request.length, 2);
+});
+
+test('ethCall sends a lone call as a plain eth_call', async () => {
+    handlers.set('http://a.8453.test', ({ id, params: [{ data }] }) => ({ jsonrpc: '2.0', id, result: data }));
+
+    assert.equal(await rpc.ethCall(8453, target(1), '0x99', 'latest'), '0x99');
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].request.method, 'eth_call');
+    assert.equal(calls[0].request.params[0].to, target(1));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SingleFlight } from '../src/utils/single-flight.js';
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+test('SingleFlight shares one call between concurrent callers of a key', async () => {
+    const flight = new SingleFlight('test');
+    const upstream = deferred();
+    let calls = 0;
+    const fn = () => { calls++; return upstream.promise; };
+
+    const a = flight.run('k', fn);
+    const b = flight.run('k', fn);
+    upstream.resolve('v');
+
+    assert.deepEqual(await Promise.all([a, b]), ['v', 'v']);
+    assert.equal(calls, 1);
+    assert.equal(flight.coalesced, 1);
+});
+
+test('SingleFlight runs different keys separately', async () => {
+    const flight = new SingleFlight('test');
+    const results = await Promise.all([flight.run('a', async () => 1), flight.run('b', async () => 2)]);
+    assert.deepEqual(results, [1, 2]);
+    assert.equal(flight.coalesced, 0);
+});
+
+test('SingleFlight releases the key once settled, so errors are not remembered', async () => {
+    const flight = new SingleFlight('test');
+    await assert.rejects(flight.run('k', async () => { throw new Error('down'); }), /down/);
+    assert.equal(flight.inflight.size, 0);
+    assert.equal(await flight.run('k', async () => 'ok'), 'ok');
+});
+
+test('SingleFlight turns a synchronous throw into a rejection', async () => {
+    const flight = new SingleFlight('test');
+    await assert.rejects(flight.run('k', () => { throw new Error('sync'); }), /sync/);
+});
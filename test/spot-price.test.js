@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tickerChainId } from '../src/services/spot-price.js';
+
+test('tickerChainId reads the network part of any ticker form', () => {
+    assert.equal(tickerChainId('GNO::0x89c80a4540a00b5270347e02e2e144c71da2eced/sDAI-hour-500-xdai'), 100);
+    assert.equal(tickerChainId('0x8189c4c96826d016a99986394103dfa9ae41e7ee::0x89c80a4540a00b5270347e02e2e144c71da2eced-hour-500-base-invert'), 8453);
+    assert.equal(tickerChainId('composite::0x2613cb+0x4c3b00::0x89c80a-hour-500-1'), 1);
+    assert.equal(tickerChainId('GNO/sDAI'), 100);
+});
+
+test('tickerChainId rejects unknown networks with a 400 error', () => {
+    assert.throws(() => tickerChainId('GNO::0x89c80a/sDAI-hour-500-moon'), err => err.status === 400 && /Unknown network "moon"/.test(err.message));
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTwap } from '../src/routes/twap.js';
+
+const HOUR = 3600;
+const candle = (periodStartUnix, close) => ({ periodStartUnix: String(periodStartUnix), close: String(close) });
+
+test('computeTwap applies a close at the end of its period', () => {
+    // Price 1 in effect at the start; the 0–1h candle closes at 2, effective from 1h
+    assert.equal(computeTwap([candle(0, 2)], 1, 0, 2 * HOUR), 1.5);
+});
+
+test('computeTwap holds the start price when nothing closes in the window', () => {
+    assert.equal(computeTwap([], 2, 0, 4 * HOUR), 2);
+});
+
+test('computeTwap returns null with no price and no closes', () => {
+    assert.equal(computeTwap([], null, 0, HOUR), null);
+    assert.equal(computeTwap([], 0, 0, HOUR), null);
+});
+
+test('computeTwap averages from the first close when there is no start price', () => {
+    // Closes at 1h (3) and 2h (4); unpriced first hour is not counted as 0
+    assert.equal(computeTwap([candle(0, 3), candle(HOUR, 4)], 0, 0, 3 * HOUR), 3.5);
+});
+
+test('computeTwap clamps closes from before the window to its start', () => {
+    // Candle closing before the window start only sets the starting price
+    assert.equal(computeTwap([candle(-2 * HOUR, 5)], null, 0, HOUR), 5);
+});
+
+test('computeTwap converts each segment at its own rate', () => {
+    const rateAt = (t) => (t < HOUR ? 1 : 2);
+    // 1h at 1 × 1, 1h at 2 × 2
+    assert.equal(computeTwap([candle(0, 2)], 1, 0, 2 * HOUR, { rateAt }), 2.5);
+});
+
+test('computeTwap returns null for an empty window', () => {
+    assert.equal(computeTwap([candle(0, 2)], 1, HOUR, HOUR), null);
+});
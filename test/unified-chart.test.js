@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveSeries, impliedProbability, parseChartQuery, warmParamsFor } from '../src/routes/unified-chart.js';
+
+const HOUR = 3600;
+const candle = (periodStartUnix, close) => ({ periodStartUnix: String(periodStartUnix), close: String(close) });
+const values = (points) => points.map(p => p.value);
+const options = { maxTimestamp: 2 * HOUR, periodSec: HOUR, scaleAt: () => 1 };
+
+test('deriveSeries aligns YES − NO on one grid, forward-filling each side', () => {
+    const derived = deriveSeries({
+        yes: [candle(0, 1.2), candle(2 * HOUR, 1.5)],
+        no: [candle(HOUR, 1)],
+        spot: [],
+        predictionYes: [],
+        predictionNo: [],
+    }, options);
+
+    assert.deepEqual(derived.spread.map(p => p.periodStartUnix), ['0', String(HOUR), String(2 * HOUR)]);
+    // No NO price before 1h
+    assert.equal(derived.spread[0].value, null);
+    assert.ok(Math.abs(derived.spread[1].value - 0.2) < 1e-12);
+    assert.ok(Math.abs(derived.spread[2].value - 0.5) < 1e-12);
+    assert.equal(derived.impact, null);
+    assert.equal(derived.probability, null);
+});
+
+test('deriveSeries scales the spread by the rate at each step', () => {
+    const derived = deriveSeries({
+        yes: [candle(0, 3)], no: [candle(0, 1)], spot: [], predictionYes: [], predictionNo: [],
+    }, { ...options, scaleAt: (t) => (t < HOUR ? 1 : 2) });
+    assert.deepEqual(values(derived.spread), [2, 4, 4]);
+});
+
+test('deriveSeries gives impact relative to spot, null where spot is missing or zero', () => {
+    const derived = deriveSeries({
+        yes: [candle(0, 110)], no: [candle(0, 100)], spot: [candle(HOUR, 200), candle(2 * HOUR, 0)],
+        predictionYes: [], predictionNo: [],
+    }, options);
+    assert.deepEqual(values(derived.impact), [null, 5, null]);
+});
+
+test('deriveSeries takes the implied probability from the prediction pools', () => {
+    const both = deriveSeries({
+        yes: [candle(0, 1)], no: [candle(0, 1)], spot: [], predictionYes: [candle(0, 0.6)], predictionNo: [candle(0, 0.2)],
+    }, options);
+    assert.ok(Math.abs(both.probability[0].value - 0.75) < 1e-12);
+
+    const noOnly = deriveSeries({
+        yes: [candle(0, 1)], no: [candle(0, 1)], spot: [], predictionYes: [], predictionNo: [candle(0, 0.3)],
+    }, options);
+    assert.equal(noOnly.probability[0].value, 0.7);
+});
+
+test('impliedProbability normalises both prediction prices, else falls back to one side', () => {
+    assert.ok(Math.abs(impliedProbability(0.6, 0.2) - 0.75) < 1e-12);
+    assert.equal(impliedProbability(0, 0), null);
+    assert.equal(impliedProbability(0.4, null), 0.4);
+    assert.equal(impliedProbability(null, 0.25), 0.75);
+    assert.equal(impliedProbability(null, null), null);
+});
+
+test('parseChartQuery keys pools=all charts apart and warmParamsFor keeps the option', () => {
+    const query = { minTimestamp: '0', maxTimestamp: '7200', resolution: '1h' };
+    const conditional = parseChartQuery('0xabc', query);
+    const all = parseChartQuery('0xabc', { ...query, pools: 'all' });
+
+    assert.equal(conditional.allPools, false);
+    assert.equal(all.allPools, true);
+    assert.equal(all.cacheKey, `${conditional.cacheKey}:allpools`);
+    assert.equal(warmParamsFor(all).pools, 'all');
+    assert.equal(warmParamsFor(conditional).pools, 'conditional');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { phaseOf, intervalFor, seedWarmList, pinForWarming, removeFromWarming, findWarmEntries } from '../src/utils/warmer.js';
+import { subscribeChart } from '../src/utils/chart-events.js';
+import { WARMER_INTERVAL_SEC, WARMER_MAX_INTERVAL_SEC, WARMER_CLOSED_INTERVAL_SEC, WARMER_MAX_ENTRIES } from '../src/config/cache-config.js';
+
+const BASE_MS = WARMER_INTERVAL_SEC * 1000;
+const MAX_MS = Math.max(WARMER_MAX_INTERVAL_SEC * 1000, BASE_MS);
+const capped = (factor) => Math.min(BASE_MS * factor, MAX_MS);
+
+const now = Date.now();
+const nowSec = Math.floor(now / 1000);
+
+function entry({ requestsAgoMs = [], lastCandleAgoSec = null } = {}) {
+    return {
+        requests: requestsAgoMs.map(ago => now - ago),
+        activity: { lastCandleAt: lastCandleAgoSec === null ? null : nowSec - lastCandleAgoSec },
+    };
+}
+
+test('phaseOf reads the proposal phase from its timeline', () => {
+    assert.equal(phaseOf(null, nowSec), 'unknown');
+    assert.equal(phaseOf({ closesAt: nowSec - 1 }, nowSec), 'closed');
+    assert.equal(phaseOf({ twapStart: nowSec - 10, twapEnd: nowSec + 10, closesAt: nowSec + 20 }, nowSec), 'twap');
+    assert.equal(phaseOf({ startsAt: nowSec + 10 }, nowSec), 'pre-open');
+    assert.equal(phaseOf({ startsAt: nowSec - 10, closesAt: nowSec + 10 }, nowSec), 'trading');
+});
+
+test('intervalFor keeps trading proposals that are watched and active at the base interval', () => {
+    const e = entry({ requestsAgoMs: [60 * 1000], lastCandleAgoSec: 60 });
+    assert.equal(intervalFor('k:active', e, 'trading', now), BASE_MS);
+});
+
+test('intervalFor slows down quiet and unwatched trading proposals', () => {
+    // No candle for over an hour: ×3
+    assert.equal(intervalFor('k:quiet', entry({ requestsAgoMs: [60 * 1000], lastCandleAgoSec: 7200 }), 'trading', now), capped(3));
+    // No request in 30 min: ×2
+    assert.equal(intervalFor('k:unwatched', entry({ requestsAgoMs: [40 * 60 * 1000], lastCandleAgoSec: 60 }), 'trading', now), capped(2));
+    // Both
+    assert.equal(intervalFor('k:idle', entry({ lastCandleAgoSec: 7200 }), 'trading', now), capped(6));
+});
+
+test('intervalFor keeps busy quiet proposals fresh', () => {
+    const requestsAgoMs = Array.from({ length: 30 }, (_, i) => i * 60 * 1000);
+    assert.equal(intervalFor('k:busy', entry({ requestsAgoMs, lastCandleAgoSec: 7200 }), 'trading', now), BASE_MS);
+});
+
+test('intervalFor waits longer before trading opens', () => {
+    assert.equal(intervalFor('k:pre', entry({ requestsAgoMs: [60 * 1000] }), 'pre-open', now), capped(6));
+    assert.equal(intervalFor('k:pre-idle', entry(), 'pre-open', now), capped(12));
+});
+
+test('intervalFor uses the base interval in the TWAP window and for streamed charts', () => {
+    assert.equal(intervalFor('k:twap', entry(), 'twap', now), BASE_MS);
+
+    const unsubscribe = subscribeChart('k:streamed', () => { });
+    try {
+        assert.equal(intervalFor('k:streamed', entry(), 'trading', now), BASE_MS);
+    } finally {
+        unsubscribe();
+    }
+});
+
+test('intervalFor warms closed proposals at the closed interval, or not at all', () => {
+    const expected = WARMER_CLOSED_INTERVAL_SEC > 0 ? Math.max(WARMER_CLOSED_INTERVAL_SEC * 1000, BASE_MS) : null;
+    assert.equal(intervalFor('k:closed', entry(), 'closed', now), expected);
+});
+
+test('seedWarmList adds new entries up to WARMER_MAX_ENTRIES, leaving existing and pinned ones alone', (t) => {
+    const isSeedTest = (key) => key.startsWith('seed:');
+    t.after(() => removeFromWarming(isSeedTest));
+
+    pinForWarming('seed:pinned', { proposalId: '0xpinned' });
+    const seeds = Array.from({ length: WARMER_MAX_ENTRIES + 5 }, (_, i) => ({ cacheKey: `seed:${i}`, params: { proposalId: `0x${i}` } }));
+
+    assert.equal(seedWarmList([{ cacheKey: 'seed:pinned', params: { proposalId: '0xother' } }, ...seeds]), WARMER_MAX_ENTRIES);
+    const warm = findWarmEntries(isSeedTest);
+    assert.equal(warm.length, WARMER_MAX_ENTRIES + 1);
+    assert.deepEqual(warm.find(e => e.cacheKey === 'seed:pinned'), { cacheKey: 'seed:pinned', params: { proposalId: '0xpinned' }, pinned: true });
+    assert.equal(warm.some(e => e.cacheKey === `seed:${WARMER_MAX_ENTRIES}`), false);
+
+    // Already full — nothing more is added
+    assert.equal(seedWarmList([{ cacheKey: 'seed:late', params: { proposalId: '0xlate' } }]), 0);
+});